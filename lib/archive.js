@@ -0,0 +1,67 @@
+const path = require('path').posix;
+
+const DEFAULT_ARCHIVE_DIRECTORY = '_podcast-archive';
+
+function trimSlashes(value) {
+  return String(value).trim().replace(/^\/+|\/+$/g, '');
+}
+
+// "ids/*.mp3" or "music/**" as a regular expression over a station media path
+function globToRegExp(pattern) {
+  const source = pattern.replace(/\*\*|\*|\?|[.+^${}()|[\]\\]/g, (token) => {
+    if (token === '**') return '.*';
+    if (token === '*') return '[^/]*';
+    if (token === '?') return '[^/]';
+    return `\\${token}`;
+  });
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Matches station media paths against config patterns. A pattern without wildcards
+ * is a file or folder: "station-ids" matches "station-ids/top-of-hour.mp3". Patterns
+ * with wildcards are globs over the whole path, where `*` stays within one folder
+ * and `**` crosses folders.
+ */
+function pathMatcher(pattern) {
+  const trimmed = trimSlashes(pattern);
+  if (/[*?]/.test(trimmed)) {
+    const regexp = globToRegExp(trimmed);
+    return (filePath) => regexp.test(filePath);
+  }
+  return (filePath) => filePath === trimmed || filePath.startsWith(`${trimmed}/`);
+}
+
+/**
+ * The `orphanCleanup` path lists. `denyPaths` are never touched; when `allowPaths`
+ * is given, only files matching it are. reasonToKeep() says why a file must stay,
+ * or returns null when orphan cleanup may remove it.
+ */
+class PathRules {
+  constructor({ allowPaths = [], denyPaths = [] } = {}, protectedPaths = []) {
+    this.allow = allowPaths.map(pattern => ({ pattern, matches: pathMatcher(pattern) }));
+    this.deny = [...protectedPaths, ...denyPaths].map(pattern => ({ pattern, matches: pathMatcher(pattern) }));
+  }
+
+  reasonToKeep(filePath) {
+    const normalized = trimSlashes(filePath || '');
+    const denied = this.deny.find(rule => rule.matches(normalized));
+    if (denied) return `matches denied path "${denied.pattern}"`;
+    if (this.allow.length > 0 && !this.allow.some(rule => rule.matches(normalized))) {
+      return 'outside the allowed paths';
+    }
+    return null;
+  }
+}
+
+// Archived files keep their folder layout under the archive directory, so restoring them is a move back
+function archivedPath(directory, filePath) {
+  return path.join(trimSlashes(directory), trimSlashes(filePath));
+}
+
+module.exports = {
+  DEFAULT_ARCHIVE_DIRECTORY,
+  PathRules,
+  archivedPath,
+  pathMatcher
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const https = require('https');
+const { httpError } = require('./retry');
+const { AzuraCastSimulator } = require('./simulator');
+
+function requireFormData() {
+  try {
+    return require('form-data');
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('form-data')) {
+      throw new Error('form-data module required. Run: npm install form-data');
+    }
+    throw error;
+  }
+}
+
+/**
+ * The AzuraCast API over HTTPS, the backend used unless the config asks for the simulator.
+ *
+ * Every backend offers the same two calls, both rejecting with an error that carries the
+ * response's `statusCode` (see httpError) so retries behave alike whatever is behind them:
+ * - `request(method, endpoint, data)` resolves with the parsed JSON response
+ * - `postForm(endpoint, fields, timeout)` sends a multipart form; each field is
+ *   `{ name, value }`, with `filename` and `contentType` for a Buffer value, or
+ *   `{ name, file, filename, contentType }` to send a local file
+ *
+ * A backend may also offer `fetchFeed(url, headers)` and `download(url, filePath)`,
+ * which then stand in for fetching feeds and episodes from the internet. `download`
+ * may resolve with `{ contentType }`.
+ */
+class HttpBackend {
+  constructor({ host, apiKey } = {}) {
+    this.host = host;
+    this.apiKey = apiKey;
+  }
+
+  request(method, endpoint, data = null) {
+    const url = `https://${this.host}/api${endpoint}`;
+
+    return new Promise((resolve, reject) => {
+      const options = {
+        method,
+        headers: {
+          'X-API-Key': this.apiKey,
+          'Accept': 'application/json'
+        }
+      };
+
+      let postData = null;
+      if (data) {
+        postData = JSON.stringify(data);
+        options.headers['Content-Type'] = 'application/json';
+        options.headers['Content-Length'] = Buffer.byteLength(postData);
+      }
+
+      const req = https.request(url, options, (response) => {
+        let responseData = '';
+        response.on('data', (chunk) => { responseData += chunk; });
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            try {
+              const result = responseData ? JSON.parse(responseData) : {};
+              resolve(result);
+            } catch (err) {
+              resolve({ success: true }); // Some endpoints return non-JSON success
+            }
+          } else {
+            reject(httpError(`API ${method} ${endpoint} failed: ${response.statusCode} - ${responseData}`, response));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.setTimeout(60000, () => {
+        const error = new Error(`API request timeout: ${method} ${endpoint}`);
+        error.code = 'ETIMEDOUT';
+        req.destroy();
+        reject(error);
+      });
+
+      if (postData) req.write(postData);
+      req.end();
+    });
+  }
+
+  // Form bodies are streams that can only be sent once, so every call builds a fresh one
+  postForm(endpoint, fields, timeout = 60000) {
+    const FormData = requireFormData();
+    const form = new FormData();
+    for (const field of fields) {
+      if (field.file) {
+        form.append(field.name, fs.createReadStream(field.file), { filename: field.filename, contentType: field.contentType });
+      } else if (Buffer.isBuffer(field.value)) {
+        form.append(field.name, field.value, { filename: field.filename, contentType: field.contentType });
+      } else {
+        form.append(field.name, String(field.value));
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const options = {
+        method: 'POST',
+        headers: {
+          'X-API-Key': this.apiKey,
+          'Accept': 'application/json',
+          ...form.getHeaders()
+        }
+      };
+
+      const req = https.request(`https://${this.host}/api${endpoint}`, options, (response) => {
+        let data = '';
+        response.on('data', (chunk) => { data += chunk; });
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            try {
+              resolve(data ? JSON.parse(data) : {});
+            } catch (err) {
+              resolve({ success: true }); // Some endpoints return non-JSON success
+            }
+          } else {
+            reject(httpError(`API POST ${endpoint} failed: ${response.statusCode} - ${data}`, response));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.setTimeout(timeout, () => {
+        const error = new Error(`API request timeout: POST ${endpoint}`);
+        error.code = 'ETIMEDOUT';
+        req.destroy();
+        reject(error);
+      });
+
+      form.pipe(req);
+    });
+  }
+}
+
+// The backend a config asks for: `"backend": { "type": "simulator" }` or the real station
+function createBackend(config) {
+  const backend = config.backend || {};
+  if (backend.type === 'simulator') return new AzuraCastSimulator(backend);
+  return new HttpBackend(config.azuraCast);
+}
+
+module.exports = {
+  HttpBackend,
+  createBackend
+};
@@ -0,0 +1,184 @@
+const COMMANDS = {
+  run: {
+    summary: 'Full pipeline: orphan cleanup, fetch, upload, then episode cleanup (default)',
+    flags: ['dryRun', 'planFile', 'applyPlan']
+  },
+  daemon: {
+    summary: 'Keep running and poll every show on its own schedule',
+    flags: []
+  },
+  fetch: {
+    summary: 'List new episodes without uploading anything',
+    flags: []
+  },
+  upload: {
+    summary: 'Upload new episodes of the shows given with --show (no cleanup)',
+    flags: ['dryRun', 'planFile']
+  },
+  cleanup: {
+    summary: 'Archive orphaned files and/or retire episodes beyond the configured limits',
+    flags: ['dryRun', 'planFile', 'orphans', 'limits']
+  },
+  playlists: {
+    summary: 'Show the station playlists and how many files each holds',
+    flags: []
+  },
+  reprocess: {
+    summary: 'Forget an episode and upload it again right away',
+    args: ['guid'],
+    flags: []
+  },
+  forget: {
+    summary: 'Remove an episode from the ledger; the next run re-adopts a file with its title, or uploads it again',
+    args: ['guid'],
+    flags: []
+  },
+  'migrate-layout': {
+    summary: 'Move the files of shows with a pathTemplate into their folder layout',
+    flags: ['dryRun', 'planFile']
+  },
+  restore: {
+    summary: 'Move an archived file (by ID or path) back and re-add it to its playlists',
+    args: ['file'],
+    flags: []
+  },
+  status: {
+    summary: 'Summarise the episode ledger per show',
+    flags: []
+  },
+  validate: {
+    summary: 'Check the configuration and print it with secrets redacted',
+    flags: []
+  }
+};
+
+// Flags accepted by every command
+const GLOBAL_FLAGS = ['config', 'show', 'station', 'verbose', 'quiet', 'help'];
+
+const FLAGS = {
+  '--config': { name: 'config', value: true },
+  '-c': { name: 'config', value: true },
+  '--show': { name: 'show', value: true, list: 'shows' },
+  '--station': { name: 'station', value: true, list: 'stations' },
+  '--verbose': { name: 'verbose' },
+  '-v': { name: 'verbose' },
+  '--quiet': { name: 'quiet' },
+  '-q': { name: 'quiet' },
+  '--help': { name: 'help' },
+  '-h': { name: 'help' },
+  '--dry-run': { name: 'dryRun' },
+  '--plan-file': { name: 'planFile', value: true },
+  '--apply-plan': { name: 'applyPlan', value: true },
+  '--orphans': { name: 'orphans' },
+  '--limits': { name: 'limits' }
+};
+
+const USAGE = `Usage: podcast-uploader [command] [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, command]) => {
+  const usage = [name, ...(command.args || []).map(arg => `<${arg}>`)].join(' ');
+  return `  ${usage.padEnd(18)}${command.summary}`;
+}).join('\n')}
+
+Global options:
+  -c, --config <path>   Configuration file (default: ./config.json); <name>.local.json is layered over it
+  --show <rssUrl>       Only work on this show; may be given more than once
+  --station <name>      Only work on this station (multi-station configs); may be given more than once
+  -v, --verbose         Print DEBUG messages to the console
+  -q, --quiet           Only print warnings and errors to the console
+  -h, --help            Show this help
+
+Command options:
+  --dry-run             Print a plan instead of changing anything (run, upload, cleanup, migrate-layout)
+  --plan-file <path>    Save the dry-run plan to a file
+  --apply-plan <path>   Execute a previously saved plan (run)
+  --orphans             Only archive orphaned files (cleanup)
+  --limits              Only retire episodes beyond the show limits (cleanup)
+`;
+
+/**
+ * Parses command-line arguments into `{ command, args, options }`. Without a command
+ * the full `run` pipeline is selected, so `podcast-uploader --dry-run` keeps working.
+ */
+function parseArgs(argv) {
+  const options = { shows: [], stations: [] };
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flagName, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const flag = FLAGS[flagName];
+
+    if (!flag) {
+      if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+      positionals.push(arg);
+      continue;
+    }
+
+    if (!flag.value) {
+      options[flag.name] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === '') {
+      throw new Error(`${flagName} requires a value`);
+    }
+    if (flag.list) {
+      options[flag.list].push(value);
+    } else {
+      options[flag.name] = value;
+    }
+  }
+
+  const command = positionals.length > 0 ? positionals.shift() : 'run';
+  if (command === 'help' || options.help) {
+    return { command: 'help', args: [], options };
+  }
+
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  const expectedArgs = spec.args || [];
+  if (positionals.length !== expectedArgs.length) {
+    throw new Error(`Usage: podcast-uploader ${[command, ...expectedArgs.map(arg => `<${arg}>`)].join(' ')}`);
+  }
+
+  const allowed = new Set([...GLOBAL_FLAGS, ...spec.flags]);
+  for (const [name, value] of Object.entries(options)) {
+    if (Array.isArray(value) || !value) continue;
+    if (!allowed.has(name)) {
+      const flag = Object.keys(FLAGS).find(key => key.startsWith('--') && FLAGS[key].name === name);
+      throw new Error(`${flag} cannot be used with the ${command} command`);
+    }
+  }
+
+  if (options.verbose && options.quiet) {
+    throw new Error('--verbose and --quiet cannot be combined');
+  }
+  if (options.planFile && !options.dryRun) {
+    throw new Error('--plan-file can only be used together with --dry-run');
+  }
+  if (options.applyPlan && options.dryRun) {
+    throw new Error('--apply-plan cannot be combined with --dry-run');
+  }
+  if (command === 'upload' && options.shows.length === 0) {
+    throw new Error('upload requires --show <rssUrl>');
+  }
+
+  const args = {};
+  expectedArgs.forEach((name, index) => { args[name] = positionals[index]; });
+
+  return { command, args, options };
+}
+
+module.exports = {
+  COMMANDS,
+  USAGE,
+  parseArgs
+};
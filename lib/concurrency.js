@@ -0,0 +1,58 @@
+/**
+ * Counting semaphore with a FIFO queue: at most `limit` tasks hold it at once, and
+ * waiting tasks are admitted in the order they asked.
+ */
+class Semaphore {
+  constructor(limit) {
+    this.limit = Math.max(1, Math.floor(limit) || 1);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    // The slot passes straight to the next waiter, so `active` stays the same
+    if (next) next();
+    else this.active--;
+  }
+
+  async run(task) {
+    await this.acquire();
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+/**
+ * Hands out turns in the order they were requested: `next(key)` returns a promise
+ * that settles once every earlier holder of the same key called its `done()`.
+ */
+class TurnQueue {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  next(key) {
+    let done;
+    const finished = new Promise(resolve => { done = resolve; });
+    const turn = this.tails.get(key) || Promise.resolve();
+    this.tails.set(key, turn.then(() => finished));
+    return { turn, done };
+  }
+}
+
+module.exports = {
+  Semaphore,
+  TurnQueue
+};
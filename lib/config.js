@@ -0,0 +1,600 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { FEED_FORMATS } = require('./feed-parser');
+const { parseDuration, CronExpression, DailyWindow } = require('./schedule');
+const { compileTemplate } = require('./metadata-template');
+const { PathTemplate } = require('./path-template');
+const { PLAYLIST_TYPES, PLAYLIST_ORDERS, playlistSettings } = require('./playlists');
+const { NOTIFICATION_EVENTS, NOTIFIER_TYPES, validateNotifier } = require('./notifiers');
+
+class ConfigError extends Error {
+  constructor(errors, files) {
+    super(`Invalid configuration: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+    this.files = files;
+  }
+}
+
+// Schema building blocks. `check` may throw to reject a value of the right type;
+// `values` validates every entry of an object whose keys are free-form.
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const integer = { type: 'integer' };
+const positiveInteger = { type: 'integer', minimum: 1 };
+const positiveNumber = { type: 'number', minimum: 0, exclusiveMinimum: true };
+const duration = { type: ['string', 'number'], check: parseDuration };
+const url = {
+  type: 'string',
+  check: (value) => {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (error) {
+      throw new Error(`"${value}" is not a valid URL`);
+    }
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error(`"${value}" is not an http(s) URL`);
+  }
+};
+
+const pattern = { type: 'string', check: (value) => new RegExp(value, 'i') };
+const template = { type: 'string', check: compileTemplate };
+const pathTemplate = { type: 'string', check: (value) => new PathTemplate(value) };
+
+const FILTERS = {
+  type: 'object',
+  properties: {
+    includeTitle: pattern,
+    excludeTitle: pattern,
+    includeDescription: pattern,
+    excludeDescription: pattern,
+    minDuration: duration,
+    maxDuration: duration,
+    skipEpisodeTypes: { type: 'array', items: { type: 'string', enum: ['full', 'trailer', 'bonus'] } },
+    skipExplicit: boolean,
+    seasons: { type: 'array', items: positiveInteger }
+  }
+};
+
+const METADATA = {
+  type: 'object',
+  properties: {
+    title: template,
+    artist: template,
+    album: template,
+    genre: template,
+    lyrics: template,
+    isrc: template,
+    comment: template,
+    // Keyed by the short name of an AzuraCast custom field
+    customFields: { type: 'object', values: template }
+  }
+};
+
+// A playlist a show declares by name, created and kept in line by the uploader
+const PLAYLIST = {
+  type: 'object',
+  required: ['name'],
+  check: (value) => {
+    if (matchesType(value, 'object')) playlistSettings(value);
+  },
+  properties: {
+    name: string,
+    type: { type: 'string', enum: PLAYLIST_TYPES },
+    order: { type: 'string', enum: PLAYLIST_ORDERS },
+    weight: { type: 'integer', minimum: 1 },
+    playPer: positiveInteger,
+    schedule: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['start', 'end'],
+        properties: {
+          days: { type: 'array', items: { type: ['string', 'integer'] } },
+          start: string,
+          end: string
+        }
+      }
+    }
+  }
+};
+
+// Checks on downloaded episodes; tolerances are percentages, 0 turning the check off
+const MEDIA_VALIDATION = {
+  type: 'object',
+  properties: {
+    enabled: boolean,
+    sizeTolerance: { type: 'number', minimum: 0 },
+    durationTolerance: { type: 'number', minimum: 0 }
+  }
+};
+
+const SHOW_SETTINGS = {
+  format: { type: 'string', enum: ['auto', ...FEED_FORMATS] },
+  maxEpisodes: positiveInteger,
+  maxAgeDays: positiveNumber,
+  playlistId: integer,
+  // Playlist IDs, or playlists declared by name
+  playlists: { type: 'array', items: { ...PLAYLIST, type: ['integer', 'object'] } },
+  enabled: boolean,
+  pollInterval: duration,
+  schedule: { type: 'string', check: (value) => new CronExpression(value) },
+  filters: FILTERS,
+  metadata: METADATA,
+  mediaValidation: MEDIA_VALIDATION,
+  pathTemplate,
+  // Fixes {show.slug}, so the show's folder survives a change of the feed title
+  slug: { type: 'string', check: (value) => {
+    if (/[/\\]/.test(value)) throw new Error(`"${value}" must not contain slashes`);
+  } },
+  retention: {
+    type: 'object',
+    properties: {
+      minPlays: positiveInteger,
+      retireAfterPlays: positiveInteger,
+      protectQueued: boolean
+    }
+  }
+};
+
+const STATION_SHOW = {
+  type: 'object',
+  required: ['rssUrl'],
+  properties: {
+    rssUrl: url,
+    ...SHOW_SETTINGS
+  }
+};
+
+const SHOW = {
+  ...STATION_SHOW,
+  properties: {
+    ...STATION_SHOW.properties,
+    // Station names, or objects overriding show settings for one station
+    stations: {
+      type: 'array',
+      items: {
+        type: ['string', 'object'],
+        required: ['name'],
+        properties: { name: string, ...SHOW_SETTINGS }
+      }
+    }
+  }
+};
+
+const CONNECTION = {
+  host: { type: 'string', check: (value) => {
+    if (/^https?:\/\//i.test(value) || value.includes('/')) throw new Error('give the bare host name, without https:// or a path');
+  } },
+  // AzuraCast accepts the numeric ID or the station's short name
+  stationId: { type: ['integer', 'string'] },
+  apiKey: string,
+  defaultPlaylist: integer
+};
+
+const NOTIFIER = {
+  type: 'object',
+  required: ['type'],
+  check: validateNotifier,
+  properties: {
+    type: { type: 'string', enum: NOTIFIER_TYPES },
+    name: string,
+    events: { type: 'array', items: { type: 'string', enum: NOTIFICATION_EVENTS } },
+    // Webhook, Discord, Slack, ntfy (with the topic) and Gotify
+    url,
+    headers: { type: 'object', values: string },
+    // ntfy access token or Gotify application token
+    token: string,
+    // SMTP
+    host: string,
+    port: positiveInteger,
+    secure: boolean,
+    username: string,
+    password: string,
+    from: string,
+    to: { type: ['string', 'array'], items: string }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  check: (config) => {
+    if (!config.azuraCast && !config.stations) throw new Error('needs either an "azuraCast" section or a "stations" list');
+  },
+  properties: {
+    azuraCast: {
+      type: 'object',
+      required: ['host', 'stationId', 'apiKey'],
+      properties: CONNECTION
+    },
+    stations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'host', 'stationId', 'apiKey'],
+        properties: {
+          name: { type: 'string', check: (value) => {
+            if (!/^[A-Za-z0-9_-]+$/.test(value)) throw new Error('use only letters, digits, "-" and "_"');
+          } },
+          ...CONNECTION,
+          ledgerFile: string,
+          shows: { type: 'array', items: STATION_SHOW }
+        }
+      }
+    },
+    shows: { type: 'array', items: SHOW },
+    tempDir: string,
+    logFile: string,
+    logging: {
+      type: 'object',
+      properties: {
+        // Lowest level written to the log file; the console's comes from --verbose / --quiet
+        level: { type: 'string', enum: ['DEBUG', 'INFO', 'WARN', 'ERROR'] },
+        format: { type: 'string', enum: ['json', 'text'] },
+        console: { type: 'string', enum: ['text', 'pretty', 'json'] },
+        maxSizeMB: { type: 'number', minimum: 0 },
+        rotateDaily: boolean,
+        retention: duration,
+        maxFiles: positiveInteger
+      }
+    },
+    ledgerFile: string,
+    feedCacheFile: string,
+    metadata: METADATA,
+    archive: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        directory: string,
+        retention: duration
+      }
+    },
+    orphanCleanup: {
+      type: 'object',
+      properties: {
+        allowPaths: { type: 'array', items: string },
+        denyPaths: { type: 'array', items: string }
+      }
+    },
+    // Where AzuraCast requests go: the real station (default) or the offline simulator
+    backend: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['http', 'simulator'] },
+        indexingDelay: { type: ['string', 'number'], check: (value) => value === 0 || parseDuration(value) },
+        stateFile: string,
+        // Size of every simulated station's media storage, unlimited when missing
+        quotaMB: positiveNumber,
+        // Feed URL -> fixture file, and download URL -> local file
+        feeds: { type: 'object', values: string },
+        media: { type: 'object', values: string }
+      }
+    },
+    upload: {
+      type: 'object',
+      properties: {
+        method: { type: 'string', enum: ['auto', 'flow', 'base64'] },
+        chunkSizeMB: positiveNumber,
+        pathTemplate,
+        indexingInterval: duration
+      }
+    },
+    retry: {
+      type: 'object',
+      properties: {
+        attempts: positiveInteger,
+        initialDelay: duration,
+        maxDelay: duration,
+        maxRetryAfter: duration
+      }
+    },
+    concurrency: {
+      type: 'object',
+      properties: {
+        episodes: positiveInteger,
+        downloads: positiveInteger,
+        uploads: positiveInteger,
+        indexing: positiveInteger,
+        finalize: positiveInteger,
+        api: positiveInteger
+      }
+    },
+    notifications: {
+      type: 'object',
+      properties: {
+        quotaWarningPercent: { type: 'number', minimum: 0 },
+        notifiers: { type: 'array', items: NOTIFIER }
+      }
+    },
+    daemon: {
+      type: 'object',
+      properties: {
+        pollInterval: duration,
+        cleanupWindow: { type: 'string', check: (value) => new DailyWindow(value) },
+        serverFilesMaxAge: duration,
+        shutdownTimeout: duration
+      }
+    },
+    mediaValidation: {
+      ...MEDIA_VALIDATION,
+      properties: {
+        ...MEDIA_VALIDATION.properties,
+        // Where rejected downloads are kept, each with a JSON file giving the reason
+        quarantineDir: string
+      }
+    },
+    // Prometheus metrics for one-shot runs; the daemon serves them on the status server
+    metrics: {
+      type: 'object',
+      properties: {
+        textfile: string
+      }
+    },
+    // Dashboard and control API; see lib/status-server.js
+    statusServer: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        host: string,
+        port: { type: 'integer', minimum: 0, check: (value) => {
+          if (value > 65535) throw new Error(`port ${value} is out of range`);
+        } },
+        // Bearer token for the control endpoints, which are refused without one
+        token: string
+      }
+    }
+  }
+};
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'object') return 'an object';
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key, known) {
+  const lower = key.toLowerCase();
+  const [best] = known
+    .map(candidate => ({ candidate, distance: editDistance(lower, candidate.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance);
+  return best && best.distance <= Math.max(2, Math.floor(key.length / 4)) ? ` (did you mean "${best.candidate}"?)` : '';
+}
+
+function childPath(where, key) {
+  return where ? `${where}.${key}` : key;
+}
+
+function validateValue(value, schema, where, errors) {
+  const label = where || 'config';
+  const types = [].concat(schema.type);
+
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push(`${label}: expected ${types.join(' or ')}, got ${describe(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' &&
+      (value < schema.minimum || (schema.exclusiveMinimum && value === schema.minimum))) {
+    errors.push(`${label}: must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}, got ${value}`);
+    return;
+  }
+  if (schema.check) {
+    try {
+      schema.check(value);
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+      return;
+    }
+  }
+
+  if (schema.properties && matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === '') errors.push(`${childPath(where, key)}: required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties[key];
+      if (!childSchema) {
+        errors.push(`${childPath(where, key)}: unknown key${suggestKey(key, Object.keys(schema.properties))}`);
+        continue;
+      }
+      validateValue(child, childSchema, childPath(where, key), errors);
+    }
+  }
+
+  if (schema.values && matchesType(value, 'object')) {
+    for (const [key, child] of Object.entries(value)) validateValue(child, schema.values, childPath(where, key), errors);
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${label}[${index}]`, errors));
+  }
+}
+
+// Replaces ${NAME} (or ${NAME:-default}) in every string with the environment variable
+function substituteEnv(value, env, where, errors) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      if (env[name] !== undefined) return env[name];
+      if (fallback !== undefined) return fallback;
+      errors.push(`${where || 'config'}: environment variable ${name} is not set`);
+      return match;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => substituteEnv(item, env, `${where}[${index}]`, errors));
+  }
+  if (matchesType(value, 'object')) {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = substituteEnv(child, env, childPath(where, key), errors);
+    }
+    return result;
+  }
+  return value;
+}
+
+// AZURACAST_HOST / _STATION_ID / _API_KEY, or AZURACAST_<STATION NAME>_... for a `stations` entry
+const ENV_OVERRIDES = {
+  host: 'HOST',
+  stationId: 'STATION_ID',
+  apiKey: 'API_KEY'
+};
+
+function applyEnvOverrides(config, env) {
+  const apply = (target, prefix) => {
+    for (const [key, suffix] of Object.entries(ENV_OVERRIDES)) {
+      const value = env[`${prefix}_${suffix}`];
+      if (value === undefined || value === '') continue;
+      target[key] = key === 'stationId' && /^\d+$/.test(value) ? parseInt(value, 10) : value;
+    }
+  };
+
+  if (Array.isArray(config.stations)) {
+    for (const station of config.stations) {
+      if (station && typeof station.name === 'string') {
+        apply(station, `AZURACAST_${station.name.toUpperCase().replace(/-/g, '_')}`);
+      }
+    }
+    return config;
+  }
+
+  const azuraCast = matchesType(config.azuraCast, 'object') ? { ...config.azuraCast } : {};
+  apply(azuraCast, 'AZURACAST');
+  if (config.azuraCast !== undefined || Object.keys(azuraCast).length > 0) {
+    config.azuraCast = azuraCast;
+  }
+  return config;
+}
+
+// Objects are merged key by key; lists and plain values in `override` replace the base
+function mergeConfig(base, override) {
+  if (!matchesType(base, 'object') || !matchesType(override, 'object')) return override;
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = key in base ? mergeConfig(base[key], value) : value;
+  }
+  return result;
+}
+
+// config.json -> config.local.json
+function localConfigPath(configPath) {
+  const extension = path.extname(configPath);
+  return `${configPath.slice(0, configPath.length - extension.length)}.local${extension || '.json'}`;
+}
+
+async function readJson(filePath, optional) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && optional) return null;
+    throw new Error(error.code === 'ENOENT' ? `${filePath} not found` : `Failed to read ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Loads `configPath`, layers `<name>.local.json` over it when present, substitutes
+ * ${ENV_VAR} references, applies AZURACAST_* environment overrides and validates
+ * the result. Throws a ConfigError listing every problem found.
+ *
+ * Returns `{ config, files }`, `files` being the config files that were read.
+ */
+async function loadConfig(configPath, env = process.env) {
+  const files = [configPath];
+  let config = await readJson(configPath, false);
+
+  const localPath = localConfigPath(configPath);
+  const local = await readJson(localPath, true);
+  if (local !== null) {
+    config = mergeConfig(config, local);
+    files.push(localPath);
+  }
+
+  const errors = [];
+  config = substituteEnv(config, env, '', errors);
+  if (matchesType(config, 'object')) applyEnvOverrides(config, env);
+  validateValue(config, CONFIG_SCHEMA, '', errors);
+
+  if (errors.length > 0) throw new ConfigError(errors, files);
+  return { config, files };
+}
+
+// Header names count too, e.g. a webhook's "Authorization"
+const SECRET_KEY = /(apikey|password|secret|token|authorization)$/i;
+
+// Webhook URLs carry their secret in the path (https://discord.com/api/webhooks/<id>/<token>), as do ntfy topics
+function redactUrl(value) {
+  try {
+    return `${new URL(value).origin}/********`;
+  } catch (error) {
+    return '********';
+  }
+}
+
+function redactConfig(value, key = '') {
+  if (typeof value === 'string' && SECRET_KEY.test(key)) {
+    return value ? '********' : value;
+  }
+  if (key === 'notifiers' && Array.isArray(value)) {
+    return value.map(notifier => {
+      const redacted = redactConfig(notifier);
+      if (matchesType(notifier, 'object') && typeof notifier.url === 'string') {
+        redacted.url = redactUrl(notifier.url);
+      }
+      return redacted;
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => redactConfig(item));
+  if (matchesType(value, 'object')) {
+    const result = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      result[childKey] = redactConfig(child, childKey);
+    }
+    return result;
+  }
+  return value;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ConfigError,
+  loadConfig,
+  localConfigPath,
+  redactConfig,
+  validateValue
+};
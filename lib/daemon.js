@@ -0,0 +1,250 @@
+const { parseDuration, formatDuration, CronExpression, DailyWindow } = require('./schedule');
+
+// Longest the daemon sleeps between checks, so a changed clock or window is noticed
+const MAX_SLEEP_MS = 60 * 1000;
+
+/**
+ * Long-running mode around one PodcastUploader per station. Each show is polled on
+ * its own schedule (`pollInterval` or a cron `schedule`), orphan and limit cleanup
+ * run once a day inside `daemon.cleanupWindow`, and the cached station file lists
+ * are only reloaded after changes or once older than `daemon.serverFilesMaxAge`.
+ */
+class Daemon {
+  constructor(uploaders) {
+    // `daemon` settings are shared by every station
+    const daemonConfig = uploaders[0].config.daemon || {};
+
+    this.uploaders = uploaders;
+    this.defaultInterval = parseDuration(daemonConfig.pollInterval || '60m');
+    this.cleanupWindow = daemonConfig.cleanupWindow ? new DailyWindow(daemonConfig.cleanupWindow) : null;
+    this.serverFilesMaxAge = parseDuration(daemonConfig.serverFilesMaxAge || '60m');
+    this.shutdownTimeout = parseDuration(daemonConfig.shutdownTimeout || '10m');
+
+    this.schedules = uploaders.flatMap(uploader => uploader.activeShows().map(showConfig => ({
+      uploader,
+      showConfig,
+      ...this.scheduleFor(showConfig),
+      nextPoll: new Date() // Every show is polled once on startup
+    })));
+
+    // Work handed in by the status server, run between polls so it never overlaps one
+    this.actions = [];
+
+    this.stopping = false;
+    this.lastCleanupDay = null;
+    this.wake = null;
+    this.onSignal = this.onSignal.bind(this);
+  }
+
+  scheduleFor(showConfig) {
+    if (showConfig.schedule) {
+      const cron = new CronExpression(showConfig.schedule);
+      return { description: `cron "${showConfig.schedule}"`, next: (after) => cron.next(after) };
+    }
+
+    const interval = showConfig.pollInterval ? parseDuration(showConfig.pollInterval) : this.defaultInterval;
+    return {
+      description: `every ${formatDuration(interval)}`,
+      next: (after) => new Date(after.getTime() + interval)
+    };
+  }
+
+  async start() {
+    await this.log('🚀 Starting AzuraCast Podcast Uploader daemon');
+    for (const uploader of this.uploaders) {
+      await uploader.ensureTempDir();
+      await uploader.loadLedger();
+      await uploader.loadServerFiles();
+      await uploader.provisionPlaylists();
+    }
+
+    for (const schedule of this.schedules) {
+      await schedule.uploader.log(`⏰ ${schedule.showConfig.rssUrl}: polling ${schedule.description}`);
+    }
+    if (this.cleanupWindow) {
+      await this.log(`⏰ Daily cleanup window: ${this.cleanupWindow.value}`);
+    } else {
+      await this.log('💡 No daemon.cleanupWindow configured, cleanup will not run in daemon mode');
+    }
+
+    process.on('SIGTERM', this.onSignal);
+    process.on('SIGINT', this.onSignal);
+
+    try {
+      while (!this.stopping) {
+        await this.tick();
+        if (!this.stopping) await this.sleep(this.msUntilNextDue());
+      }
+    } finally {
+      process.removeListener('SIGTERM', this.onSignal);
+      process.removeListener('SIGINT', this.onSignal);
+      await this.saveLedgers();
+      await this.log('👋 Daemon stopped');
+    }
+  }
+
+  // Daemon-wide messages go through the first station's uploader, without its station prefix
+  log(message, level) {
+    return this.uploaders[0].log(message, level, { station: false });
+  }
+
+  saveLedgers() {
+    return Promise.all(this.uploaders.map(uploader => uploader.saveLedger()));
+  }
+
+  /**
+   * Queues `action` to run once the poll in progress is done, and resolves with its
+   * result. Used for anything that reads or writes the ledger, like reprocess and forget.
+   */
+  enqueue(action) {
+    if (this.stopping) return Promise.reject(new Error('The daemon is shutting down'));
+    return new Promise((resolve, reject) => {
+      this.actions.push({ action, resolve, reject });
+      if (this.wake) this.wake();
+    });
+  }
+
+  // Polls every show (of one station, when `stationName` is given) right away
+  requestRun(stationName = null) {
+    const schedules = this.schedules.filter(schedule => !stationName || schedule.uploader.stationName === stationName);
+    for (const schedule of schedules) schedule.nextPoll = new Date();
+    if (this.wake) this.wake();
+    return schedules.length;
+  }
+
+  async runActions() {
+    while (this.actions.length > 0 && !this.stopping) {
+      const { action, resolve, reject } = this.actions.shift();
+      try {
+        resolve(await action());
+      } catch (error) {
+        reject(error);
+      }
+    }
+  }
+
+  async tick() {
+    await this.runActions();
+    const now = new Date();
+
+    if (this.cleanupWindow && this.cleanupWindow.contains(now)) {
+      const day = this.cleanupWindow.windowDay(now);
+      if (day !== this.lastCleanupDay) {
+        for (const uploader of this.uploaders) {
+          if (this.stopping) return;
+          try {
+            await this.runCleanup(uploader);
+          } catch (error) {
+            await uploader.log(`❌ Cleanup failed: ${error.message}`, 'ERROR');
+          }
+        }
+        this.lastCleanupDay = day;
+      }
+    }
+
+    const due = this.schedules
+      .filter(schedule => schedule.nextPoll <= now)
+      .sort((a, b) => a.nextPoll - b.nextPoll);
+
+    for (const schedule of due) {
+      if (this.stopping) return;
+      await this.runActions();
+
+      if (schedule.uploader.pausedShows.has(schedule.showConfig.rssUrl)) {
+        schedule.nextPoll = schedule.next(new Date());
+        await schedule.uploader.log(`⏸️ Skipping the poll of paused ${schedule.showConfig.rssUrl}`, 'DEBUG');
+        continue;
+      }
+
+      try {
+        await this.pollShow(schedule.uploader, schedule.showConfig);
+      } catch (error) {
+        await schedule.uploader.log(`❌ Poll of ${schedule.showConfig.rssUrl} failed: ${error.message}`, 'ERROR');
+      }
+
+      schedule.nextPoll = schedule.next(new Date());
+      await schedule.uploader.log(`⏰ Next poll of ${schedule.showConfig.rssUrl} at ${schedule.nextPoll.toISOString()}`, 'DEBUG');
+    }
+  }
+
+  // Every poll and cleanup gets its own run ID, so its log lines can be picked out
+  async pollShow(uploader, showConfig) {
+    uploader.beginRun('poll');
+    try {
+      await uploader.refreshServerFiles(this.serverFilesMaxAge);
+      const allEpisodes = await uploader.collectEpisodes([showConfig]);
+      const newEpisodes = await uploader.selectNewEpisodes(allEpisodes);
+
+      if (newEpisodes.length === 0) {
+        await uploader.saveLedger();
+      } else {
+        await uploader.processEpisodes(newEpisodes);
+      }
+      uploader.endRun();
+    } catch (error) {
+      uploader.endRun(error.message);
+      throw error;
+    }
+  }
+
+  async runCleanup(uploader) {
+    uploader.beginRun('cleanup');
+    await uploader.log('\n🧹 Daily cleanup window reached');
+    await uploader.refreshServerFiles(this.serverFilesMaxAge);
+    // Playlist settings changed in AzuraCast since the last cleanup are put back first
+    await uploader.provisionPlaylists();
+    await uploader.cleanupOrphanedFiles();
+    if (this.stopping) return;
+    await uploader.cleanupOldEpisodes();
+
+    // The run summary covers the day since the previous cleanup window
+    await uploader.finishRun();
+    uploader.resetRunReport();
+  }
+
+  msUntilNextDue() {
+    const nextPoll = Math.min(...this.schedules.map(schedule => schedule.nextPoll.getTime()));
+    return Math.max(0, Math.min(MAX_SLEEP_MS, nextPoll - Date.now()));
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.wake = null;
+        resolve();
+      }, ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+    });
+  }
+
+  onSignal(signal) {
+    if (this.stopping) {
+      // Second signal: checkpoint what we have and leave immediately
+      this.log(`⏹️ ${signal} received again, exiting without waiting`, 'WARN')
+        .then(() => this.saveLedgers())
+        .finally(() => process.exit(1));
+      return;
+    }
+
+    this.stopping = true;
+    for (const { reject } of this.actions.splice(0)) reject(new Error('The daemon is shutting down'));
+    for (const uploader of this.uploaders) {
+      uploader.stopRequested = true;
+    }
+    this.log(`⏹️ ${signal} received, finishing the episodes in progress before shutting down`, 'WARN');
+    if (this.wake) this.wake();
+
+    // Episodes still running after the timeout resume from their checkpoint on the next start
+    setTimeout(() => {
+      this.log(`⏹️ Shutdown timed out after ${formatDuration(this.shutdownTimeout)}, exiting`, 'WARN')
+        .then(() => this.saveLedgers())
+        .finally(() => process.exit(1));
+    }, this.shutdownTimeout).unref();
+  }
+}
+
+module.exports = Daemon;
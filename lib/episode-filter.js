@@ -0,0 +1,89 @@
+const { parseDuration, formatDuration } = require('./schedule');
+
+const PATTERN_RULES = ['includeTitle', 'excludeTitle', 'includeDescription', 'excludeDescription'];
+
+function compilePattern(name, pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid ${name} pattern ${JSON.stringify(pattern)}: ${error.message}`);
+  }
+}
+
+function plainText(html) {
+  return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * A show's `filters` rules. reasonToSkip() returns why an episode should not be
+ * uploaded, or null to keep it. Patterns are case-insensitive regular expressions;
+ * descriptions are matched with their HTML tags removed. Episodes whose duration or
+ * season the feed does not give are only skipped by the `seasons` rule.
+ */
+class EpisodeFilter {
+  constructor(rules = {}) {
+    this.patterns = {};
+    for (const name of PATTERN_RULES) {
+      if (rules[name]) this.patterns[name] = compilePattern(name, rules[name]);
+    }
+
+    this.minDuration = rules.minDuration !== undefined ? parseDuration(rules.minDuration) : null;
+    this.maxDuration = rules.maxDuration !== undefined ? parseDuration(rules.maxDuration) : null;
+    this.skipEpisodeTypes = (rules.skipEpisodeTypes || []).map(type => type.toLowerCase());
+    this.skipExplicit = Boolean(rules.skipExplicit);
+    this.seasons = rules.seasons || null;
+  }
+
+  reasonToSkip(episode, showMetadata = {}) {
+    const { includeTitle, excludeTitle, includeDescription, excludeDescription } = this.patterns;
+    const description = includeDescription || excludeDescription ? plainText(episode.description) : '';
+
+    if (includeTitle && !includeTitle.test(episode.title)) {
+      return `title does not match includeTitle /${includeTitle.source}/`;
+    }
+    if (excludeTitle && excludeTitle.test(episode.title)) {
+      return `title matches excludeTitle /${excludeTitle.source}/`;
+    }
+    if (includeDescription && !includeDescription.test(description)) {
+      return `description does not match includeDescription /${includeDescription.source}/`;
+    }
+    if (excludeDescription && excludeDescription.test(description)) {
+      return `description matches excludeDescription /${excludeDescription.source}/`;
+    }
+
+    if (episode.durationSeconds !== null && episode.durationSeconds !== undefined) {
+      const durationMs = episode.durationSeconds * 1000;
+      if (this.minDuration !== null && durationMs < this.minDuration) {
+        return `duration ${formatDuration(durationMs)} is shorter than minDuration ${formatDuration(this.minDuration)}`;
+      }
+      if (this.maxDuration !== null && durationMs > this.maxDuration) {
+        return `duration ${formatDuration(durationMs)} is longer than maxDuration ${formatDuration(this.maxDuration)}`;
+      }
+    }
+
+    if (episode.episodeType && this.skipEpisodeTypes.includes(episode.episodeType)) {
+      return `episode type is "${episode.episodeType}"`;
+    }
+
+    // An episode without its own itunes:explicit inherits the show's
+    const explicit = episode.explicit !== null && episode.explicit !== undefined ? episode.explicit : showMetadata.explicit;
+    if (this.skipExplicit && explicit === true) {
+      return 'episode is marked explicit';
+    }
+
+    if (this.seasons) {
+      if (episode.season === null || episode.season === undefined) {
+        return `no season given, only seasons ${this.seasons.join(', ')} are uploaded`;
+      }
+      if (!this.seasons.includes(episode.season)) {
+        return `season ${episode.season} is not one of ${this.seasons.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  EpisodeFilter
+};
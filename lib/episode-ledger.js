@@ -0,0 +1,203 @@
+const fs = require('fs').promises;
+
+const LEDGER_VERSION = 2;
+
+const STATUS = {
+  UPLOADED: 'uploaded',
+  IN_PLAYLIST: 'in_playlist',
+  RETIRED: 'retired',
+  ARCHIVED: 'archived',
+  DELETED: 'deleted'
+};
+
+/**
+ * Persistent record of every episode the uploader has handled, keyed by GUID.
+ *
+ * Each entry ties an episode to the AzuraCast file it became:
+ *   { guid, rssUrl, title, fileId, uploadedAt, pubDate, sourceUrl, fileHash, status, updatedAt }
+ *
+ * Alongside the episodes it keeps `playlists`, the AzuraCast ID of every playlist a
+ * show declares by name, so a playlist renamed in AzuraCast is still recognised, and
+ * `archived`, every file orphan cleanup moved to the archive folder:
+ *   { fileId, title, path, archivedPath, playlists, archivedAt, reason }
+ *
+ * Version 1 of processed-episodes.json was a flat array of GUIDs; those are migrated
+ * to entries with `legacy: true` and no file ID.
+ */
+class EpisodeLedger {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.playlists = new Map();
+    this.archived = new Map();
+    this.migratedFrom = null;
+    this.saving = null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // With `dryRun`, a version 1 ledger is migrated in memory only: no backup, nothing written
+  async load({ dryRun = false } = {}) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.entries = new Map();
+        return false;
+      }
+      throw new Error(`Failed to read episode ledger ${this.filePath}: ${error.message}`);
+    }
+
+    this.entries = new Map();
+
+    if (Array.isArray(data)) {
+      // Legacy format: a flat list of processed GUIDs
+      if (!dryRun) await fs.writeFile(`${this.filePath}.v1.bak`, JSON.stringify(data, null, 2));
+      for (const guid of data) {
+        this.entries.set(guid, {
+          guid,
+          rssUrl: null,
+          fileId: null,
+          status: STATUS.UPLOADED,
+          legacy: true
+        });
+      }
+      this.migratedFrom = 1;
+      if (!dryRun) await this.save();
+      return true;
+    }
+
+    if (!data || data.version !== LEDGER_VERSION || !Array.isArray(data.episodes)) {
+      throw new Error(`Unsupported episode ledger format in ${this.filePath}`);
+    }
+
+    for (const entry of data.episodes) {
+      this.entries.set(entry.guid, entry);
+    }
+    this.playlists = new Map(Object.entries(data.playlists || {}));
+    this.archived = new Map((data.archived || []).map(record => [String(record.fileId), record]));
+    return true;
+  }
+
+  // Saves from concurrently processed episodes are queued, so they never share the temp file
+  save() {
+    const write = () => this.write();
+    this.saving = (this.saving || Promise.resolve()).then(write, write);
+    return this.saving;
+  }
+
+  async write() {
+    const data = {
+      version: LEDGER_VERSION,
+      episodes: Array.from(this.entries.values()),
+      playlists: Object.fromEntries(this.playlists),
+      archived: Array.from(this.archived.values())
+    };
+
+    // Write to a temp file first so a crash never leaves a truncated ledger behind
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  has(guid) {
+    return this.entries.has(guid);
+  }
+
+  get(guid) {
+    return this.entries.get(guid) || null;
+  }
+
+  record(guid, fields) {
+    const entry = {
+      ...(this.entries.get(guid) || { guid }),
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (entry.fileId) delete entry.legacy;
+    this.entries.set(guid, entry);
+    return entry;
+  }
+
+  setStatus(guid, status) {
+    if (!this.entries.has(guid)) return null;
+    return this.record(guid, { status });
+  }
+
+  forget(guid) {
+    return this.entries.delete(guid);
+  }
+
+  findByFileId(fileId) {
+    for (const entry of this.entries.values()) {
+      if (entry.fileId !== null && entry.fileId !== undefined && String(entry.fileId) === String(fileId)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  findBySourceUrl(rssUrl, sourceUrl) {
+    for (const entry of this.entries.values()) {
+      if (entry.rssUrl === rssUrl && entry.sourceUrl === sourceUrl) return entry;
+    }
+    return null;
+  }
+
+  // An episode with the same audio that is still on air: in a playlist and not half-processed
+  findByHash(fileHash) {
+    for (const entry of this.entries.values()) {
+      if (entry.fileHash === fileHash && entry.fileId && entry.status === STATUS.IN_PLAYLIST && !entry.pending) return entry;
+    }
+    return null;
+  }
+
+  forShow(rssUrl) {
+    return Array.from(this.entries.values()).filter(entry => entry.rssUrl === rssUrl);
+  }
+
+  playlistId(name) {
+    return this.playlists.has(name) ? this.playlists.get(name) : null;
+  }
+
+  setPlaylistId(name, playlistId) {
+    this.playlists.set(name, playlistId);
+  }
+
+  recordArchived(record) {
+    this.archived.set(String(record.fileId), record);
+  }
+
+  // An archived file by its ID, or by its original or archived path
+  findArchived(fileIdOrPath) {
+    const key = String(fileIdOrPath);
+    if (this.archived.has(key)) return this.archived.get(key);
+    for (const record of this.archived.values()) {
+      if (record.path === key || record.archivedPath === key) return record;
+    }
+    return null;
+  }
+
+  forgetArchived(fileId) {
+    return this.archived.delete(String(fileId));
+  }
+
+  // IDs of every server file the ledger knows about, whatever its status
+  claimedFileIds() {
+    const ids = new Set();
+    for (const entry of this.entries.values()) {
+      if (entry.fileId !== null && entry.fileId !== undefined) ids.add(String(entry.fileId));
+    }
+    return ids;
+  }
+}
+
+module.exports = {
+  LEDGER_VERSION,
+  STATUS,
+  EpisodeLedger
+};
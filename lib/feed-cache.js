@@ -0,0 +1,80 @@
+const fs = require('fs').promises;
+
+// Bump whenever the parsed episode shape changes, so stale parses are not reused on a 304
+const FEED_CACHE_VERSION = 2;
+
+/**
+ * Remembers the validators (ETag / Last-Modified) and parsed content of every feed,
+ * so unchanged feeds can be fetched with a conditional GET and answered from cache.
+ */
+class FeedCache {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.feeds = new Map();
+    this.loaded = false;
+    this.dirty = false;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      if (data.version === FEED_CACHE_VERSION && data.feeds && typeof data.feeds === 'object') {
+        this.feeds = new Map(Object.entries(data.feeds));
+      }
+    } catch (error) {
+      // A missing or unreadable cache only costs one full fetch per feed
+      this.feeds = new Map();
+    }
+    this.loaded = true;
+  }
+
+  async save() {
+    if (!this.dirty) return;
+
+    const data = {
+      version: FEED_CACHE_VERSION,
+      feeds: Object.fromEntries(this.feeds)
+    };
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, this.filePath);
+    this.dirty = false;
+  }
+
+  // Cached entry for a feed, with episode dates revived; null if parsed with another format
+  get(url, format) {
+    const entry = this.feeds.get(url);
+    if (!entry || entry.format !== format) return null;
+
+    return {
+      ...entry,
+      parsed: {
+        showMetadata: entry.parsed.showMetadata,
+        episodes: entry.parsed.episodes.map(episode => ({ ...episode, pubDate: new Date(episode.pubDate) }))
+      }
+    };
+  }
+
+  set(url, { format, etag, lastModified, parsed }) {
+    this.feeds.set(url, {
+      format,
+      etag: etag || null,
+      lastModified: lastModified || null,
+      fetchedAt: new Date().toISOString(),
+      parsed
+    });
+    this.dirty = true;
+  }
+
+  touch(url) {
+    const entry = this.feeds.get(url);
+    if (!entry) return;
+    entry.fetchedAt = new Date().toISOString();
+    this.dirty = true;
+  }
+}
+
+module.exports = {
+  FEED_CACHE_VERSION,
+  FeedCache
+};
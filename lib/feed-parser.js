@@ -0,0 +1,464 @@
+const crypto = require('crypto');
+const sax = require('sax');
+
+// Namespace URIs we care about, mapped to the prefix used internally regardless of
+// which prefix a feed actually declares for them
+const KNOWN_NAMESPACES = {
+  'http://www.itunes.com/dtds/podcast-1.0.dtd': 'itunes',
+  'https://www.itunes.com/dtds/podcast-1.0.dtd': 'itunes',
+  'https://podcastindex.org/namespace/1.0': 'podcast',
+  'http://podcastindex.org/namespace/1.0': 'podcast',
+  'https://github.com/podcastindex-org/podcast-namespace/blob/main/docs/1.0.md': 'podcast',
+  'http://search.yahoo.com/mrss/': 'media',
+  'http://search.yahoo.com/mrss': 'media',
+  'http://purl.org/rss/1.0/modules/content/': 'content',
+  'http://purl.org/dc/elements/1.1/': 'dc',
+  'http://www.w3.org/2005/Atom': 'atom'
+};
+
+class FeedNode {
+  constructor(name, attributes) {
+    this.name = name;
+    this.attributes = attributes;
+    this.children = [];
+    this.text = '';
+  }
+
+  child(name) {
+    return this.children.find(node => node.name === name) || null;
+  }
+
+  childrenNamed(name) {
+    return this.children.filter(node => node.name === name);
+  }
+
+  // Text of the first matching child, including text of any (unescaped HTML) descendants
+  childText(...names) {
+    for (const name of names) {
+      const node = this.child(name);
+      const text = node ? node.textContent().trim() : '';
+      if (text) return text;
+    }
+    return '';
+  }
+
+  childAttr(name, attribute) {
+    const node = this.child(name);
+    return node ? (node.attributes[attribute] || '').trim() : '';
+  }
+
+  textContent() {
+    return this.text + this.children.map(node => node.textContent()).join('');
+  }
+}
+
+/**
+ * Streams an XML document through a lenient SAX parser, resolving namespace prefixes
+ * to the internal ones above. `onClose(node, parent)` is called for every element once
+ * it is complete; returning true drops the node from its parent so large feeds never
+ * have to be held in memory as a whole tree.
+ */
+function parseXml(xmlContent, onClose) {
+  const parser = sax.parser(false, { lowercase: true, trim: false, normalize: false, position: false });
+  const root = new FeedNode('#document', {});
+  const stack = [{ node: root, namespaces: {} }];
+
+  const resolveName = (rawName, namespaces, isAttribute = false) => {
+    const separator = rawName.indexOf(':');
+    if (separator === -1) {
+      // Unprefixed attributes never inherit the default namespace
+      if (isAttribute || !namespaces['']) return rawName;
+      const prefix = KNOWN_NAMESPACES[namespaces['']];
+      return prefix && prefix !== 'atom' ? `${prefix}:${rawName}` : rawName;
+    }
+
+    const prefix = rawName.slice(0, separator);
+    const local = rawName.slice(separator + 1);
+    if (prefix === 'xmlns' || prefix === 'xml') return rawName;
+
+    const uri = namespaces[prefix];
+    const known = uri ? KNOWN_NAMESPACES[uri] : null;
+    if (known) return `${known}:${local}`;
+
+    // Undeclared but well-known prefixes are common in hand-rolled feeds
+    return `${prefix}:${local}`;
+  };
+
+  parser.onopentag = (tag) => {
+    const parent = stack[stack.length - 1];
+    const namespaces = { ...parent.namespaces };
+
+    for (const [name, value] of Object.entries(tag.attributes)) {
+      if (name === 'xmlns') {
+        namespaces[''] = String(value).trim().toLowerCase();
+      } else if (name.startsWith('xmlns:')) {
+        namespaces[name.slice(6)] = String(value).trim().toLowerCase();
+      }
+    }
+
+    const attributes = {};
+    for (const [name, value] of Object.entries(tag.attributes)) {
+      attributes[resolveName(name, namespaces, true)] = value;
+    }
+
+    const node = new FeedNode(resolveName(tag.name, namespaces), attributes);
+    parent.node.children.push(node);
+    stack.push({ node, namespaces });
+  };
+
+  parser.onclosetag = () => {
+    if (stack.length <= 1) return;
+    const { node } = stack.pop();
+    const parent = stack[stack.length - 1].node;
+    if (onClose && onClose(node, parent)) {
+      parent.children.pop();
+    }
+  };
+
+  parser.ontext = (text) => {
+    stack[stack.length - 1].node.text += text;
+  };
+
+  parser.oncdata = (text) => {
+    stack[stack.length - 1].node.text += text;
+  };
+
+  // Malformed-but-common feeds (bare ampersands, stray markup) should not abort parsing
+  parser.onerror = () => {
+    parser.error = null;
+    parser.resume();
+  };
+
+  parser.write(xmlContent.replace(/^\uFEFF/, '')).close();
+
+  // Close anything a truncated feed left open
+  while (stack.length > 1) {
+    parser.onclosetag();
+  }
+
+  return root;
+}
+
+// Timezone names seen in feeds that Date.parse() does not understand
+const TIMEZONE_OFFSETS = {
+  CET: '+0100', CEST: '+0200', BST: '+0100', IST: '+0530', EET: '+0200', EEST: '+0300',
+  AEST: '+1000', AEDT: '+1100', JST: '+0900', HST: '-1000', AKST: '-0900', AKDT: '-0800'
+};
+
+function parseDate(value) {
+  if (!value) return new Date();
+
+  const date = new Date(value);
+  if (!isNaN(date.getTime())) return date;
+
+  const withOffset = new Date(value.replace(/\s+([A-Z]{3,5})$/, (match, zone) => ` ${TIMEZONE_OFFSETS[zone] || '+0000'}`));
+  // Unparseable dates sort as the oldest possible episode so they never count as new
+  return isNaN(withOffset.getTime()) ? new Date(0) : withOffset;
+}
+
+function isAudio(type, url) {
+  if (type) return /^audio\//i.test(type) || /^video\/(mp4|x-m4v)/i.test(type);
+  return /\.(mp3|m4a|aac|ogg|oga|opus|flac|wav)(\?|#|$)/i.test(url || '');
+}
+
+function selectEnclosure(item) {
+  const enclosures = item.childrenNamed('enclosure')
+    .map(node => ({ url: (node.attributes.url || '').trim(), type: (node.attributes.type || '').trim(), length: parseNumber(node.attributes.length) }))
+    .filter(enclosure => enclosure.url);
+
+  const mediaContents = item.childrenNamed('media:content')
+    .concat(...item.childrenNamed('media:group').map(group => group.childrenNamed('media:content')))
+    .filter(node => !node.attributes.medium || node.attributes.medium === 'audio')
+    .map(node => ({ url: (node.attributes.url || '').trim(), type: (node.attributes.type || '').trim(), length: parseNumber(node.attributes.filesize) }))
+    .filter(enclosure => enclosure.url);
+
+  const candidates = enclosures.concat(mediaContents);
+  return candidates.find(enclosure => isAudio(enclosure.type, enclosure.url)) || candidates[0] || null;
+}
+
+function itemImage(item) {
+  return item.childAttr('itunes:image', 'href') ||
+    item.childAttr('podcast:image', 'href') ||
+    item.childAttr('media:thumbnail', 'url') ||
+    '';
+}
+
+const DURATION_UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+/**
+ * Parses an itunes:duration into whole seconds. Feeds use "HH:MM:SS", "MM:SS",
+ * plain seconds ("3600" or "3600.5"), and occasionally unit forms like "1h 5m" or
+ * "45 min". Returns null when the value is missing or unreadable.
+ */
+function parseItunesDuration(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text));
+
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(text)) {
+    return Math.round(text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0));
+  }
+
+  const parts = text.match(/(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b/g);
+  if (!parts || parts.join('').replace(/\s/g, '') !== text.replace(/[\s,]/g, '')) return null;
+
+  return Math.round(parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)\s*([a-z])/);
+    return total + parseFloat(amount) * DURATION_UNIT_SECONDS[unit];
+  }, 0));
+}
+
+// itunes:explicit is "true"/"false" today, "yes"/"no"/"clean" in older feeds; null when absent
+function parseExplicit(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (['true', 'yes', 'explicit'].includes(text)) return true;
+  if (['false', 'no', 'clean'].includes(text)) return false;
+  return null;
+}
+
+function parseNumber(value) {
+  const number = parseInt(String(value || '').trim(), 10);
+  return isNaN(number) ? null : number;
+}
+
+// Episode type, explicit flag and season/episode numbers from the iTunes and podcast namespaces
+function itemClassification(item) {
+  return {
+    episodeType: item.childText('itunes:episodetype').toLowerCase() || null,
+    explicit: parseExplicit(item.childText('itunes:explicit')),
+    season: parseNumber(item.childText('itunes:season', 'podcast:season')),
+    episodeNumber: parseNumber(item.childText('itunes:episode', 'podcast:episode'))
+  };
+}
+
+function fallbackGuid(title, enclosureUrl) {
+  return crypto.createHash('md5').update(title + enclosureUrl).digest('hex');
+}
+
+function parseItem(item) {
+  const title = item.childText('title', 'itunes:title');
+  const enclosure = selectEnclosure(item);
+  const enclosureUrl = enclosure ? enclosure.url : '';
+  const duration = item.childText('itunes:duration');
+
+  return {
+    title,
+    description: item.childText('description', 'itunes:summary', 'content:encoded'),
+    pubDate: parseDate(item.childText('pubdate', 'dc:date')),
+    enclosureUrl,
+    // Declared size in bytes, often missing or a placeholder
+    enclosureLength: enclosure ? enclosure.length : null,
+    guid: item.childText('guid') || fallbackGuid(title, enclosureUrl),
+    duration,
+    durationSeconds: parseItunesDuration(duration),
+    ...itemClassification(item),
+    image: itemImage(item)
+  };
+}
+
+/**
+ * Parses an RSS 2.0 podcast feed into `{ showMetadata, episodes }`. Show metadata is
+ * only read from direct children of <channel>, so item or <image> titles never leak
+ * into it, and every episode is read from its own <item> only.
+ */
+function parseRSSFeed(xmlContent) {
+  const episodes = [];
+  let channel = null;
+
+  parseXml(xmlContent, (node, parent) => {
+    if (node.name === 'item') {
+      const episode = parseItem(node);
+      if (episode.enclosureUrl) episodes.push(episode); // Only episodes with audio
+      return true;
+    }
+    if (node.name === 'channel' && !channel) {
+      channel = node;
+    }
+    return false;
+  });
+
+  if (!channel) {
+    throw new Error('Invalid RSS feed: no <channel> element found');
+  }
+
+  const imageNode = channel.child('image');
+  const showMetadata = {
+    title: channel.childText('title', 'itunes:title'),
+    description: channel.childText('description', 'itunes:summary'),
+    author: channel.childText('itunes:author', 'managingeditor', 'dc:creator') ||
+      (channel.child('itunes:owner') ? channel.child('itunes:owner').childText('itunes:name') : ''),
+    image: channel.childAttr('itunes:image', 'href') ||
+      (imageNode ? imageNode.childText('url') : '') ||
+      channel.childAttr('podcast:image', 'href'),
+    explicit: parseExplicit(channel.childText('itunes:explicit'))
+  };
+
+  return { showMetadata, episodes };
+}
+
+function parseAtomEntry(entry) {
+  const title = entry.childText('title', 'media:title');
+  const links = entry.childrenNamed('link');
+  const enclosure = links.find(link => link.attributes.rel === 'enclosure' && isAudio(link.attributes.type, link.attributes.href)) ||
+    links.find(link => link.attributes.rel === 'enclosure');
+  const mediaEnclosure = enclosure ? null : selectEnclosure(entry);
+  const enclosureUrl = enclosure ? (enclosure.attributes.href || '').trim() : (mediaEnclosure ? mediaEnclosure.url : '');
+  const imageLink = links.find(link => link.attributes.rel === 'image' || /^image\//i.test(link.attributes.type || ''));
+
+  const duration = entry.childText('itunes:duration') || entry.childAttr('media:content', 'duration');
+
+  return {
+    title,
+    description: entry.childText('summary', 'content', 'itunes:summary'),
+    pubDate: parseDate(entry.childText('published', 'updated', 'dc:date')),
+    enclosureUrl,
+    enclosureLength: enclosure ? parseNumber(enclosure.attributes.length) : (mediaEnclosure ? mediaEnclosure.length : null),
+    guid: entry.childText('id') || fallbackGuid(title, enclosureUrl),
+    duration,
+    durationSeconds: parseItunesDuration(duration),
+    ...itemClassification(entry),
+    image: itemImage(entry) || (imageLink ? (imageLink.attributes.href || '').trim() : '')
+  };
+}
+
+/**
+ * Parses an Atom feed into the same shape as parseRSSFeed(). Episodes are <entry>
+ * elements with a <link rel="enclosure">, falling back to media:content.
+ */
+function parseAtomFeed(xmlContent) {
+  const episodes = [];
+  let feed = null;
+
+  parseXml(xmlContent, (node) => {
+    // Feeds that bind Atom to a prefix instead of the default namespace
+    node.name = node.name.replace(/^atom:/, '');
+
+    if (node.name === 'entry') {
+      const episode = parseAtomEntry(node);
+      if (episode.enclosureUrl) episodes.push(episode); // Only episodes with audio
+      return true;
+    }
+    if (node.name === 'feed' && !feed) {
+      feed = node;
+    }
+    return false;
+  });
+
+  if (!feed) {
+    throw new Error('Invalid Atom feed: no <feed> element found');
+  }
+
+  const author = feed.child('author');
+  const showMetadata = {
+    title: feed.childText('title'),
+    description: feed.childText('subtitle', 'itunes:summary'),
+    author: feed.childText('itunes:author') || (author ? author.childText('name') : ''),
+    image: feed.childAttr('itunes:image', 'href') || feed.childText('logo', 'icon'),
+    explicit: parseExplicit(feed.childText('itunes:explicit'))
+  };
+
+  return { showMetadata, episodes };
+}
+
+function parseJSONFeedItem(item) {
+  const title = String(item.title || '').trim();
+  const attachments = Array.isArray(item.attachments) ? item.attachments.filter(attachment => attachment && attachment.url) : [];
+  const attachment = attachments.find(candidate => isAudio(candidate.mime_type, candidate.url)) || attachments[0];
+  const enclosureUrl = attachment ? String(attachment.url).trim() : '';
+
+  return {
+    title,
+    description: String(item.content_text || item.summary || item.content_html || '').trim(),
+    pubDate: parseDate(item.date_published || item.date_modified),
+    enclosureUrl,
+    enclosureLength: attachment && attachment.size_in_bytes ? Math.round(Number(attachment.size_in_bytes)) || null : null,
+    guid: item.id !== undefined && item.id !== null && item.id !== '' ? String(item.id) : fallbackGuid(title, enclosureUrl),
+    duration: attachment && attachment.duration_in_seconds ? String(attachment.duration_in_seconds) : '',
+    durationSeconds: attachment && attachment.duration_in_seconds ? Math.round(Number(attachment.duration_in_seconds)) || null : null,
+    // JSON Feed has no standard fields for these
+    episodeType: null,
+    explicit: null,
+    season: null,
+    episodeNumber: null,
+    image: item.image || item.banner_image || ''
+  };
+}
+
+/**
+ * Parses a JSON Feed (1.0 or 1.1) into the same shape as parseRSSFeed(). Episodes
+ * are items with an audio attachment.
+ */
+function parseJSONFeed(content) {
+  let feed;
+  try {
+    feed = typeof content === 'string' ? JSON.parse(content.replace(/^\uFEFF/, '')) : content;
+  } catch (error) {
+    throw new Error(`Invalid JSON Feed: ${error.message}`);
+  }
+
+  if (!feed || typeof feed !== 'object' || !Array.isArray(feed.items)) {
+    throw new Error('Invalid JSON Feed: no items array found');
+  }
+
+  const authors = Array.isArray(feed.authors) ? feed.authors : (feed.author ? [feed.author] : []);
+  const showMetadata = {
+    title: String(feed.title || '').trim(),
+    description: String(feed.description || '').trim(),
+    author: authors.map(author => author && author.name).filter(Boolean).join(', '),
+    image: feed.icon || feed.favicon || '',
+    explicit: null
+  };
+
+  const episodes = feed.items
+    .filter(item => item && typeof item === 'object')
+    .map(parseJSONFeedItem)
+    .filter(ep => ep.enclosureUrl); // Only episodes with audio
+
+  return { showMetadata, episodes };
+}
+
+const FEED_FORMATS = ['rss', 'atom', 'json'];
+
+function detectFeedFormat(content) {
+  const start = content.replace(/^\uFEFF/, '').trimStart();
+  if (start.startsWith('{')) return 'json';
+
+  // First element after the XML prolog, comments and doctype
+  const root = start.replace(/^(<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|\s+)*/i, '').match(/^<([\w.-]+:)?([\w.-]+)/);
+  if (root && root[2].toLowerCase() === 'feed') return 'atom';
+
+  return 'rss';
+}
+
+/**
+ * Parses RSS 2.0, Atom or JSON Feed content. `format` is one of FEED_FORMATS, or
+ * 'auto' (the default) to detect it from the content.
+ */
+function parseFeed(content, format = 'auto') {
+  const resolvedFormat = !format || format === 'auto' ? detectFeedFormat(content) : format;
+
+  switch (resolvedFormat) {
+    case 'rss':
+      return parseRSSFeed(content);
+    case 'atom':
+      return parseAtomFeed(content);
+    case 'json':
+      return parseJSONFeed(content);
+    default:
+      throw new Error(`Unknown feed format "${format}" (expected auto, ${FEED_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  FEED_FORMATS,
+  FeedNode,
+  parseXml,
+  parseDate,
+  parseItunesDuration,
+  detectFeedFormat,
+  parseFeed,
+  parseRSSFeed,
+  parseAtomFeed,
+  parseJSONFeed
+};
@@ -0,0 +1,198 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parseDuration } = require('./schedule');
+
+const LOG_LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+
+// Context fields, in the order they appear in every format
+const FIELDS = ['show', 'guid', 'fileId', 'stage', 'durationMs'];
+
+const COLORS = { DEBUG: '\x1b[90m', INFO: '\x1b[36m', WARN: '\x1b[33m', ERROR: '\x1b[31m' };
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+
+// The emoji that opens most messages; JSON lines leave it out, as they carry the level
+const LEADING_EMOJI = /^(?:\p{Extended_Pictographic}[\u{fe0f}\u{200d}]*)+\s*/u;
+
+// Sortable and short enough to grep for: base-36 start time plus random digits
+function newRunId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function pad(number, width = 2) {
+  return String(number).padStart(width, '0');
+}
+
+// Local date and time for rotated file names, e.g. "2026-10-19_031500"
+function fileStamp(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function localDay(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function fieldsOf(entry) {
+  return FIELDS.filter(field => entry[field] !== undefined && entry[field] !== null);
+}
+
+// The format the log file has always had: time, level, station and the message as written
+function formatText(entry) {
+  const message = entry.station ? entry.message.replace(/^(\n*)/, `$1[${entry.station}] `) : entry.message;
+  return `${entry.time.toISOString()} [${entry.level}] ${message}`;
+}
+
+function formatJson(entry) {
+  const record = {
+    time: entry.time.toISOString(),
+    level: entry.level,
+    runId: entry.runId
+  };
+  if (entry.station) record.station = entry.station;
+  record.message = entry.message.trim().replace(LEADING_EMOJI, '');
+  for (const field of fieldsOf(entry)) record[field] = entry[field];
+  return JSON.stringify(record);
+}
+
+// Short local time, coloured level and the context fields after the message
+function formatPretty(entry, colors) {
+  const paint = (color, text) => (colors ? `${color}${text}${RESET}` : text);
+  const time = `${pad(entry.time.getHours())}:${pad(entry.time.getMinutes())}:${pad(entry.time.getSeconds())}`;
+  const [, breaks, message] = entry.message.match(/^(\n*)([\s\S]*)$/);
+  const station = entry.station ? `[${entry.station}] ` : '';
+  const fields = fieldsOf(entry).map(field => `${field}=${entry[field]}`).join(' ');
+  return `${breaks}${paint(DIM, time)} ${paint(COLORS[entry.level] || '', entry.level.padEnd(5))} ${station}${message}${fields ? ` ${paint(DIM, fields)}` : ''}`;
+}
+
+/**
+ * Writes log entries to the console and the log file, configured by the optional
+ * `logging` section. Each has its own minimum level and format: the file defaults to
+ * JSON lines at INFO, the console to the classic text at the level given on the
+ * command line. The file is rotated once it grows past `maxSizeMB` (and every day
+ * with `rotateDaily`); rotated files past `maxFiles` or older than `retention` are
+ * deleted. Writes are queued, so lines never interleave even when not awaited.
+ *
+ * An entry is `{ time, level, runId, station, message }` plus any of FIELDS.
+ */
+class Logger {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.level = options.level || 'INFO';
+    this.format = options.format || 'json';
+    this.consoleFormat = options.console || 'text';
+    this.consoleLevel = options.consoleLevel || 'INFO';
+    this.maxSize = (options.maxSizeMB === undefined ? 10 : options.maxSizeMB) * 1024 * 1024;
+    this.rotateDaily = Boolean(options.rotateDaily);
+    this.retention = options.retention ? parseDuration(options.retention) : null;
+    this.maxFiles = options.maxFiles === undefined ? 10 : options.maxFiles;
+    this.colors = Boolean(process.stdout.isTTY);
+
+    // Size and day of the current file, read from disk on the first write
+    this.size = null;
+    this.day = null;
+    this.writing = Promise.resolve();
+  }
+
+  write(entry) {
+    const weight = LOG_LEVELS[entry.level] || LOG_LEVELS.INFO;
+
+    if (weight >= LOG_LEVELS[this.consoleLevel]) {
+      if (this.consoleFormat === 'json') console.log(formatJson(entry));
+      else if (this.consoleFormat === 'pretty') console.log(formatPretty(entry, this.colors));
+      else console.log(formatText(entry));
+    }
+
+    if (!this.file || weight < LOG_LEVELS[this.level]) return this.writing;
+    const line = `${this.format === 'text' ? formatText(entry) : formatJson(entry)}\n`;
+    this.writing = this.writing
+      .then(() => this.append(line, entry.time))
+      .catch(error => console.error('Failed to write to log file:', error.message));
+    return this.writing;
+  }
+
+  async append(line, time) {
+    if (this.size === null) {
+      try {
+        const stats = await fs.stat(this.file);
+        this.size = stats.size;
+        this.day = localDay(stats.mtime);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.size = 0;
+        this.day = localDay(time);
+      }
+    }
+
+    const bytes = Buffer.byteLength(line);
+    const full = this.maxSize > 0 && this.size > 0 && this.size + bytes > this.maxSize;
+    const newDay = this.rotateDaily && this.size > 0 && localDay(time) !== this.day;
+    if (full || newDay) await this.rotate();
+
+    await fs.appendFile(this.file, line);
+    this.size += bytes;
+    this.day = localDay(time);
+  }
+
+  // podcast-uploader.log -> podcast-uploader.2026-10-19_031500.log, stamped with its last write
+  async rotate() {
+    const extension = path.extname(this.file);
+    const stem = this.file.slice(0, this.file.length - extension.length);
+    const stats = await fs.stat(this.file);
+
+    let target = `${stem}.${fileStamp(stats.mtime)}${extension}`;
+    for (let number = 2; await exists(target); number++) {
+      target = `${stem}.${fileStamp(stats.mtime)}-${number}${extension}`;
+    }
+    await fs.rename(this.file, target);
+    this.size = 0;
+
+    await this.prune();
+  }
+
+  async prune() {
+    const directory = path.dirname(this.file);
+    const extension = path.extname(this.file);
+    // Only names rotate() gives out, so nothing else in the folder is ever deleted
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escape(path.basename(this.file, extension))}\\.\\d{4}-\\d{2}-\\d{2}_\\d{6}(-\\d+)?${escape(extension)}$`);
+
+    const rotated = [];
+    for (const name of await fs.readdir(directory)) {
+      if (!pattern.test(name)) continue;
+      const filePath = path.join(directory, name);
+      rotated.push({ filePath, mtime: (await fs.stat(filePath)).mtimeMs });
+    }
+    rotated.sort((a, b) => b.mtime - a.mtime);
+
+    const cutoff = this.retention ? Date.now() - this.retention : -Infinity;
+    for (const [index, file] of rotated.entries()) {
+      if (index >= this.maxFiles || file.mtime < cutoff) await fs.unlink(file.filePath);
+    }
+  }
+}
+
+// The logger for a config's `logFile` and `logging` settings; `consoleLevel` comes from --verbose / --quiet
+function createLogger(config, consoleLevel = 'INFO') {
+  return new Logger({
+    ...(config.logging || {}),
+    file: config.logFile || './podcast-uploader.log',
+    consoleLevel
+  });
+}
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  createLogger,
+  newRunId
+};
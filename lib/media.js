@@ -0,0 +1,312 @@
+const fs = require('fs').promises;
+
+// Audio formats recognised by their first bytes, with the extension and type they are uploaded as
+const FORMATS = {
+  mp3: { name: 'MP3', extension: '.mp3', mimeType: 'audio/mpeg' },
+  aac: { name: 'AAC', extension: '.aac', mimeType: 'audio/aac' },
+  m4a: { name: 'M4A', extension: '.m4a', mimeType: 'audio/mp4' },
+  ogg: { name: 'Ogg Vorbis', extension: '.ogg', mimeType: 'audio/ogg' },
+  opus: { name: 'Opus', extension: '.opus', mimeType: 'audio/ogg' },
+  flac: { name: 'FLAC', extension: '.flac', mimeType: 'audio/flac' }
+};
+
+// What error pages and API responses come as; anything else may be audio (CDNs like application/octet-stream)
+const NOT_AUDIO_TYPES = /^(text\/|image\/|application\/(json|xml|xhtml\+xml|javascript|problem\+json)\b)/i;
+
+// Enclosure lengths below this are placeholders ("0", "1", "1024") rather than sizes
+const MIN_DECLARED_BYTES = 10 * 1024;
+
+// Bytes read at a time when looking at a file's header or last Ogg page
+const PROBE_BYTES = 64 * 1024;
+
+// kbps by MPEG version group and layer; index 0 is "free" and 15 is invalid
+const MPEG_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+const MPEG_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// An MPEG audio frame header (not ADTS, which shares the sync bits), or null
+function mpegFrame(buffer, offset) {
+  if (buffer.length < offset + 4 || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+  const version = (buffer[offset + 1] >> 3) & 3;
+  const layerBits = (buffer[offset + 1] >> 1) & 3;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const rateIndex = (buffer[offset + 2] >> 2) & 3;
+  if (version === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const layer = 4 - layerBits;
+  const mpeg1 = version === 3;
+  const bitrate = MPEG_BITRATES[mpeg1 ? 1 : 2][layer][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][rateIndex];
+  const padding = (buffer[offset + 2] >> 1) & 1;
+  return {
+    mpeg1,
+    layer,
+    bitrate,
+    sampleRate,
+    samplesPerFrame: layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152,
+    mono: (buffer[offset + 3] >> 6) === 3,
+    // Bytes from this header to the next
+    length: layer === 1
+      ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+      : Math.floor((layer === 3 && !mpeg1 ? 72 : 144) * bitrate / sampleRate) + padding
+  };
+}
+
+// An ADTS (AAC) frame header with the frame's length and how much audio it holds, or null
+function adtsFrame(buffer, offset) {
+  if (buffer.length < offset + 7 || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xf6) !== 0xf0) return null;
+  const length = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+  const sampleRate = ADTS_SAMPLE_RATES[(buffer[offset + 2] >> 2) & 0x0f];
+  if (length < 7 || !sampleRate) return null;
+  // 1024 samples in each raw data block
+  return { length, sampleRate, samplesPerFrame: ((buffer[offset + 6] & 0x03) + 1) * 1024 };
+}
+
+/**
+ * The first MPEG or ADTS frame that another frame of the same kind follows, as
+ * `{ format, offset, frame }`, or null. ID3 padding and stray bytes often come before
+ * the first frame, and a lone 0xFF byte there can look like a frame header on its own.
+ * A frame that ends exactly where the data does needs no successor.
+ */
+function findFrames(buffer) {
+  for (let offset = 0; offset + 4 <= buffer.length; offset++) {
+    if (buffer[offset] !== 0xff) continue;
+
+    const adts = adtsFrame(buffer, offset);
+    if (adts && (adtsFrame(buffer, offset + adts.length) || offset + adts.length === buffer.length)) {
+      return { format: 'aac', offset, frame: adts };
+    }
+
+    const frame = mpegFrame(buffer, offset);
+    if (!frame) continue;
+    const next = mpegFrame(buffer, offset + frame.length);
+    if ((next && next.layer === frame.layer && next.sampleRate === frame.sampleRate) || offset + frame.length === buffer.length) {
+      return { format: 'mp3', offset, frame };
+    }
+  }
+  return null;
+}
+
+// Size of an ID3v2 tag at the start of a file, or 0
+function id3Size(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  // A footer repeats the header after the tag
+  return 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+}
+
+/**
+ * Seconds that `audioBytes` of frames play, from the average size of the frames that
+ * follow each other from `offset` on, as far as `buffer` reaches. A file's bitrate can
+ * vary from frame to frame, so an estimate from one frame could be far off.
+ */
+function estimateDuration(buffer, offset, frame, audioBytes, nextFrame) {
+  let bytes = 0;
+  let seconds = 0;
+  let position = offset;
+  let current = frame;
+  while (current && position + current.length <= buffer.length) {
+    bytes += current.length;
+    seconds += current.samplesPerFrame / current.sampleRate;
+    position += current.length;
+    current = nextFrame(buffer, position);
+  }
+  return bytes > 0 ? audioBytes * seconds / bytes : null;
+}
+
+// From the Xing/Info or VBRI frame count of a VBR file, or else estimated from the size of its frames
+function mp3Duration(buffer, offset, frame, audioBytes) {
+  const sideInfo = frame.mpeg1 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const tag = buffer.toString('latin1', xing, xing + 4);
+  if ((tag === 'Xing' || tag === 'Info') && buffer.length >= xing + 12 && (buffer.readUInt32BE(xing + 4) & 1)) {
+    return { seconds: buffer.readUInt32BE(xing + 8) * frame.samplesPerFrame / frame.sampleRate, estimated: false };
+  }
+  if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI' && buffer.length >= offset + 54) {
+    return { seconds: buffer.readUInt32BE(offset + 50) * frame.samplesPerFrame / frame.sampleRate, estimated: false };
+  }
+  return { seconds: estimateDuration(buffer, offset, frame, audioBytes, mpegFrame), estimated: true };
+}
+
+// Seconds from the `mvhd` box inside the top-level `moov` box, wherever in the file that is
+async function mp4Duration(handle, fileSize) {
+  const findBox = async (type, start, end) => {
+    let position = start;
+    while (position + 8 <= end) {
+      const header = await readAt(handle, position, 16);
+      if (header.length < 8) return null;
+      let size = header.readUInt32BE(0);
+      let headerSize = 8;
+      if (size === 1 && header.length >= 16) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - position;
+      }
+      if (size < headerSize) return null;
+      if (header.toString('latin1', 4, 8) === type) return { start: position + headerSize, end: position + size };
+      position += size;
+    }
+    return null;
+  };
+
+  const moov = await findBox('moov', 0, fileSize);
+  const mvhd = moov && await findBox('mvhd', moov.start, moov.end);
+  if (!mvhd) return null;
+
+  const box = await readAt(handle, mvhd.start, 32);
+  if (box.length < 20) return null;
+  const [timescale, duration] = box[0] === 1 && box.length >= 32
+    ? [box.readUInt32BE(20), Number(box.readBigUInt64BE(24))]
+    : [box.readUInt32BE(12), box.readUInt32BE(16)];
+  return timescale > 0 ? duration / timescale : null;
+}
+
+// Granule position of the last Ogg page over the stream's sample rate (always 48 kHz for Opus)
+async function oggDuration(handle, fileSize, sampleRate, preSkip) {
+  const tail = await readAt(handle, Math.max(0, fileSize - PROBE_BYTES), Math.min(PROBE_BYTES, fileSize));
+  const page = tail.lastIndexOf('OggS');
+  if (page === -1 || tail.length < page + 14 || !sampleRate) return null;
+  const granule = Number(tail.readBigUInt64LE(page + 6));
+  return Math.max(0, granule - preSkip) / sampleRate;
+}
+
+/**
+ * Works out what a downloaded file is from its first bytes, and how long it plays
+ * where the container says so (or, for AAC and MP3 without a VBR header, the size of
+ * its frames does). Resolves with `{ format, name, extension, mimeType, durationSeconds,
+ * durationEstimated }`; `format` is null for anything that is not one of FORMATS (with
+ * `head`, its first bytes as text), `durationSeconds` null when unknown, and
+ * `durationEstimated` true when it comes from the file size rather than the file's own count.
+ */
+async function inspectMedia(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const head = await readAt(handle, 0, PROBE_BYTES);
+    // What an unknown file starts with, e.g. "<!DOCTYPE html>", for the rejection reason
+    const unknown = { format: null, name: null, extension: null, mimeType: null, durationSeconds: null, durationEstimated: false, head: head.toString('latin1', 0, 16).replace(/[^\x20-\x7e]/g, '.') };
+    const result = (format, durationSeconds = null, durationEstimated = false) => ({ format, ...FORMATS[format], durationSeconds, durationEstimated });
+
+    if (head.toString('latin1', 0, 4) === 'fLaC' && head.length >= 26) {
+      // STREAMINFO: 20-bit sample rate, then 36 bits of total samples
+      const info = 8;
+      const sampleRate = (head[info + 10] << 12) | (head[info + 11] << 4) | (head[info + 12] >> 4);
+      const samples = (head[info + 13] & 0x0f) * 2 ** 32 + head.readUInt32BE(info + 14);
+      return result('flac', sampleRate && samples ? samples / sampleRate : null);
+    }
+
+    if (head.toString('latin1', 0, 4) === 'OggS' && head.length >= 28) {
+      const packet = 27 + head[26];
+      if (head.toString('latin1', packet, packet + 8) === 'OpusHead') {
+        return result('opus', await oggDuration(handle, size, 48000, head.readUInt16LE(packet + 10)));
+      }
+      if (head.toString('latin1', packet, packet + 7) === '\x01vorbis') {
+        return result('ogg', await oggDuration(handle, size, head.readUInt32LE(packet + 12), 0));
+      }
+      return unknown;
+    }
+
+    if (head.toString('latin1', 4, 8) === 'ftyp') {
+      return result('m4a', await mp4Duration(handle, size));
+    }
+
+    // MP3 and AAC streams often start with an ID3 tag, which may hold large cover art
+    const tagSize = id3Size(head);
+    const audio = tagSize > 0 ? await readAt(handle, tagSize, PROBE_BYTES) : head;
+    const found = findFrames(audio);
+    if (found && found.format === 'aac') {
+      return result('aac', estimateDuration(audio, found.offset, found.frame, size - tagSize - found.offset, adtsFrame), true);
+    }
+    if (found && found.frame.layer === 3) {
+      const duration = mp3Duration(audio, found.offset, found.frame, size - tagSize - found.offset);
+      return result('mp3', duration.seconds, duration.estimated);
+    }
+    return unknown;
+  } finally {
+    await handle.close();
+  }
+}
+
+function formatSeconds(seconds) {
+  const rounded = Math.round(seconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const rest = String(rounded % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Checks downloaded episodes against what the server and the feed say about them,
+ * configured by the optional `mediaValidation` section. `sizeTolerance` and
+ * `durationTolerance` are percentages (0 turns that check off). Like the episode
+ * filters, reasonToReject() answers with the reason a file fails, or null.
+ */
+class MediaValidator {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.sizeTolerance = options.sizeTolerance === undefined ? 50 : options.sizeTolerance;
+    this.durationTolerance = options.durationTolerance === undefined ? 10 : options.durationTolerance;
+  }
+
+  /**
+   * `download` is what the download reported, its `contentType`. `episode` gives the
+   * feed's `enclosureLength` and `durationSeconds`.
+   */
+  reasonToReject(media, size, download, episode) {
+    if (!this.enabled) return null;
+
+    const contentType = (download.contentType || '').split(';')[0].trim();
+    if (contentType && NOT_AUDIO_TYPES.test(contentType)) {
+      return `the server sent ${contentType} instead of audio`;
+    }
+
+    if (!media.format) {
+      return `the file is not MP3, AAC, M4A, Ogg, Opus or FLAC audio (it starts with ${JSON.stringify(media.head)})`;
+    }
+
+    const declared = episode.enclosureLength;
+    if (this.sizeTolerance > 0 && declared >= MIN_DECLARED_BYTES && Math.abs(size - declared) / declared > this.sizeTolerance / 100) {
+      return `${size} bytes downloaded, but the feed says ${declared} (more than ${this.sizeTolerance}% off)`;
+    }
+
+    const expected = episode.durationSeconds;
+    if (this.durationTolerance > 0 && expected > 0 && media.durationSeconds !== null &&
+        Math.abs(media.durationSeconds - expected) / expected > this.durationTolerance / 100) {
+      const plays = media.durationEstimated ? `about ${formatSeconds(media.durationSeconds)} (estimated from its size)` : formatSeconds(media.durationSeconds);
+      return `the audio plays ${plays}, but the feed says ${formatSeconds(expected)} (more than ${this.durationTolerance}% off)`;
+    }
+
+    return null;
+  }
+
+  // Why the duration of a file that passed could not be compared with the feed's, or null when it was (or the check is off)
+  durationNotChecked(media, episode) {
+    if (!this.enabled || this.durationTolerance <= 0 || !(episode.durationSeconds > 0) || !media.format) return null;
+    return media.durationSeconds === null ? `the ${media.name} file does not say how long it plays` : null;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  MediaValidator,
+  inspectMedia,
+  formatSeconds
+};
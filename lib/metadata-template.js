@@ -0,0 +1,257 @@
+// Fields of an AzuraCast media file that can be set from a template
+const METADATA_FIELDS = ['title', 'artist', 'album', 'genre', 'lyrics', 'isrc', 'comment'];
+
+// What updateFileMetadata() always sent before templates existed
+const DEFAULT_TEMPLATES = {
+  title: '{episode.title}',
+  artist: '{show.author}',
+  album: '{show.title}',
+  comment: '{episode.description:500}'
+};
+
+// Used when a field's template renders to nothing, as AzuraCast shows blanks as "Unknown"
+const FALLBACKS = {
+  title: 'Unknown Episode',
+  artist: 'Unknown',
+  album: 'Podcast'
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', deg: '°', euro: '€', pound: '£'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+// Plain text of an HTML fragment: line breaks and paragraphs become newlines, tags go, entities are decoded
+function stripHtml(html) {
+  const text = String(html || '')
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])\s*>/gi, '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// "Café Talk: Episode #12!" -> "cafe-talk-episode-12"
+function slugify(text, maxLength = 80) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '');
+}
+
+function pad(number, width = 2) {
+  return String(number).padStart(width, '0');
+}
+
+const DATE_TOKENS = {
+  YYYY: date => String(date.getFullYear()),
+  YY: date => pad(date.getFullYear() % 100),
+  MMMM: date => MONTHS[date.getMonth()],
+  MMM: date => MONTHS[date.getMonth()].slice(0, 3),
+  MM: date => pad(date.getMonth() + 1),
+  M: date => String(date.getMonth() + 1),
+  DD: date => pad(date.getDate()),
+  D: date => String(date.getDate()),
+  dddd: date => WEEKDAYS[date.getDay()],
+  ddd: date => WEEKDAYS[date.getDay()].slice(0, 3),
+  HH: date => pad(date.getHours()),
+  mm: date => pad(date.getMinutes()),
+  ss: date => pad(date.getSeconds())
+};
+
+const DATE_TOKEN_PATTERN = new RegExp(Object.keys(DATE_TOKENS).sort((a, b) => b.length - a.length).join('|'), 'g');
+
+// Dates are formatted in the local time zone, like the daemon's schedules
+function formatDate(date, format) {
+  return format.replace(DATE_TOKEN_PATTERN, token => DATE_TOKENS[token](date));
+}
+
+function formatSeconds(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours > 0 ? `${hours}:${pad(minutes)}` : minutes}:${pad(seconds % 60)}`;
+}
+
+// Placeholder name -> how to read it from `{ episode, show, file }`, and its kind for formatting
+const PLACEHOLDERS = {
+  'show.title': { kind: 'text', read: ({ show }) => show.title },
+  // A show's `slug` setting pins it, so a renamed feed keeps its folder
+  'show.slug': { kind: 'text', read: ({ show }) => show.slug || slugify(show.title) },
+  'show.author': { kind: 'text', read: ({ show }) => show.author },
+  'show.description': { kind: 'text', read: ({ show }) => stripHtml(show.description) },
+  'episode.title': { kind: 'text', read: ({ episode }) => episode.title },
+  'episode.slug': { kind: 'text', read: ({ episode }) => slugify(episode.title) },
+  'episode.description': { kind: 'text', read: ({ episode }) => stripHtml(episode.description) },
+  'episode.guid': { kind: 'text', read: ({ episode }) => episode.guid },
+  'episode.type': { kind: 'text', read: ({ episode }) => episode.episodeType },
+  'episode.duration': {
+    kind: 'text',
+    read: ({ episode }) => (Number.isFinite(episode.durationSeconds) ? formatSeconds(episode.durationSeconds) : '')
+  },
+  'episode.number': { kind: 'number', read: ({ episode }) => episode.episodeNumber },
+  'episode.season': { kind: 'number', read: ({ episode }) => episode.season },
+  'pubDate': { kind: 'date', read: ({ episode }) => episode.pubDate },
+  // Only known for upload paths: the audio file's extension, without the dot
+  'file.extension': { kind: 'text', read: ({ file }) => (file ? file.extension : '') }
+};
+
+function formatValue(value, kind, format) {
+  if (value === null || value === undefined || value === '') return '';
+
+  if (kind === 'date') {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return format ? formatDate(date, format) : date.toISOString();
+  }
+  if (kind === 'number') {
+    // {episode.number:3} pads to three digits
+    return format ? pad(value, parseInt(format, 10)) : String(value);
+  }
+
+  const text = String(value).trim();
+  if (!format) return text;
+  // {episode.description:500} keeps at most 500 characters
+  const limit = parseInt(format, 10);
+  return text.length > limit ? text.slice(0, limit).trimEnd() : text;
+}
+
+/**
+ * Parses a template like "{show.title} – {pubDate:YYYY-MM-DD}" into literal strings and
+ * placeholders. `{{` and `}}` stand for literal braces. Throws on unknown placeholders,
+ * unclosed braces and formats that do not fit the placeholder.
+ */
+function compileTemplate(template) {
+  const parts = [];
+  let literal = '';
+  let index = 0;
+
+  while (index < template.length) {
+    const char = template[index];
+    if ((char === '{' || char === '}') && template[index + 1] === char) {
+      literal += char;
+      index += 2;
+      continue;
+    }
+    if (char === '}') throw new Error(`unmatched "}" at position ${index + 1} (write "}}" for a literal brace)`);
+    if (char !== '{') {
+      literal += char;
+      index++;
+      continue;
+    }
+
+    const end = template.indexOf('}', index);
+    if (end === -1) throw new Error(`unclosed "{" at position ${index + 1} (write "{{" for a literal brace)`);
+
+    const expression = template.slice(index + 1, end);
+    const separator = expression.indexOf(':');
+    const name = (separator === -1 ? expression : expression.slice(0, separator)).trim();
+    const format = separator === -1 ? '' : expression.slice(separator + 1);
+    const placeholder = PLACEHOLDERS[name];
+    if (!placeholder) {
+      throw new Error(`unknown placeholder {${name}}; use one of ${Object.keys(PLACEHOLDERS).map(key => `{${key}}`).join(', ')}`);
+    }
+    if (format && placeholder.kind !== 'date' && !/^\d+$/.test(format)) {
+      throw new Error(`{${name}} only takes a number as its format, got "${format}"`);
+    }
+
+    if (literal) parts.push(literal);
+    literal = '';
+    parts.push({ name, format, ...placeholder });
+    index = end + 1;
+  }
+
+  if (literal) parts.push(literal);
+  return parts;
+}
+
+// `escape` is applied to every placeholder value, e.g. to keep slashes out of path segments
+function renderTemplate(parts, context, escape = value => value) {
+  return parts
+    .map(part => (typeof part === 'string' ? part : escape(formatValue(part.read(context), part.kind, part.format))))
+    .join('')
+    .trim();
+}
+
+/**
+ * The metadata written to an uploaded file. `templates` holds a template per field of
+ * METADATA_FIELDS plus `customFields`, AzuraCast custom field short names mapped to
+ * templates. Fields without a template keep the defaults above; a field whose template
+ * renders empty falls back to FALLBACKS or is not sent at all.
+ */
+class MetadataTemplates {
+  constructor(templates = {}) {
+    this.fields = {};
+    for (const field of METADATA_FIELDS) {
+      const template = templates[field] !== undefined ? templates[field] : DEFAULT_TEMPLATES[field];
+      if (template !== undefined) this.fields[field] = compileTemplate(template);
+    }
+
+    this.customFields = {};
+    for (const [key, template] of Object.entries(templates.customFields || {})) {
+      this.customFields[key] = compileTemplate(template);
+    }
+  }
+
+  // Global `metadata` settings with a show's own on top; custom fields are merged key by key
+  static forShow(globalTemplates = {}, showTemplates = {}) {
+    return new MetadataTemplates({
+      ...globalTemplates,
+      ...showTemplates,
+      customFields: { ...globalTemplates.customFields, ...showTemplates.customFields }
+    });
+  }
+
+  render(episode, showMetadata) {
+    const context = { episode, show: showMetadata || {} };
+    const metadata = {};
+
+    for (const [field, parts] of Object.entries(this.fields)) {
+      const value = renderTemplate(parts, context) || FALLBACKS[field];
+      if (value) metadata[field] = value;
+    }
+
+    const customFields = {};
+    for (const [key, parts] of Object.entries(this.customFields)) {
+      const value = renderTemplate(parts, context);
+      if (value) customFields[key] = value;
+    }
+    if (Object.keys(customFields).length > 0) metadata.custom_fields = customFields;
+
+    return metadata;
+  }
+}
+
+module.exports = {
+  METADATA_FIELDS,
+  PLACEHOLDERS,
+  compileTemplate,
+  renderTemplate,
+  slugify,
+  stripHtml,
+  MetadataTemplates
+};
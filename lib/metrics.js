@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+
+const PREFIX = 'podcast_uploader_';
+
+// Seconds; from a quick API call up to an hour-long upload
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+
+// Every metric the uploader exports, without PREFIX
+const DEFINITIONS = {
+  episodes_uploaded_total: { type: 'counter', help: 'Episodes uploaded to the station' },
+  episodes_failed_total: { type: 'counter', help: 'Episodes that failed to upload' },
+  episodes_skipped_total: { type: 'counter', help: 'Episodes not uploaded, by reason: filter or duplicate' },
+  downloaded_bytes_total: { type: 'counter', help: 'Bytes of episode audio and artwork downloaded' },
+  uploaded_bytes_total: { type: 'counter', help: 'Bytes of episode audio and artwork uploaded to the station' },
+  episode_duration_seconds: { type: 'histogram', help: 'Time to process an episode from download to playlist' },
+  stage_duration_seconds: { type: 'histogram', help: 'Time spent in each stage: download, upload, indexing, metadata and artwork' },
+  feed_fetch_duration_seconds: { type: 'histogram', help: 'Time to fetch and parse a feed' },
+  feed_fetch_errors_total: { type: 'counter', help: 'Feed fetches that failed' },
+  api_errors_total: { type: 'counter', help: 'Failed AzuraCast API requests, by endpoint and status' },
+  orphans_removed_total: { type: 'counter', help: 'Orphaned files removed, by action: archived, deleted or purged' },
+  episodes_retired_total: { type: 'counter', help: 'Episodes taken out of their playlists by the episode limits' },
+  last_success_timestamp_seconds: { type: 'gauge', help: 'Unix time the last run without a fatal error finished' }
+};
+
+// Gauges a textfile keeps from the previous run until this run sets them, so alerts on their age keep working
+const CARRIED_OVER = ['last_success_timestamp_seconds'];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labels) {
+  const pairs = Object.keys(labels)
+    .filter(name => labels[name] !== undefined && labels[name] !== null)
+    .map(name => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+/**
+ * Counters, gauges and histograms in the Prometheus text format, shared by every
+ * station (each sample carries a `station` label). The daemon's status server serves
+ * them at /metrics; one-shot commands write them to `metrics.textfile` for the
+ * node_exporter textfile collector.
+ */
+class Metrics {
+  constructor() {
+    // Metric name -> label string -> value (a number, or the buckets, sum and count of a histogram)
+    this.samples = new Map(Object.keys(DEFINITIONS).map(name => [name, new Map()]));
+  }
+
+  series(name) {
+    const series = this.samples.get(name);
+    if (!series) throw new Error(`Unknown metric: ${name}`);
+    return series;
+  }
+
+  inc(name, labels = {}, amount = 1) {
+    const series = this.series(name);
+    const key = labelString(labels);
+    series.set(key, (series.get(key) || 0) + amount);
+  }
+
+  set(name, labels = {}, value) {
+    this.series(name).set(labelString(labels), value);
+  }
+
+  observe(name, labels = {}, seconds) {
+    const series = this.series(name);
+    const key = labelString(labels);
+    if (!series.has(key)) {
+      series.set(key, { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+    const histogram = series.get(key);
+    DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, { type, help }] of Object.entries(DEFINITIONS)) {
+      const metric = PREFIX + name;
+      lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} ${type}`);
+
+      for (const [key, value] of this.samples.get(name)) {
+        if (type !== 'histogram') {
+          lines.push(`${metric}${key} ${formatValue(value)}`);
+          continue;
+        }
+        // The label string is "{...}" or empty; `le` joins the labels already there
+        const withBound = (bound) => (key ? `${key.slice(0, -1)},le="${bound}"}` : `{le="${bound}"}`);
+        DURATION_BUCKETS.forEach((bound, index) => lines.push(`${metric}_bucket${withBound(bound)} ${value.buckets[index]}`));
+        lines.push(`${metric}_bucket${withBound('+Inf')} ${value.count}`);
+        lines.push(`${metric}_sum${key} ${value.sum}`, `${metric}_count${key} ${value.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Written to a temporary file first, as the collector may read the file at any moment
+  async writeTextfile(filePath) {
+    await this.carryOver(filePath);
+    const temporary = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, this.render());
+    await fs.rename(temporary, filePath);
+  }
+
+  async carryOver(filePath) {
+    let previous;
+    try {
+      previous = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const name of CARRIED_OVER) {
+      const series = this.series(name);
+      const pattern = new RegExp(`^${PREFIX}${name}(\\{.*\\})? (\\S+)$`, 'gm');
+      for (const [, key = '', value] of previous.matchAll(pattern)) {
+        if (!series.has(key) && isFinite(Number(value))) series.set(key, Number(value));
+      }
+    }
+  }
+}
+
+module.exports = {
+  Metrics,
+  DEFINITIONS
+};
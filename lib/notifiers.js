@@ -0,0 +1,238 @@
+const http = require('http');
+const https = require('https');
+const { httpError } = require('./retry');
+const { sendMail } = require('./smtp');
+
+// What a notifier can be told about; `events` in its config picks from these
+const NOTIFICATION_EVENTS = ['run-summary', 'episode-success', 'episode-failure', 'feed-error', 'orphans', 'quota-warning'];
+
+// A notifier without `events` gets everything except a message per uploaded episode
+const DEFAULT_EVENTS = NOTIFICATION_EVENTS.filter(event => event !== 'episode-success');
+
+const NOTIFIER_TYPES = ['webhook', 'discord', 'slack', 'email', 'ntfy', 'gotify'];
+
+// Discord rejects messages longer than this
+const DISCORD_MAX_LENGTH = 2000;
+
+// Priorities as ntfy (1-5) and Gotify (0-10) number them
+const PRIORITIES = {
+  low: { ntfy: 2, gotify: 2 },
+  default: { ntfy: 3, gotify: 5 },
+  high: { ntfy: 4, gotify: 8 }
+};
+
+function postJson(url, body, headers = {}, timeout = 15000) {
+  const payload = JSON.stringify(body);
+  const client = url.startsWith('http://') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const options = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'User-Agent': 'AzuraCast-Podcast-Uploader/1.0',
+        ...headers
+      }
+    };
+
+    const req = client.request(url, options, (response) => {
+      let data = '';
+      response.on('data', (chunk) => { data += chunk; });
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(data);
+        } else {
+          reject(httpError(`POST ${new URL(url).host} failed: ${response.statusCode} - ${data.slice(0, 200)}`, response));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeout, () => {
+      const error = new Error(`Notification to ${new URL(url).host} timed out`);
+      error.code = 'ETIMEDOUT';
+      req.destroy();
+      reject(error);
+    });
+
+    req.write(payload);
+    req.end();
+  });
+}
+
+function stationLabel(station = {}) {
+  return station.name || `${station.host} station ${station.stationId}`;
+}
+
+function describeCounts({ uploaded, failed, retired, archived, deleted }) {
+  return `${uploaded} uploaded, ${failed} failed, ${retired} retired, ${archived} archived, ${deleted} deleted`;
+}
+
+function describeShow(show) {
+  const parts = [];
+  if (show.feedError) parts.push(`feed error: ${show.feedError}`);
+  if (show.uploaded.length > 0) parts.push(`uploaded ${show.uploaded.map(title => `"${title}"`).join(', ')}`);
+  for (const failure of show.failed) parts.push(`failed "${failure.title}": ${failure.error}`);
+  if (show.retired > 0) parts.push(`retired ${show.retired}`);
+  return `- ${show.title || show.rssUrl}: ${parts.join('; ')}`;
+}
+
+/**
+ * Title, plain text and priority of a notification, shared by every notifier type so
+ * a chat message, an email and a push notification all say the same thing.
+ */
+function formatNotification(event, data) {
+  const station = stationLabel(data.station);
+
+  switch (event) {
+    case 'run-summary': {
+      const shows = data.shows.filter(show => show.feedError || show.uploaded.length > 0 || show.failed.length > 0 || show.retired > 0);
+      const lines = [`Process Complete: ${describeCounts(data.counts)}`];
+      if (data.fatal) lines.push(`Stopped early: ${data.fatal}`);
+      if (shows.length > 0) lines.push('', ...shows.map(describeShow));
+      const problems = data.fatal || data.counts.failed > 0 || shows.some(show => show.feedError);
+      return { title: `Podcast run on ${station}${problems ? ' had problems' : ' finished'}`, text: lines.join('\n'), priority: problems ? 'high' : 'low' };
+    }
+    case 'episode-success':
+      return {
+        title: `Uploaded to ${station}: ${data.episode.title}`,
+        text: `"${data.episode.title}" from ${data.show.title} was uploaded as ${data.path || `file ${data.fileId}`}.`,
+        priority: 'low'
+      };
+    case 'episode-failure':
+      return {
+        title: `Upload failed on ${station}: ${data.episode.title}`,
+        text: `"${data.episode.title}" from ${data.show.title} could not be uploaded: ${data.error}`,
+        priority: 'high'
+      };
+    case 'feed-error':
+      return {
+        title: `Feed error on ${station}: ${data.show.title || data.show.rssUrl}`,
+        text: `${data.show.rssUrl} could not be fetched: ${data.error}`,
+        priority: 'high'
+      };
+    case 'orphans': {
+      const lines = [`${data.files.length} files ${data.action} on ${station}:`];
+      lines.push(...data.files.map(file => `- "${file.title}" (ID ${file.id}${file.path ? `, ${file.path}` : ''})`));
+      if (data.failed > 0) lines.push(`${data.failed} more could not be ${data.action}.`);
+      return { title: `${data.files.length} orphaned files ${data.action} on ${station}`, text: lines.join('\n'), priority: 'default' };
+    }
+    case 'quota-warning':
+      return {
+        title: `Storage on ${station} is ${data.usedPercent}% full`,
+        text: `Station media uses ${data.used} of ${data.quota} (${data.usedPercent}%).`,
+        priority: 'high'
+      };
+    default:
+      return { title: `${event} on ${station}`, text: JSON.stringify(data), priority: 'default' };
+  }
+}
+
+// Throws when a notifier lacks what its type needs; used by the config schema
+function validateNotifier(notifier) {
+  const need = (key, why) => {
+    if (!notifier[key] || (Array.isArray(notifier[key]) && notifier[key].length === 0)) {
+      throw new Error(`${notifier.type} notifiers need "${key}"${why ? ` (${why})` : ''}`);
+    }
+  };
+
+  if (notifier.type === 'email') {
+    need('host', 'the SMTP server');
+    need('from');
+    need('to');
+  } else {
+    need('url');
+  }
+  if (notifier.type === 'gotify') need('token', 'an application token');
+  if (notifier.type === 'ntfy') {
+    let topic = '';
+    try {
+      topic = new URL(notifier.url).pathname.replace(/\//g, '');
+    } catch (error) {
+      return; // The url itself is reported as invalid
+    }
+    if (!topic) throw new Error('ntfy notifiers need the topic in their url, e.g. https://ntfy.sh/my-radio');
+  }
+}
+
+const SENDERS = {
+  // The whole event, for scripts and automation platforms
+  webhook: (notifier, event, data, message) => postJson(notifier.url, {
+    event,
+    title: message.title,
+    text: message.text,
+    timestamp: new Date().toISOString(),
+    ...data
+  }, notifier.headers),
+
+  discord: (notifier, event, data, message) => {
+    const content = `**${message.title}**\n${message.text}`;
+    return postJson(notifier.url, {
+      content: content.length > DISCORD_MAX_LENGTH ? `${content.slice(0, DISCORD_MAX_LENGTH - 1)}…` : content
+    }, notifier.headers);
+  },
+
+  slack: (notifier, event, data, message) => postJson(notifier.url, { text: `*${message.title}*\n${message.text}` }, notifier.headers),
+
+  // The topic is the last part of the url, as when subscribing to it
+  ntfy: (notifier, event, data, message) => {
+    const url = new URL(notifier.url);
+    const headers = { ...notifier.headers };
+    if (notifier.token) headers.Authorization = `Bearer ${notifier.token}`;
+    return postJson(url.origin, {
+      topic: url.pathname.replace(/^\/+|\/+$/g, ''),
+      title: message.title,
+      message: message.text,
+      priority: PRIORITIES[message.priority].ntfy,
+      tags: [event]
+    }, headers);
+  },
+
+  gotify: (notifier, event, data, message) => postJson(`${notifier.url.replace(/\/+$/, '')}/message`, {
+    title: message.title,
+    message: message.text,
+    priority: PRIORITIES[message.priority].gotify
+  }, { ...notifier.headers, 'X-Gotify-Key': notifier.token }),
+
+  email: (notifier, event, data, message) => sendMail(notifier, { subject: message.title, text: message.text })
+};
+
+/**
+ * The notifiers of the `notifications` config section. Each one receives the events
+ * listed in its `events` (DEFAULT_EVENTS when missing). A notifier that fails does not
+ * stop the others; send() resolves with the failures so the caller can log them.
+ */
+class Notifications {
+  constructor(options = {}) {
+    this.notifiers = (options.notifiers || []).map((notifier, index) => ({
+      ...notifier,
+      name: notifier.name || `${notifier.type} #${index + 1}`,
+      events: notifier.events || DEFAULT_EVENTS
+    }));
+  }
+
+  wants(event) {
+    return this.notifiers.some(notifier => notifier.events.includes(event));
+  }
+
+  async send(event, data) {
+    const notifiers = this.notifiers.filter(notifier => notifier.events.includes(event));
+    if (notifiers.length === 0) return [];
+
+    const message = formatNotification(event, data);
+    const results = await Promise.allSettled(notifiers.map(notifier => SENDERS[notifier.type](notifier, event, data, message)));
+
+    return results
+      .map((result, index) => ({ name: notifiers[index].name, error: result.reason }))
+      .filter((failure, index) => results[index].status === 'rejected');
+  }
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFIER_TYPES,
+  Notifications,
+  formatNotification,
+  validateNotifier
+};
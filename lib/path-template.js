@@ -0,0 +1,95 @@
+const path = require('path').posix;
+const { compileTemplate, renderTemplate } = require('./metadata-template');
+
+// Placeholders that differ from one episode to the next; everything before the first one is the show's folder
+const EPISODE_PLACEHOLDER = /^(episode\.|pubDate$|file\.)/;
+
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.aac', '.ogg', '.oga', '.opus', '.flac', '.wav'];
+
+// Characters that would split a value into folders or that AzuraCast's storage does not accept in names
+function sanitizeSegment(value) {
+  return value
+    .replace(/[/\\]/g, '-')
+    .replace(/[\u0000-\u001f<>:"|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Drops empty and dot-only segments, so a blank placeholder never produces "a//b" or climbs out with ".."
+function normalizePath(value) {
+  return value
+    .split('/')
+    .map(segment => segment.trim().replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Where an episode is stored on the station, e.g. "podcasts/{show.slug}/{pubDate:YYYY}/{episode.slug}.{file.extension}".
+ * Uses the placeholders of metadata templates; slashes inside placeholder values are
+ * replaced, so only the template itself decides the folders. Throws on templates that
+ * would put every episode of a show at the same path.
+ */
+class PathTemplate {
+  constructor(template) {
+    this.template = template;
+    this.parts = compileTemplate(template);
+
+    // {file.extension} alone would still give every episode the same name
+    const fileName = template.slice(template.lastIndexOf('/') + 1);
+    if (!compileTemplate(fileName).some(part => typeof part !== 'string' && /^(episode\.|pubDate$)/.test(part.name))) {
+      throw new Error('the file name needs an episode placeholder such as {episode.slug} or {episode.guid}');
+    }
+
+    const firstEpisodePart = this.parts.findIndex(part => typeof part !== 'string' && EPISODE_PLACEHOLDER.test(part.name));
+    this.folderParts = this.parts.slice(0, firstEpisodePart);
+    this.showSpecific = this.folderParts.some(part => typeof part !== 'string' && part.name.startsWith('show.'));
+  }
+
+  /**
+   * The station path for an episode. `extension` is the audio file's, without the dot.
+   * It replaces a different audio extension written in the template ("….mp3" for an
+   * M4A episode) and is appended when the template has none, so AzuraCast reads the
+   * file as what it is.
+   */
+  render(episode, showMetadata, extension) {
+    const context = { episode, show: showMetadata || {}, file: { extension } };
+    const rendered = normalizePath(renderTemplate(this.parts, context, sanitizeSegment));
+    if (!extension) return rendered;
+
+    const current = path.extname(rendered).toLowerCase();
+    if (current === `.${extension.toLowerCase()}`) return rendered;
+    const stem = AUDIO_EXTENSIONS.includes(current) ? rendered.slice(0, -current.length) : rendered;
+    return `${stem}.${extension}`;
+  }
+
+  /**
+   * The folder holding all of a show's episodes, rendered from the template up to its
+   * first episode placeholder, or null when the layout does not give each show a folder
+   * of its own (`ownFolder` says a show-level template makes any folder its own).
+   */
+  showFolder(showMetadata, ownFolder = false) {
+    if (!this.showSpecific && !ownFolder) return null;
+
+    const rendered = renderTemplate(this.folderParts, { episode: {}, show: showMetadata || {} }, sanitizeSegment);
+    const folder = normalizePath(rendered.slice(0, rendered.lastIndexOf('/') + 1));
+    return folder || null;
+  }
+}
+
+// Whether a station path lies inside a folder
+function isInFolder(filePath, folder) {
+  return Boolean(folder) && String(filePath || '').startsWith(`${folder}/`);
+}
+
+// "podcasts/show/episode.mp3" and 2 -> "podcasts/show/episode-2.mp3"
+function numberedPath(filePath, number) {
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}-${number}${extension}`;
+}
+
+module.exports = {
+  PathTemplate,
+  isInFolder,
+  numberedPath
+};
@@ -0,0 +1,63 @@
+// Files and history entries are matched on AzuraCast's song ID, or on artist and title when it is missing
+function songKeys(song) {
+  const keys = [];
+  if (song.song_id || song.id) keys.push(`id:${song.song_id || song.id}`);
+  if (song.title) keys.push(`text:${(song.artist || '').toLowerCase().trim()} - ${song.title.toLowerCase().trim()}`);
+  return keys;
+}
+
+function fileKeys(file) {
+  const keys = [];
+  if (file.song_id) keys.push(`id:${file.song_id}`);
+  if (file.title) keys.push(`text:${(file.artist || '').toLowerCase().trim()} - ${file.title.toLowerCase().trim()}`);
+  return keys;
+}
+
+/**
+ * Play counts and queue membership of station files, built from the station's song
+ * history (`GET /station/{id}/history`) and upcoming queue (`GET /station/{id}/queue`).
+ * Only plays inside the fetched history window are counted.
+ */
+class PlayHistory {
+  constructor(history = [], queue = []) {
+    this.plays = new Map();
+    for (const entry of history) {
+      if (!entry || !entry.song) continue;
+      const playedAt = entry.played_at ? new Date(entry.played_at * 1000) : null;
+
+      for (const key of songKeys(entry.song)) {
+        const stats = this.plays.get(key) || { plays: 0, lastPlayed: null };
+        stats.plays++;
+        if (playedAt && (!stats.lastPlayed || playedAt > stats.lastPlayed)) stats.lastPlayed = playedAt;
+        this.plays.set(key, stats);
+      }
+    }
+
+    this.queued = new Set();
+    for (const entry of queue) {
+      if (entry && entry.song) songKeys(entry.song).forEach(key => this.queued.add(key));
+    }
+  }
+
+  // `{ plays, lastPlayed }` for a file; the song ID is trusted over a title match
+  statsFor(file) {
+    for (const key of fileKeys(file)) {
+      if (this.plays.has(key)) return this.plays.get(key);
+    }
+    return { plays: 0, lastPlayed: null };
+  }
+
+  isQueued(file) {
+    return fileKeys(file).some(key => this.queued.has(key));
+  }
+}
+
+function describePlays({ plays, lastPlayed }) {
+  if (plays === 0) return 'never played';
+  return `played ${plays} time${plays === 1 ? '' : 's'}, last ${lastPlayed ? lastPlayed.toISOString() : 'at an unknown time'}`;
+}
+
+module.exports = {
+  PlayHistory,
+  describePlays
+};
@@ -0,0 +1,96 @@
+const PLAYLIST_TYPES = ['default', 'once_per_x_songs', 'once_per_x_minutes', 'once_per_hour'];
+const PLAYLIST_ORDERS = ['shuffle', 'random', 'sequential'];
+
+// AzuraCast numbers days ISO-style, Monday is 1
+const DAY_NUMBERS = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7 };
+
+// Which AzuraCast field `playPer` sets for each playlist type
+const PLAY_PER_FIELDS = {
+  once_per_x_songs: 'play_per_songs',
+  once_per_x_minutes: 'play_per_minutes',
+  once_per_hour: 'play_per_hour_minute'
+};
+
+function parseDay(day) {
+  if (Number.isInteger(day) && day >= 1 && day <= 7) return day;
+
+  const number = DAY_NUMBERS[String(day).trim().slice(0, 3).toLowerCase()];
+  if (!number || !/^[a-z]+$/i.test(String(day).trim())) {
+    throw new Error(`invalid day ${JSON.stringify(day)}, use "mon" to "sun" or 1 (Monday) to 7`);
+  }
+  return number;
+}
+
+// "06:30" -> 630, the HHMM number AzuraCast stores schedule times as
+function parseTime(time) {
+  const match = String(time).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`invalid time ${JSON.stringify(time)}, use HH:MM`);
+  }
+  return Number(match[1]) * 100 + Number(match[2]);
+}
+
+/**
+ * The AzuraCast playlist fields for a playlist a show declares by name, e.g.
+ * `{ "name": "Morning Show", "type": "default", "weight": 5, "order": "sequential",
+ * "schedule": [{ "days": ["mon", "fri"], "start": "06:00", "end": "09:00" }] }`.
+ * Only declared settings are returned, so AzuraCast's defaults apply to the rest and
+ * settings changed in AzuraCast that the config does not mention are left alone.
+ * Throws on settings AzuraCast would not accept.
+ */
+function playlistSettings(declared) {
+  const settings = { name: declared.name, source: 'songs' };
+
+  if (declared.type !== undefined) {
+    if (!PLAYLIST_TYPES.includes(declared.type)) throw new Error(`invalid type "${declared.type}", use ${PLAYLIST_TYPES.join(', ')}`);
+    settings.type = declared.type;
+  }
+  if (declared.order !== undefined) {
+    if (!PLAYLIST_ORDERS.includes(declared.order)) throw new Error(`invalid order "${declared.order}", use ${PLAYLIST_ORDERS.join(', ')}`);
+    settings.order = declared.order;
+  }
+  if (declared.weight !== undefined) {
+    if (!Number.isInteger(declared.weight) || declared.weight < 1 || declared.weight > 25) {
+      throw new Error(`weight must be a whole number from 1 to 25, got ${JSON.stringify(declared.weight)}`);
+    }
+    settings.weight = declared.weight;
+  }
+
+  if (declared.playPer !== undefined) {
+    const field = PLAY_PER_FIELDS[declared.type];
+    if (!field) throw new Error(`playPer needs a type of ${Object.keys(PLAY_PER_FIELDS).join(', ')}`);
+    settings[field] = declared.playPer;
+  }
+
+  if (declared.schedule !== undefined) {
+    settings.schedule_items = declared.schedule.map(item => ({
+      start_time: parseTime(item.start),
+      end_time: parseTime(item.end),
+      days: (item.days || []).map(parseDay).sort((a, b) => a - b)
+    }));
+  }
+
+  return settings;
+}
+
+function scheduleKey(items) {
+  return JSON.stringify((items || [])
+    .map(item => [Number(item.start_time), Number(item.end_time), (item.days || []).map(Number).sort((a, b) => a - b)])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2].join().localeCompare(b[2].join())));
+}
+
+// Settings (apart from the name) where a station playlist differs from what is declared
+function driftedSettings(playlist, settings) {
+  return Object.keys(settings).filter(key => {
+    if (key === 'name') return false;
+    if (key === 'schedule_items') return scheduleKey(playlist.schedule_items) !== scheduleKey(settings.schedule_items);
+    return String(playlist[key]) !== String(settings[key]);
+  });
+}
+
+module.exports = {
+  PLAYLIST_TYPES,
+  PLAYLIST_ORDERS,
+  playlistSettings,
+  driftedSettings
+};
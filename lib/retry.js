@@ -0,0 +1,100 @@
+const { parseDuration } = require('./schedule');
+
+// Socket-level failures worth another attempt
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_STREAM_PREMATURE_CLOSE'
+]);
+
+// 501 is deliberately missing: it means "not implemented", which no retry will change
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+function isRetryable(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  if (error.statusCode) return RETRYABLE_STATUS.has(error.statusCode);
+  return RETRYABLE_CODES.has(error.code);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000;
+
+  // HTTP dates always name the month; Date.parse() alone would read "-5" or "1.5" as years
+  if (!/[a-z]/i.test(text)) return null;
+  const date = Date.parse(text);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+// Error for a non-success HTTP response, carrying what the retry policy needs
+function httpError(message, response) {
+  const error = new Error(message);
+  error.statusCode = response.statusCode;
+  const retryAfterMs = parseRetryAfter(response.headers['retry-after']);
+  if (retryAfterMs !== null) error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * Retry policy shared by feed fetches, downloads and API calls, configured by the
+ * optional `retry` section of config.json. Delays grow exponentially from
+ * `initialDelay` up to `maxDelay` with random jitter, and a server's Retry-After is
+ * honoured unless it asks for longer than `maxRetryAfter`, in which case we give up.
+ */
+class RetryPolicy {
+  constructor(options = {}) {
+    this.attempts = Math.max(1, options.attempts === undefined ? 4 : options.attempts);
+    this.initialDelay = parseDuration(options.initialDelay || '2s');
+    this.maxDelay = parseDuration(options.maxDelay || '1m');
+    this.maxRetryAfter = parseDuration(options.maxRetryAfter || '5m');
+  }
+
+  // Milliseconds to wait before the attempt after `attempt`, or null to stop retrying
+  delayFor(attempt, error) {
+    if (error.retryAfterMs !== undefined) {
+      return error.retryAfterMs <= this.maxRetryAfter ? error.retryAfterMs : null;
+    }
+
+    const base = Math.min(this.maxDelay, this.initialDelay * Math.pow(2, attempt - 1));
+    // Half fixed, half random, so clients that failed together do not retry together
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+
+  /**
+   * Runs `operation(attempt)` until it succeeds, fails with an error `retryable`
+   * rejects, or the attempts are used up. `onRetry(error, attempt, delayMs)` is awaited
+   * before each wait.
+   */
+  async run(operation, { retryable = isRetryable, onRetry = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (attempt >= this.attempts || !retryable(error)) throw error;
+
+        const delay = this.delayFor(attempt, error);
+        if (delay === null) throw error;
+
+        if (onRetry) await onRetry(error, attempt, delay);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = {
+  RetryPolicy,
+  isRetryable,
+  parseRetryAfter,
+  httpError
+};
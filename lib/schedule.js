@@ -0,0 +1,214 @@
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a duration like "90s", "15m", "1h30m" or "2d" into milliseconds. Plain
+ * numbers are taken as minutes, matching how poll intervals are usually thought of.
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && value > 0) return value * DURATION_UNITS.m;
+  if (typeof value !== 'string') throw new Error(`Invalid duration: ${JSON.stringify(value)}`);
+
+  const text = value.trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseDuration(parseFloat(text));
+
+  const parts = text.match(/(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)/g);
+  if (!parts || parts.join('').replace(/\s/g, '') !== text.replace(/\s/g, '')) {
+    throw new Error(`Invalid duration: "${value}" (use e.g. 30s, 15m, 1h30m, 1d)`);
+  }
+
+  const total = parts.reduce((sum, part) => {
+    const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)/);
+    return sum + parseFloat(amount) * DURATION_UNITS[unit];
+  }, 0);
+
+  if (total <= 0) throw new Error(`Invalid duration: "${value}"`);
+  return total;
+}
+
+function formatDuration(ms) {
+  const parts = [];
+  let remaining = Math.round(ms / 1000);
+  for (const [unit, seconds] of [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]]) {
+    if (remaining >= seconds) {
+      parts.push(`${Math.floor(remaining / seconds)}${unit}`);
+      remaining %= seconds;
+    }
+  }
+  return parts.join('') || `${ms}ms`;
+}
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Standard five-field cron expression (minute hour day-of-month month day-of-week),
+ * evaluated in local time. Supports *, lists, ranges and steps. As in cron, when
+ * both day fields are restricted a time matches if either of them does.
+ */
+class CronExpression {
+  constructor(expression) {
+    this.expression = expression;
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      fields.map((field, index) => CronExpression.parseField(field, CRON_FIELDS[index], expression));
+
+    // 7 is an alias for Sunday
+    if (this.daysOfWeek.has(7)) this.daysOfWeek.add(0);
+
+    this.dayOfMonthRestricted = fields[2] !== '*';
+    this.dayOfWeekRestricted = fields[4] !== '*';
+  }
+
+  static parseField(field, { name, min, max }, expression) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid cron expression "${expression}": bad ${name} "${part}"`);
+      }
+
+      const [, start, end, step] = match;
+      const from = start === '*' ? min : parseInt(start, 10);
+      const to = start === '*' ? max : (end !== undefined ? parseInt(end, 10) : (step ? max : from));
+      const increment = step ? parseInt(step, 10) : 1;
+
+      if (from < min || to > max || from > to || increment < 1) {
+        throw new Error(`Invalid cron expression "${expression}": ${name} "${part}" out of range ${min}-${max}`);
+      }
+      for (let value = from; value <= to; value += increment) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+  }
+
+  matches(date) {
+    return this.minutes.has(date.getMinutes()) &&
+      this.hours.has(date.getHours()) &&
+      this.months.has(date.getMonth() + 1) &&
+      this.matchesDay(date);
+  }
+
+  /**
+   * First matching minute strictly after `after`. Across daylight saving changes it
+   * behaves like cron: a time in the hour the clock skips runs when the clock jumps
+   * forward, and in the hour the clock repeats only expressions matching every hour
+   * match again.
+   */
+  next(after = new Date()) {
+    // Rounded in real time: setSeconds() would move a time in a repeated hour back to its first occurrence
+    const date = new Date((Math.floor(after.getTime() / DURATION_UNITS.m) + 1) * DURATION_UNITS.m);
+
+    // Four years covers every valid combination, including February 29th
+    const limit = after.getTime() + 4 * 366 * DURATION_UNITS.d;
+    const everyHour = this.hours.size === 24;
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        // Hours and minutes advance in real time, so a skipped or repeated hour is noticed
+        if (this.advance(date, (60 - date.getMinutes()) * DURATION_UNITS.m)) return date;
+      } else if (!this.minutes.has(date.getMinutes()) || (!everyHour && isRepeatedHour(date))) {
+        if (this.advance(date, DURATION_UNITS.m)) return date;
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`Cron expression "${this.expression}" never matches`);
+  }
+
+  // Moves `date` on by `ms`; true when the clock jumped forward over an hour this expression matches
+  advance(date, ms) {
+    const hour = date.getHours();
+    const offset = date.getTimezoneOffset();
+    date.setTime(date.getTime() + ms);
+    if (date.getTimezoneOffset() >= offset) return false;
+
+    for (let skipped = hour + 1; skipped < date.getHours(); skipped++) {
+      if (this.hours.has(skipped)) return this.months.has(date.getMonth() + 1) && this.matchesDay(date);
+    }
+    return false;
+  }
+}
+
+// Whether the clock showed the same hour an hour ago, i.e. it was turned back
+function isRepeatedHour(date) {
+  return new Date(date.getTime() - DURATION_UNITS.h).getHours() === date.getHours();
+}
+
+function parseTimeOfDay(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error(`Invalid time of day: "${value}" (use HH:MM)`);
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Daily window like "03:00-04:30" in local time. Windows may wrap past midnight
+ * ("23:00-01:00").
+ */
+class DailyWindow {
+  constructor(value) {
+    const [start, end] = String(value).split('-');
+    if (end === undefined) {
+      throw new Error(`Invalid daily window: "${value}" (use HH:MM-HH:MM)`);
+    }
+    this.value = value;
+    this.start = parseTimeOfDay(start);
+    this.end = parseTimeOfDay(end);
+  }
+
+  contains(date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (this.start <= this.end) return minutes >= this.start && minutes < this.end;
+    return minutes >= this.start || minutes < this.end;
+  }
+
+  // Date (YYYY-MM-DD, local) of the window `date` falls in, so a wrapping window counts once
+  windowDay(date) {
+    const day = new Date(date.getTime());
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (this.start > this.end && minutes < this.end) {
+      day.setDate(day.getDate() - 1);
+    }
+    return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+  }
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  CronExpression,
+  DailyWindow
+};
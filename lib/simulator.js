@@ -0,0 +1,417 @@
+const fs = require('fs').promises;
+const path = require('path').posix;
+const crypto = require('crypto');
+const { httpError } = require('./retry');
+const { parseDuration } = require('./schedule');
+const { METADATA_FIELDS } = require('./metadata-template');
+
+const SIMULATOR_STATE_VERSION = 1;
+
+// Fields PUT /station/{id}/playlist/{id} may change
+const PLAYLIST_FIELDS = ['name', 'source', 'type', 'order', 'weight', 'is_enabled',
+  'play_per_songs', 'play_per_minutes', 'play_per_hour_minute', 'schedule_items'];
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// Content-Type a CDN would send for a media fixture, by extension
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.aac': 'audio/aac', '.ogg': 'audio/ogg', '.opus': 'audio/ogg',
+  '.flac': 'audio/flac', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.html': 'text/html'
+};
+
+function apiError(statusCode, method, endpoint, message) {
+  return httpError(`API ${method} ${endpoint} failed: ${statusCode} - ${JSON.stringify({ success: false, message })}`, { statusCode, headers: {} });
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// AzuraCast identifies songs by a hash of "artist - title"
+function songId(file) {
+  return crypto.createHash('md5').update(`${file.artist || ''} - ${file.title || ''}`.toLowerCase()).digest('hex');
+}
+
+/**
+ * A few seconds of silent-looking MPEG audio (or a tiny image, going by the URL), made
+ * from the URL so that every episode gets different but repeatable bytes.
+ */
+function syntheticMedia(url) {
+  const seed = Buffer.from(digest(url), 'hex');
+  const extension = path.extname(new URL(url).pathname).toLowerCase();
+
+  if (IMAGE_EXTENSIONS.includes(extension)) {
+    return Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), seed, Buffer.from([0xff, 0xd9])]);
+  }
+
+  // An empty ID3v2.4 tag followed by 128 kbps / 44.1 kHz frames of 417 bytes
+  const frames = [];
+  for (let i = 0; i < 64; i++) {
+    const frame = Buffer.alloc(417);
+    frame.set([0xff, 0xfb, 0x90, 0x64]);
+    if (i === 0) frame.set(seed, 4);
+    frames.push(frame);
+  }
+  return Buffer.concat([Buffer.from('ID3\x04\x00\x00\x00\x00\x00\x00', 'latin1'), ...frames]);
+}
+
+/**
+ * An in-process stand-in for an AzuraCast station, used as the backend when the config
+ * says `"backend": { "type": "simulator" }` (see lib/backend.js for the interface).
+ * It implements the endpoints the uploader calls: the station files listing, uploads
+ * (base64 and chunked), single files, artwork, folders, playlists and their order,
+ * play history, the queue and the storage quota (`quotaMB`, unlimited when missing).
+ * Uploaded files are listed right away but, as on a real station, cannot be read or
+ * changed until `indexingDelay` has passed.
+ *
+ * Feeds come from local fixtures (`feeds` maps a feed URL to a file) and downloads from
+ * `media` (URL to file) or are generated from the URL, so a whole run works offline and
+ * gives the same result every time. State lives in memory; with `stateFile` it is read
+ * from and written to that file, so consecutive runs see each other's changes and a
+ * station can be seeded with files, playlists and history.
+ */
+class AzuraCastSimulator {
+  constructor(options = {}) {
+    this.indexingDelay = options.indexingDelay === 0 ? 0 : parseDuration(options.indexingDelay || '3s');
+    this.stateFile = options.stateFile || null;
+    this.feeds = options.feeds || {};
+    this.media = options.media || {};
+    this.quotaBytes = options.quotaMB ? Math.round(options.quotaMB * 1024 * 1024) : null;
+    this.state = null;
+    this.chunks = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    if (this.state) return;
+    let state = null;
+    if (this.stateFile) {
+      try {
+        state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Failed to read simulator state ${this.stateFile}: ${error.message}`);
+      }
+    }
+    this.state = state && state.version === SIMULATOR_STATE_VERSION
+      ? state
+      : { version: SIMULATOR_STATE_VERSION, nextId: 1, stations: {} };
+  }
+
+  // Writes are chained, so concurrent requests never interleave their temp files
+  async save() {
+    if (!this.stateFile) return;
+    const data = JSON.stringify(this.state, null, 2);
+    this.saving = this.saving.then(async () => {
+      const tempPath = `${this.stateFile}.tmp`;
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, this.stateFile);
+    });
+    await this.saving;
+  }
+
+  // A new station starts like AzuraCast's: empty media, and one playlist called "default"
+  station(stationId) {
+    const key = String(stationId);
+    if (!this.state.stations[key]) {
+      this.state.stations[key] = { files: [], directories: [], playlists: [], history: [], queue: [] };
+      this.createPlaylist(this.state.stations[key], { name: 'default' });
+    }
+    return this.state.stations[key];
+  }
+
+  nextId() {
+    return this.state.nextId++;
+  }
+
+  async request(method, endpoint, data = null) {
+    await this.load();
+    const result = this.route(method, endpoint, data || {});
+    if (method !== 'GET') await this.save();
+    return clone(result);
+  }
+
+  async postForm(endpoint, fields) {
+    await this.load();
+    const form = {};
+    for (const field of fields) {
+      form[field.name] = field.file ? await fs.readFile(field.file) : field.value;
+    }
+
+    const fail = (statusCode, message) => { throw apiError(statusCode, 'POST', endpoint, message); };
+    let match = endpoint.match(/^\/station\/([^/]+)\/files\/upload$/);
+    let result;
+    if (match) {
+      result = this.receiveChunk(this.station(match[1]), form, fail);
+    } else if ((match = endpoint.match(/^\/station\/([^/]+)\/art\/(\d+)$/))) {
+      const file = this.indexedFile(this.station(match[1]), match[2], fail);
+      if (!Buffer.isBuffer(form.art) || form.art.length === 0) fail(400, 'No artwork was uploaded.');
+      file.art_updated_at = Math.floor(Date.now() / 1000);
+      file.art_size = form.art.length;
+      result = { success: true, message: 'Album art updated.' };
+    } else {
+      fail(404, `No form endpoint ${endpoint}`);
+    }
+
+    await this.save();
+    return clone(result);
+  }
+
+  route(method, endpoint, data) {
+    const [route, query = ''] = endpoint.split('?');
+    const fail = (statusCode, message) => { throw apiError(statusCode, method, endpoint, message); };
+    const match = route.match(/^\/station\/([^/]+)(\/.*)$/);
+    if (!match) fail(404, 'Only station endpoints are simulated');
+
+    const station = this.station(match[1]);
+    const resource = match[2];
+    let parts;
+
+    if (resource === '/files') {
+      if (method === 'GET') return station.files.map(file => this.publicFile(station, file));
+      if (method === 'POST') {
+        if (!data.path || !data.file) fail(400, 'A path and base64 file contents are required.');
+        return this.publicFile(station, this.addFile(station, data.path, Buffer.from(data.file, 'base64')));
+      }
+    }
+    if (resource === '/files/batch' && method === 'PUT') return this.batch(station, data, fail);
+    if (resource === '/files/mkdir' && method === 'POST') return this.mkdir(station, data, fail);
+    if (resource === '/files/rename' && method === 'PUT') return this.rename(station, data, fail);
+
+    if ((parts = resource.match(/^\/file\/(\d+)$/))) {
+      const file = this.indexedFile(station, parts[1], fail);
+      if (method === 'GET') return this.publicFile(station, file);
+      if (method === 'PUT') return this.updateFile(station, file, data, fail);
+      if (method === 'DELETE') {
+        station.files = station.files.filter(candidate => candidate !== file);
+        return { success: true, message: 'Record deleted.' };
+      }
+    }
+
+    if (resource === '/playlists') {
+      if (method === 'GET') return station.playlists.map(playlist => this.publicPlaylist(station, playlist));
+      if (method === 'POST') {
+        if (!data.name) fail(400, 'A playlist name is required.');
+        return this.publicPlaylist(station, this.createPlaylist(station, data));
+      }
+    }
+    if ((parts = resource.match(/^\/playlist\/(\d+)(\/order)?$/))) {
+      const playlist = station.playlists.find(candidate => String(candidate.id) === parts[1]);
+      if (!playlist) fail(404, 'Playlist not found.');
+      if (parts[2] && method === 'GET') {
+        return station.files
+          .filter(file => file.playlists.includes(playlist.id) && this.isIndexed(file))
+          .map(file => ({ id: file.id, title: file.title, artist: file.artist }));
+      }
+      if (!parts[2] && method === 'GET') return this.publicPlaylist(station, playlist);
+      if (!parts[2] && method === 'PUT') {
+        for (const field of PLAYLIST_FIELDS) {
+          if (data[field] !== undefined) playlist[field] = clone(data[field]);
+        }
+        return { success: true, message: 'Changes saved.' };
+      }
+    }
+
+    if (resource === '/history' && method === 'GET') {
+      const params = new URLSearchParams(query);
+      const start = params.get('start') ? Date.parse(params.get('start')) / 1000 : -Infinity;
+      const end = params.get('end') ? Date.parse(params.get('end')) / 1000 : Infinity;
+      return station.history.filter(entry => entry.played_at >= start && entry.played_at <= end);
+    }
+    if (resource === '/queue' && method === 'GET') return station.queue;
+    if (resource === '/quota/station_media' && method === 'GET') return this.quota(station);
+
+    return fail(method === 'GET' ? 404 : 405, `${method} ${route} is not simulated`);
+  }
+
+  // Station media storage in the shape of AzuraCast's quota endpoint; `quota_bytes` is null when unlimited
+  quota(station) {
+    const megabytes = bytes => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    const used = station.files.reduce((total, file) => total + (file.size || 0), 0);
+    const quota = this.quotaBytes;
+    return {
+      used: megabytes(used),
+      used_bytes: String(used),
+      used_percent: quota ? Math.round(used / quota * 100) : 0,
+      available: quota ? megabytes(Math.max(0, quota - used)) : null,
+      available_bytes: quota ? String(Math.max(0, quota - used)) : null,
+      quota: quota ? megabytes(quota) : null,
+      quota_bytes: quota ? String(quota) : null,
+      is_full: Boolean(quota) && used >= quota,
+      num_files: station.files.length
+    };
+  }
+
+  addFile(station, filePath, contents) {
+    const normalized = filePath.replace(/^\/+/, '');
+    this.addDirectory(station, path.dirname(normalized));
+    const now = Date.now();
+    const file = {
+      id: this.nextId(),
+      unique_id: digest(`${normalized}:${now}`).slice(0, 24),
+      path: normalized,
+      // Without tags AzuraCast names a file after itself
+      title: path.basename(normalized, path.extname(normalized)),
+      artist: '',
+      album: '',
+      size: contents.length,
+      hash: digest(contents),
+      playlists: [],
+      custom_fields: {},
+      uploaded_at: Math.floor(now / 1000),
+      mtime: Math.floor(now / 1000),
+      indexed_at: now + this.indexingDelay
+    };
+    // A file at the same path is replaced, as an upload would overwrite it on disk
+    station.files = station.files.filter(existing => existing.path !== normalized);
+    station.files.push(file);
+    return file;
+  }
+
+  // Chunked (flow.js) uploads: chunks are kept until the last one arrives and the file is created
+  receiveChunk(station, form, fail) {
+    const identifier = form.flowIdentifier;
+    const total = Number(form.flowTotalChunks);
+    const number = Number(form.flowChunkNumber);
+    if (!identifier || !total || !number || !Buffer.isBuffer(form.file_data)) fail(400, 'Incomplete flow upload chunk.');
+
+    const chunks = this.chunks.get(identifier) || new Map();
+    chunks.set(number, form.file_data);
+    this.chunks.set(identifier, chunks);
+    if (chunks.size < total) return { success: true, message: `Chunk ${number} of ${total} received.` };
+
+    this.chunks.delete(identifier);
+    const contents = Buffer.concat(Array.from({ length: total }, (_, index) => chunks.get(index + 1)));
+    const directory = (form.currentDirectory || '').replace(/^\/+|\/+$/g, '');
+    return this.publicFile(station, this.addFile(station, directory ? `${directory}/${form.flowFilename}` : form.flowFilename, contents));
+  }
+
+  batch(station, { do: action, currentDirectory = '', files = [], directory = '' }, fail) {
+    if (action !== 'move') fail(400, `Batch action "${action}" is not simulated.`);
+    const target = directory.replace(/^\/+|\/+$/g, '');
+    if (target && !station.directories.includes(target)) fail(400, `Directory "${target}" does not exist.`);
+
+    const errors = [];
+    for (const name of files) {
+      const source = currentDirectory ? `${currentDirectory}/${name}` : name;
+      const file = station.files.find(candidate => candidate.path === source);
+      if (!file) {
+        errors.push(`${source}: File not found.`);
+        continue;
+      }
+      file.path = target ? `${target}/${path.basename(source)}` : path.basename(source);
+    }
+    return { success: errors.length === 0, errors };
+  }
+
+  mkdir(station, { currentDirectory = '', name }, fail) {
+    if (!name) fail(400, 'A directory name is required.');
+    const directory = currentDirectory ? `${currentDirectory}/${name}` : name;
+    if (station.directories.includes(directory)) fail(400, 'Directory already exists.');
+    if (currentDirectory && !station.directories.includes(currentDirectory)) fail(400, `Directory "${currentDirectory}" does not exist.`);
+    station.directories.push(directory);
+    return { success: true, message: 'Directory created.' };
+  }
+
+  rename(station, { file: source, newPath }, fail) {
+    const file = station.files.find(candidate => candidate.path === source);
+    if (!file) fail(404, 'File not found.');
+    if (station.files.some(candidate => candidate.path === newPath)) fail(400, `"${newPath}" already exists.`);
+    const directory = path.dirname(newPath);
+    if (directory !== '.' && !station.directories.includes(directory)) fail(400, `Directory "${directory}" does not exist.`);
+    file.path = newPath;
+    return { success: true, message: 'File renamed.' };
+  }
+
+  // Parent folders of uploads are created on the fly, like AzuraCast's storage does
+  addDirectory(station, directory) {
+    let parent = '';
+    for (const name of directory.split('/').filter(segment => segment && segment !== '.')) {
+      parent = parent ? `${parent}/${name}` : name;
+      if (!station.directories.includes(parent)) station.directories.push(parent);
+    }
+  }
+
+  updateFile(station, file, data, fail) {
+    for (const field of METADATA_FIELDS) {
+      if (data[field] !== undefined) file[field] = String(data[field]);
+    }
+    if (data.custom_fields) file.custom_fields = { ...file.custom_fields, ...data.custom_fields };
+    if (data.playlists !== undefined) {
+      if (!Array.isArray(data.playlists)) fail(400, 'playlists must be a list.');
+      // Unknown playlist IDs are dropped, as AzuraCast does
+      const known = new Set(station.playlists.map(playlist => playlist.id));
+      file.playlists = data.playlists
+        .map(playlist => Number(typeof playlist === 'object' ? playlist.id : playlist))
+        .filter(playlistId => known.has(playlistId));
+    }
+    file.song_id = songId(file);
+    return { success: true, message: 'Changes saved.' };
+  }
+
+  isIndexed(file) {
+    return Date.now() >= file.indexed_at;
+  }
+
+  indexedFile(station, fileId, fail) {
+    const file = station.files.find(candidate => String(candidate.id) === String(fileId));
+    if (!file || !this.isIndexed(file)) fail(404, 'Record not found.');
+    return file;
+  }
+
+  createPlaylist(station, data) {
+    const playlist = { id: this.nextId(), source: 'songs', type: 'default', order: 'shuffle', weight: 3, is_enabled: true, schedule_items: [] };
+    for (const field of PLAYLIST_FIELDS) {
+      if (data[field] !== undefined) playlist[field] = clone(data[field]);
+    }
+    playlist.short_name = playlist.name.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    station.playlists.push(playlist);
+    return playlist;
+  }
+
+  publicFile(station, file) {
+    const { hash, size, indexed_at: indexedAt, ...fields } = file;
+    return {
+      ...fields,
+      song_id: file.song_id || songId(file),
+      playlists: file.playlists.map(playlistId => {
+        const playlist = station.playlists.find(candidate => candidate.id === playlistId);
+        return { id: playlistId, name: playlist ? playlist.name : null };
+      })
+    };
+  }
+
+  publicPlaylist(station, playlist) {
+    return { ...playlist, num_songs: station.files.filter(file => file.playlists.includes(playlist.id)).length };
+  }
+
+  // Feeds are served from fixture files, with an ETag so conditional GETs work as they would online
+  async fetchFeed(url, headers = {}) {
+    const fixture = this.feeds[url];
+    if (!fixture) throw httpError(`HTTP 404: no feed fixture for ${url} in backend.feeds`, { statusCode: 404, headers: {} });
+
+    const body = await fs.readFile(fixture, 'utf8');
+    const etag = `"${digest(body).slice(0, 16)}"`;
+    if (headers['If-None-Match'] === etag) return { notModified: true, body: null, etag: null, lastModified: null };
+    return { notModified: false, body, etag, lastModified: null };
+  }
+
+  // Generated audio plays a few seconds whatever the feed says, so simulator configs turn off the size and duration checks
+  async download(url, filePath) {
+    if (this.media[url]) {
+      await fs.copyFile(this.media[url], filePath);
+      return { contentType: CONTENT_TYPES[path.extname(this.media[url]).toLowerCase()] || 'application/octet-stream' };
+    }
+    await fs.writeFile(filePath, syntheticMedia(url));
+    const image = IMAGE_EXTENSIONS.includes(path.extname(new URL(url).pathname).toLowerCase());
+    return { contentType: image ? 'image/jpeg' : 'audio/mpeg' };
+  }
+}
+
+module.exports = {
+  SIMULATOR_STATE_VERSION,
+  AzuraCastSimulator
+};
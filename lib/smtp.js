@@ -0,0 +1,167 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Reads SMTP replies from a socket. A reply may span several lines ("250-…" then
+ * "250 …"); read() resolves with the whole reply once its last line has arrived.
+ */
+class ReplyReader {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+
+    this.onData = (chunk) => {
+      this.buffer += chunk.toString('utf8');
+      let index;
+      while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+        const line = this.buffer.slice(0, index);
+        this.buffer = this.buffer.slice(index + 2);
+        this.lines.push(line);
+        if (/^\d{3}(?: |$)/.test(line)) {
+          this.replies.push({ code: Number(line.slice(0, 3)), text: this.lines.map(part => part.slice(4)).join(' ') });
+          this.lines = [];
+        }
+      }
+      this.deliver();
+    };
+    this.onError = (error) => {
+      this.error = error;
+      this.deliver();
+    };
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', () => this.onError(this.error || new Error('SMTP connection closed unexpectedly')));
+  }
+
+  deliver() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.deliver();
+    });
+  }
+
+  // Stops reading before the socket is handed to TLS
+  detach() {
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('error', this.onError);
+    this.socket.removeAllListeners('close');
+  }
+}
+
+// RFC 2047 encoding for header values that are not plain ASCII, such as show titles
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Sends a plain-text email. `secure` connects with TLS right away (usually port 465);
+ * otherwise the connection is upgraded with STARTTLS whenever the server offers it.
+ * With a `username`, AUTH PLAIN or LOGIN is used, whichever the server supports.
+ */
+async function sendMail(options, { subject, text }) {
+  const host = options.host;
+  const secure = Boolean(options.secure);
+  const port = options.port || (secure ? 465 : 587);
+  const to = Array.isArray(options.to) ? options.to : [options.to];
+  const timeout = options.timeout || 30000;
+
+  let socket = await connect({ host, port, secure });
+  socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)));
+  let reader = new ReplyReader(socket);
+
+  const command = async (line, expected, label = line && line.split(' ')[0]) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label || 'greeting'} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!secure && /\bSTARTTLS\b/i.test(hello.text)) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+        upgraded.once('error', reject);
+      });
+      socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)));
+      reader = new ReplyReader(socket);
+      hello = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (options.username) {
+      if (/\bAUTH\b[^\n]*\bPLAIN\b/i.test(hello.text)) {
+        const credentials = Buffer.from(`\0${options.username}\0${options.password || ''}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      } else {
+        await command('AUTH LOGIN', [334]);
+        await command(Buffer.from(options.username, 'utf8').toString('base64'), [334], 'AUTH');
+        await command(Buffer.from(options.password || '', 'utf8').toString('base64'), [235], 'AUTH');
+      }
+    }
+
+    // The envelope only takes the address, not a display name like "Radio <radio@example.com>"
+    const address = (value) => (value.match(/<([^>]+)>/) || [null, value])[1].trim();
+    await command(`MAIL FROM:<${address(options.from)}>`, [250], 'MAIL FROM');
+    for (const recipient of to) {
+      await command(`RCPT TO:<${address(recipient)}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354]);
+    await command(`${buildMessage({ from: options.from, to, subject, text })}\r\n.`, [250], 'message');
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,92 @@
+const path = require('path');
+
+// Keys of a `stations` entry that become the station's `azuraCast` settings
+const CONNECTION_KEYS = ['host', 'stationId', 'apiKey', 'defaultPlaylist'];
+
+function stationLedgerFile(name) {
+  return `./processed-episodes.${name}.json`;
+}
+
+/**
+ * Turns the configuration into one configuration per AzuraCast station, each in the
+ * single-station shape PodcastUploader works with (`azuraCast` plus `shows`).
+ *
+ * A legacy config with one `azuraCast` block yields a single unnamed station. With a
+ * `stations` array, every station gets its own connection settings, ledger file and
+ * show list: the station's own `shows` plus each top-level show whose `stations`
+ * list names it (top-level shows without `stations` go to every station). A
+ * `stations` entry may also be an object like `{ "name": "weekend", "playlists": [7] }`
+ * to override show settings for that station.
+ *
+ * Returns `[{ name, config }]`.
+ */
+function resolveStations(config) {
+  const { stations, ...shared } = config;
+
+  if (stations === undefined) {
+    if (!config.azuraCast) throw new Error('Config needs either an "azuraCast" section or a "stations" list');
+    return [{ name: null, config }];
+  }
+
+  if (config.azuraCast) throw new Error('Use either "azuraCast" or "stations" in the config, not both');
+  if (!Array.isArray(stations) || stations.length === 0) throw new Error('"stations" must be a non-empty list');
+
+  const names = new Set();
+  for (const station of stations) {
+    if (!station || typeof station.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(station.name)) {
+      throw new Error('Every station needs a "name" made of letters, digits, "-" or "_"');
+    }
+    if (names.has(station.name)) throw new Error(`Duplicate station name "${station.name}"`);
+    names.add(station.name);
+  }
+
+  const sharedShows = shared.shows || [];
+  for (const showConfig of sharedShows) {
+    for (const target of showConfig.stations || []) {
+      const name = typeof target === 'string' ? target : target && target.name;
+      if (!names.has(name)) throw new Error(`Show ${showConfig.rssUrl} targets unknown station "${name}"`);
+    }
+  }
+
+  return stations.map(station => {
+    const azuraCast = {};
+    for (const key of CONNECTION_KEYS) {
+      if (station[key] !== undefined) azuraCast[key] = station[key];
+    }
+
+    const shows = [...(station.shows || [])];
+    for (const { stations: targets, ...showConfig } of sharedShows) {
+      if (!targets) {
+        shows.push(showConfig);
+        continue;
+      }
+
+      const target = targets.find(entry => (typeof entry === 'string' ? entry : entry.name) === station.name);
+      if (!target) continue;
+
+      const { name, ...overrides } = typeof target === 'string' ? {} : target;
+      shows.push({ ...showConfig, ...overrides });
+    }
+
+    return {
+      name: station.name,
+      config: {
+        ...shared,
+        azuraCast,
+        shows,
+        ledgerFile: station.ledgerFile || stationLedgerFile(station.name)
+      }
+    };
+  });
+}
+
+// Per-station variant of a path given on the command line, e.g. plan.json -> plan.weekend.json
+function stationFilePath(filePath, name) {
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}.${name}${extension}`;
+}
+
+module.exports = {
+  resolveStations,
+  stationFilePath
+};
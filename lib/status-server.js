@@ -0,0 +1,394 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Largest request body accepted by the control endpoints
+const MAX_BODY_BYTES = 64 * 1024;
+
+// How long a station's playlist summary is reused; building it costs an API call per playlist
+const PLAYLIST_CACHE_MS = 60 * 1000;
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Token comparison that takes as long for a near miss as for a wild guess
+function tokenMatches(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new HttpError(400, `Body is not valid JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function formatTime(value) {
+  return value ? escapeHtml(String(value).replace('T', ' ').replace(/\.\d+Z$/, ' UTC')) : '–';
+}
+
+function renderRun(run) {
+  if (!run) return 'none yet';
+  const counts = run.counts
+    ? ` – ${run.counts.uploaded} uploaded, ${run.counts.failed} failed, ${run.counts.retired} retired, ${run.counts.archived} archived, ${run.counts.deleted} deleted`
+    : '';
+  const fatal = run.fatal ? ` <span class="bad">stopped early: ${escapeHtml(run.fatal)}</span>` : '';
+  return `${escapeHtml(run.kind)} ${escapeHtml(run.runId)}, started ${formatTime(run.startedAt)}${run.finishedAt ? `, finished ${formatTime(run.finishedAt)}` : ''}${escapeHtml(counts)}${fatal}`;
+}
+
+function renderShow(show) {
+  const state = !show.enabled ? 'disabled' : show.paused ? 'paused' : show.healthy === null ? 'not checked yet' : show.healthy ? 'ok' : `failing (${show.consecutiveFailures}×)`;
+  const stateClass = show.healthy === false ? 'bad' : show.paused || !show.enabled ? 'muted' : '';
+  const skipped = (show.skipped || []).map(episode => `<li>${escapeHtml(episode.title)}: ${escapeHtml(episode.reason)}</li>`).join('');
+  const action = show.paused ? 'resume' : 'pause';
+  return `<tr>
+    <td><strong>${escapeHtml(show.title || show.rssUrl)}</strong><br><small>${escapeHtml(show.rssUrl)}</small></td>
+    <td class="${stateClass}">${escapeHtml(state)}${show.lastError && !show.healthy ? `<br><small>${escapeHtml(show.lastError)}</small>` : ''}</td>
+    <td>${formatTime(show.lastCheckedAt)}</td>
+    <td>${show.onAir}</td>
+    <td>${formatTime(show.lastUpload)}</td>
+    <td>${skipped ? `<details><summary>${show.skipped.length}</summary><ul>${skipped}</ul></details>` : '0'}</td>
+    <td>${show.enabled ? `<button data-action="shows/${action}" data-rss-url="${escapeHtml(show.rssUrl)}">${action}</button>` : ''}</td>
+  </tr>`;
+}
+
+function renderStation(report, playlists) {
+  const title = report.name ? `${report.name} (${report.host} station ${report.stationId})` : `${report.host} station ${report.stationId}`;
+  const shows = report.shows.map(renderShow).join('');
+  const episodes = report.episodes.map(episode => `<tr>
+    <td>${escapeHtml(episode.title)}<br><small>${escapeHtml(episode.guid)}</small></td>
+    <td>${escapeHtml(episode.fileId)}</td>
+    <td>${escapeHtml(episode.status)}${episode.pending ? ' (finishing)' : ''}</td>
+    <td>${formatTime(episode.pubDate)}</td>
+    <td>${formatTime(episode.uploadedAt)}</td>
+  </tr>`).join('');
+  const failures = report.failures.map(failure => `<tr>
+    <td>${formatTime(failure.time)}</td>
+    <td>${escapeHtml(failure.type)}</td>
+    <td>${escapeHtml(failure.title || failure.show)}${failure.guid ? `<br><small>${escapeHtml(failure.guid)}</small>` : ''}</td>
+    <td class="bad">${escapeHtml(failure.error)}</td>
+  </tr>`).join('');
+  const playlistRows = Array.isArray(playlists)
+    ? playlists.map(playlist => `<tr><td>${escapeHtml(playlist.id)}</td><td>${escapeHtml(playlist.name)}</td><td>${escapeHtml(playlist.source)}/${escapeHtml(playlist.order)}</td><td>${playlist.files}</td></tr>`).join('')
+    : `<tr><td colspan="4" class="bad">${escapeHtml(playlists)}</td></tr>`;
+
+  return `<section>
+  <h2>${escapeHtml(title)}</h2>
+  <p>Running now: ${report.run.current ? renderRun(report.run.current) : 'nothing'}<br>Last run: ${renderRun(report.run.last)}</p>
+  <h3>Shows</h3>
+  <table><tr><th>Show</th><th>Feed</th><th>Last checked</th><th>On air</th><th>Last upload</th><th>Skipped by filters</th><th></th></tr>${shows}</table>
+  <h3>Recent failures</h3>
+  ${failures ? `<table><tr><th>Time</th><th>Type</th><th>Show / episode</th><th>Error</th></tr>${failures}</table>` : '<p>None.</p>'}
+  <h3>Episodes on air</h3>
+  ${episodes ? `<table><tr><th>Episode</th><th>AzuraCast file</th><th>Status</th><th>Published</th><th>Uploaded</th></tr>${episodes}</table>` : '<p>None.</p>'}
+  <h3>Playlists</h3>
+  <table><tr><th>ID</th><th>Name</th><th>Type</th><th>Files</th></tr>${playlistRows}</table>
+</section>`;
+}
+
+// The page for station staff: everything on one screen, and buttons that call the control endpoints
+function renderPage(reports, playlists, controls) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Podcast uploader status</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+  th, td { text-align: left; padding: .35rem .5rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+  small, .muted { color: #777; }
+  .bad { color: #b00020; }
+  fieldset { margin-bottom: 1.5rem; }
+</style>
+</head>
+<body>
+<h1>Podcast uploader status</h1>
+${controls ? `<fieldset>
+  <legend>Controls</legend>
+  <label>Access token <input type="password" id="token" autocomplete="off"></label>
+  <button data-action="run">Check all feeds now</button>
+  <label>Episode GUID <input id="guid" size="40"></label>
+  <button data-action="reprocess">Upload again</button>
+  <button data-action="forget">Forget</button>
+  <p id="result" class="muted"></p>
+</fieldset>` : '<p class="muted">Controls are available while the uploader runs as a daemon.</p>'}
+${reports.map((report, index) => renderStation(report, playlists[index])).join('\n')}
+<script>
+  const tokenInput = document.getElementById('token');
+  if (tokenInput) tokenInput.value = sessionStorage.getItem('token') || '';
+  document.addEventListener('click', async (event) => {
+    const action = event.target.dataset && event.target.dataset.action;
+    if (!action) return;
+    sessionStorage.setItem('token', tokenInput ? tokenInput.value : '');
+    const body = {};
+    if (event.target.dataset.rssUrl) body.rssUrl = event.target.dataset.rssUrl;
+    if (action === 'reprocess' || action === 'forget') body.guid = document.getElementById('guid').value.trim();
+    const response = await fetch('api/' + action, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + (tokenInput ? tokenInput.value : '') },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({}));
+    const message = result.message || result.error || response.statusText;
+    if (response.ok && action.startsWith('shows/')) return location.reload();
+    document.getElementById('result').textContent = message;
+  });
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * The optional status server of the `statusServer` config section. It reports what
+ * every station is doing (GET / for people, GET /api/... as JSON, GET /metrics for
+ * Prometheus) and, while the uploader runs as a daemon, takes POST requests to poll
+ * the feeds, reprocess or forget an episode and pause or resume a show. POST requests
+ * need the configured `token` as a bearer token; without a token they are refused.
+ *
+ * Reprocess and forget are queued on the daemon, so they never run in the middle of
+ * a poll. In one-shot mode the server only reports, for as long as the command runs.
+ */
+class StatusServer {
+  constructor(options = {}, uploaders, daemon = null) {
+    this.port = options.port === undefined ? 8080 : options.port;
+    this.host = options.host || '127.0.0.1';
+    this.token = options.token || null;
+    this.uploaders = uploaders;
+    this.daemon = daemon;
+    this.playlistCache = new Map();
+    this.server = null;
+  }
+
+  log(message, level) {
+    return this.uploaders[0].log(message, level, { station: false });
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => this.sendError(res, error));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        const { port } = this.server.address();
+        this.port = port;
+        resolve(port);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      // Keep-alive connections from browsers would otherwise hold the process open
+      if (this.server.closeAllConnections) this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname.replace(/\/+$/, '') || '/';
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      switch (route) {
+        case '/':
+          return this.sendHtml(res, await this.page());
+        case '/api/status':
+          return this.sendJson(res, 200, { stations: this.uploaders.map(uploader => this.report(uploader)) });
+        case '/api/episodes':
+          return this.sendJson(res, 200, { stations: this.selectStations(url).map(uploader => ({
+            name: uploader.stationName,
+            episodes: uploader.episodesOnAir().filter(entry => !url.searchParams.get('show') || entry.rssUrl === url.searchParams.get('show'))
+          })) });
+        // Shared by every station, so the first uploader's holds them all
+        case '/metrics':
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+          return res.end(this.uploaders[0].metrics.render());
+        case '/api/playlists':
+          return this.sendJson(res, 200, { stations: await Promise.all(this.selectStations(url).map(async uploader => ({
+            name: uploader.stationName,
+            playlists: await this.playlists(uploader, { strict: true })
+          }))) });
+        default:
+          throw new HttpError(404, `No such page: ${route}`);
+      }
+    }
+
+    if (req.method !== 'POST') throw new HttpError(405, `${req.method} is not supported`);
+    this.authorize(req);
+    const body = await readBody(req);
+    if (!this.daemon) throw new HttpError(409, 'Controls are only available while the uploader runs as a daemon');
+
+    switch (route) {
+      case '/api/run':
+        return this.run(res, body);
+      case '/api/reprocess':
+        return this.reprocess(res, body);
+      case '/api/forget':
+        return this.forget(res, body);
+      case '/api/shows/pause':
+      case '/api/shows/resume':
+        return this.pause(res, body, route.endsWith('/pause'));
+      default:
+        throw new HttpError(404, `No such endpoint: ${route}`);
+    }
+  }
+
+  authorize(req) {
+    if (!this.token) throw new HttpError(403, 'Set statusServer.token in the config to use the control endpoints');
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : '';
+    if (!given || !tokenMatches(given, this.token)) throw new HttpError(401, 'Missing or wrong access token');
+  }
+
+  // `?station=name` narrows a listing to one station
+  selectStations(url) {
+    const name = url.searchParams.get('station');
+    if (!name) return this.uploaders;
+    const selected = this.uploaders.filter(uploader => uploader.stationName === name);
+    if (selected.length === 0) throw new HttpError(404, `Unknown station: ${name}`);
+    return selected;
+  }
+
+  report(uploader) {
+    return { ...uploader.statusReport(), episodes: uploader.episodesOnAir() };
+  }
+
+  // A failure to load the playlists shows as its message on the page, and as an error from the API
+  async playlists(uploader, { strict = false } = {}) {
+    const cached = this.playlistCache.get(uploader);
+    if (cached && Date.now() - cached.loadedAt < PLAYLIST_CACHE_MS) return cached.playlists;
+
+    try {
+      const playlists = await uploader.playlistSummary();
+      this.playlistCache.set(uploader, { playlists, loadedAt: Date.now() });
+      return playlists;
+    } catch (error) {
+      if (strict) throw new HttpError(502, `Could not load playlists: ${error.message}`);
+      return `Could not load playlists: ${error.message}`;
+    }
+  }
+
+  async page() {
+    const reports = this.uploaders.map(uploader => this.report(uploader));
+    const playlists = await Promise.all(this.uploaders.map(uploader => this.playlists(uploader)));
+    return renderPage(reports, playlists, Boolean(this.daemon));
+  }
+
+  async run(res, { station = null }) {
+    const shows = this.daemon.requestRun(station);
+    if (shows === 0) throw new HttpError(404, station ? `Unknown station: ${station}` : 'No shows to poll');
+    await this.log(`🌐 Poll of ${shows} show${shows === 1 ? '' : 's'} requested through the status server`);
+    this.sendJson(res, 202, { message: `Polling ${shows} show${shows === 1 ? '' : 's'} now` });
+  }
+
+  // Like the `reprocess` command: every station that has the episode among its recent ones uploads it again
+  async reprocess(res, { guid }) {
+    if (!guid) throw new HttpError(400, 'A "guid" is required');
+    await this.log(`🌐 Reprocessing of ${guid} requested through the status server`);
+
+    this.daemon.enqueue(async () => {
+      let found = 0;
+      for (const uploader of this.uploaders) {
+        try {
+          await uploader.reprocessEpisode(guid);
+          found++;
+        } catch (error) {
+          if (!error.notFound) await uploader.log(`❌ Reprocessing ${guid} failed: ${error.message}`, 'ERROR', { guid });
+        }
+      }
+      if (found === 0) await this.log(`⚠️ Episode ${guid} is not among the recent episodes of any enabled show`, 'WARN');
+    }).catch(() => {});
+
+    this.sendJson(res, 202, { message: `Reprocessing ${guid} once the current poll is done` });
+  }
+
+  async forget(res, { guid }) {
+    if (!guid) throw new HttpError(400, 'A "guid" is required');
+
+    const forgotten = await this.daemon.enqueue(async () => {
+      const stations = [];
+      for (const uploader of this.uploaders) {
+        try {
+          const entry = await uploader.forgetEpisode(guid);
+          stations.push({ name: uploader.stationName, title: entry.title || null, fileId: entry.fileId || null });
+        } catch (error) {
+          if (!error.notFound) throw error;
+        }
+      }
+      return stations;
+    });
+    if (forgotten.length === 0) throw new HttpError(404, `No episode with GUID "${guid}" in any ledger`);
+    this.sendJson(res, 200, { message: `Forgot ${guid}; the next poll re-adopts a file on the station with its title, or uploads it again`, stations: forgotten });
+  }
+
+  async pause(res, { rssUrl, station = null }, paused) {
+    if (!rssUrl) throw new HttpError(400, 'An "rssUrl" is required');
+
+    let changed = 0;
+    for (const uploader of this.uploaders) {
+      if (station && uploader.stationName !== station) continue;
+      if (await uploader.pauseShow(rssUrl, paused)) changed++;
+    }
+    if (changed === 0) throw new HttpError(404, `Unknown show: ${rssUrl}`);
+    this.sendJson(res, 200, { message: `${paused ? 'Paused' : 'Resumed'} ${rssUrl}` });
+  }
+
+  sendJson(res, statusCode, data) {
+    const body = JSON.stringify(data, null, 2);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(body);
+  }
+
+  sendHtml(res, html) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(html);
+  }
+
+  sendError(res, error) {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) this.log(`❌ Status server: ${error.message}`, 'ERROR');
+    if (res.headersSent) return res.end();
+    this.sendJson(res, statusCode, { error: error.message });
+  }
+}
+
+module.exports = {
+  StatusServer
+};
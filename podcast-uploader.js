@@ -3,33 +3,366 @@ const path = require('path');
 const https = require('https');
 const http = require('http');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { parseFeed, parseRSSFeed } = require('./lib/feed-parser');
+const { EpisodeLedger, STATUS } = require('./lib/episode-ledger');
+const { EpisodeFilter } = require('./lib/episode-filter');
+const { MetadataTemplates } = require('./lib/metadata-template');
+const { playlistSettings, driftedSettings } = require('./lib/playlists');
+const { PlayHistory, describePlays } = require('./lib/play-history');
+const { DEFAULT_ARCHIVE_DIRECTORY, PathRules, archivedPath } = require('./lib/archive');
+const { PathTemplate, isInFolder, numberedPath } = require('./lib/path-template');
+const { FeedCache } = require('./lib/feed-cache');
+const { createBackend } = require('./lib/backend');
+const { Notifications } = require('./lib/notifiers');
+const { createLogger, newRunId } = require('./lib/logger');
+const { Metrics } = require('./lib/metrics');
+const { MediaValidator, inspectMedia } = require('./lib/media');
+const { resolveStations, stationFilePath } = require('./lib/stations');
+const { loadConfig, ConfigError, redactConfig } = require('./lib/config');
+const { RetryPolicy, httpError } = require('./lib/retry');
+const { parseDuration, formatDuration } = require('./lib/schedule');
+const { Semaphore, TurnQueue } = require('./lib/concurrency');
+const { parseArgs, USAGE } = require('./lib/cli');
+const Daemon = require('./lib/daemon');
+const { StatusServer } = require('./lib/status-server');
+
+// Version 2: uploads list `playlists` and playlist updates list the playlists to `remove`.
+// Version 3: playlists are created and updated, and uploads may name a playlist still to be created.
+// Version 4: orphans are archived rather than deleted.
+// Version 5: files are moved into the path layout.
+const PLAN_VERSION = 5;
+
+// Longest redirect chain followed for feeds and downloads
+const MAX_REDIRECTS = 10;
+
+// Feed and episode failures kept for the status server
+const MAX_RECENT_FAILURES = 50;
+
+// How many episodes may be in each pipeline stage at once, and how many AzuraCast API calls may run in parallel
+const DEFAULT_CONCURRENCY = {
+  episodes: 3,
+  downloads: 2,
+  uploads: 1,
+  indexing: 5,
+  finalize: 2,
+  api: 4
+};
+
+// Folder of a station media path, '' for the media root
+function stationDirname(filePath) {
+  const directory = path.posix.dirname(filePath);
+  return directory === '.' ? '' : directory;
+}
+
+// A file's playlists as numeric IDs; the API lists them as objects, occasionally as bare IDs
+function playlistIdsOf(file) {
+  return (file.playlists || []).map(playlist => Number(typeof playlist === 'object' ? playlist.id : playlist));
+}
 
 class PodcastUploader {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.config = config;
-    this.processedEpisodes = new Set();
+    this.ledger = new EpisodeLedger(config.ledgerFile || './processed-episodes.json');
     this.tempDir = config.tempDir || './temp';
-    this.logFile = config.logFile || './podcast-uploader.log';
     this.serverFiles = [];
+    this.serverFilesLoadedAt = 0;
+    this.serverFilesStale = false;
     this.uploadedFiles = []; // Track files uploaded in current session
+    this.retryPolicy = new RetryPolicy(config.retry);
+    
+    // The AzuraCast API over HTTPS, or the offline simulator (shared between stations when passed in)
+    this.backend = options.backend || createBackend(config);
+    
+    const concurrency = { ...DEFAULT_CONCURRENCY, ...(config.concurrency || {}) };
+    this.stages = {
+      episodes: new Semaphore(concurrency.episodes),
+      download: new Semaphore(concurrency.downloads),
+      upload: new Semaphore(concurrency.uploads),
+      indexing: new Semaphore(concurrency.indexing),
+      finalize: new Semaphore(concurrency.finalize)
+    };
+    this.apiLimiter = new Semaphore(concurrency.api);
+    
+    // Conditional GET validators and parsed feeds (shared between stations), plus the feeds already loaded in this run
+    this.feedCache = options.feedCache || new FeedCache(config.feedCacheFile || './feed-cache.json');
+    this.feedResults = new Map();
+    
+    // Orphans are moved to the archive folder and deleted after `archive.retention`, unless `archive.enabled` is false.
+    // The archive folder itself is never treated as orphaned.
+    const archive = config.archive || {};
+    this.archive = {
+      enabled: archive.enabled !== false,
+      directory: (archive.directory || DEFAULT_ARCHIVE_DIRECTORY).replace(/^\/+|\/+$/g, ''),
+      retention: parseDuration(archive.retention || '30d')
+    };
+    this.pathRules = new PathRules(config.orphanCleanup, [this.archive.directory]);
+    this.stationDirectories = new Set();
+    
+    // Downloads that are not the audio the feed promised are moved here instead of being uploaded
+    this.quarantineDir = (config.mediaValidation || {}).quarantineDir || './quarantine';
+    
+    // Compiled `pathTemplate`s by template, and station paths taken by uploads of this run
+    this.pathTemplates = new Map();
+    this.reservedPaths = new Set();
+    
+    // Set on shutdown so long-running loops stop once the episodes in progress are done
+    this.stopRequested = false;
+    
+    // Dry-run mode: nothing mutating is sent to AzuraCast, actions are collected into a plan instead
+    this.dryRun = Boolean(options.dryRun);
+    this.planFile = options.planFile || null;
+    this.plan = [];
+    
+    this.showFilter = options.showFilter || [];
+    
+    // Console and log file output (shared between stations when passed in), and the ID tying together the lines of one run
+    this.logger = options.logger || createLogger(config, options.consoleLevel);
+    this.runId = options.runId || newRunId();
+    
+    // Set when the config defines several stations; prefixed to every log line
+    this.stationName = options.stationName || null;
+    this.summary = { uploaded: 0, failed: 0, retired: 0, archived: 0, deleted: 0 };
+    
+    // Webhooks, chat, email and push notifiers of the `notifications` section, and what each show did this run
+    this.notifications = new Notifications(config.notifications);
+    this.showReports = new Map();
+    
+    // What the status server shows: the run in progress and the last one, feed health per show and recent failures.
+    // Shows paused through it are skipped until resumed or until the process restarts.
+    this.runState = { current: null, last: null };
+    this.feedHealth = new Map();
+    this.recentFailures = [];
+    this.pausedShows = new Set();
+    
+    // Prometheus metrics (shared between stations when passed in); every sample is labelled with the station
+    this.metrics = options.metrics || new Metrics();
+    this.metricsStation = this.stationName || `${config.azuraCast.host}/${config.azuraCast.stationId}`;
   }
 
   async init() {
     await this.ensureTempDir();
-    await this.loadProcessedEpisodes();
+    await this.loadLedger();
     await this.loadServerFiles();
   }
 
-  async log(message, level = 'INFO') {
-    const timestamp = new Date().toISOString();
-    const logEntry = `${timestamp} [${level}] ${message}`;
-    console.log(logEntry);
+  /**
+   * `station: false` leaves out the station, for messages that concern every station.
+   * The other options are context fields for the structured log: `show` (feed URL),
+   * `guid`, `fileId`, `stage` and `durationMs`.
+   */
+  async log(message, level = 'INFO', { station = true, ...fields } = {}) {
+    await this.logger.write({
+      time: new Date(),
+      level,
+      runId: this.runId,
+      station: station ? this.stationName : null,
+      message,
+      ...fields
+    });
+  }
+
+  // Marks a run as in progress; the daemon gives each poll and cleanup a new correlation ID
+  beginRun(kind, { runId = newRunId() } = {}) {
+    this.runId = runId;
+    this.runState.current = { runId, kind, startedAt: new Date().toISOString(), summary: { ...this.summary } };
+  }
+
+  // Moves the run in progress to `last`, with what it added to the summary counts
+  endRun(fatal = this.summary.fatal || null) {
+    const current = this.runState.current;
+    if (!current) return;
+    
+    const counts = {};
+    for (const key of ['uploaded', 'failed', 'retired', 'archived', 'deleted']) {
+      counts[key] = this.summary[key] - (current.summary[key] || 0);
+    }
+    const { summary, ...run } = current;
+    this.runState = { current: null, last: { ...run, finishedAt: new Date().toISOString(), counts, fatal } };
+    if (!fatal && !this.dryRun) {
+      this.metrics.set('last_success_timestamp_seconds', { station: this.metricsStation }, Math.floor(Date.now() / 1000));
+    }
+  }
+
+  recordFailure(failure) {
+    this.recentFailures.unshift({ time: new Date().toISOString(), runId: this.runId, ...failure });
+    this.recentFailures.length = Math.min(this.recentFailures.length, MAX_RECENT_FAILURES);
+  }
+
+  count(name, labels = {}, amount = 1) {
+    this.metrics.inc(name, { station: this.metricsStation, ...labels }, amount);
+  }
+
+  observe(name, labels, durationMs) {
+    this.metrics.observe(name, { station: this.metricsStation, ...labels }, durationMs / 1000);
+  }
+
+  // Numeric IDs in the endpoint become ":id", so each endpoint is one label value
+  countApiError(method, endpoint, error) {
+    this.count('api_errors_total', {
+      method,
+      endpoint: endpoint.replace(/\/\d+(?=\/|$)/g, '/:id'),
+      status: String(error.statusCode || error.code || 'error')
+    });
+  }
+
+  // Pausing only lasts until the process restarts; `enabled: false` in the config is the lasting way
+  async pauseShow(rssUrl, paused = true) {
+    if (!this.config.shows.some(showConfig => showConfig.rssUrl === rssUrl)) return false;
+    
+    if (paused) this.pausedShows.add(rssUrl);
+    else this.pausedShows.delete(rssUrl);
+    await this.log(`${paused ? '⏸️ Paused' : '▶️ Resumed'} ${rssUrl}`, 'INFO', { show: rssUrl });
+    return true;
+  }
+
+  // Episodes the ledger has on the station, newest first
+  episodesOnAir() {
+    return Array.from(this.ledger.entries.values())
+      .filter(entry => entry.fileId && [STATUS.UPLOADED, STATUS.IN_PLAYLIST].includes(entry.status))
+      .map(({ guid, rssUrl, title, fileId, path: filePath, status, pubDate, uploadedAt, pending }) =>
+        ({ guid, rssUrl, title, fileId, path: filePath || null, status, pubDate, uploadedAt, pending: Boolean(pending) }))
+      .sort((a, b) => String(b.pubDate || '').localeCompare(String(a.pubDate || '')));
+  }
+
+  // Everything the status server reports for this station
+  statusReport() {
+    const onAir = this.episodesOnAir();
+    const shows = this.config.shows.map(showConfig => {
+      const health = this.feedHealth.get(showConfig.rssUrl) || {};
+      const episodes = onAir.filter(entry => entry.rssUrl === showConfig.rssUrl);
+      return {
+        rssUrl: showConfig.rssUrl,
+        title: health.title || null,
+        enabled: showConfig.enabled !== false,
+        paused: this.pausedShows.has(showConfig.rssUrl),
+        healthy: health.lastCheckedAt ? !health.consecutiveFailures : null,
+        ...health,
+        onAir: episodes.length,
+        lastUpload: episodes.map(entry => entry.uploadedAt).filter(Boolean).sort().pop() || null
+      };
+    });
+    
+    const { host, stationId } = this.config.azuraCast;
+    // The summary snapshot of the current run is only there to compute its counts
+    const current = this.runState.current && (({ summary, ...run }) => run)(this.runState.current);
+    return {
+      name: this.stationName,
+      host,
+      stationId,
+      run: { current, last: this.runState.last },
+      totals: this.summary,
+      shows,
+      failures: this.recentFailures
+    };
+  }
+
+  // Sends an event to the notifiers that want it; a failing notifier is logged, never fatal
+  async notify(event, data) {
+    if (this.dryRun || !this.notifications.wants(event)) return;
+    
+    const { host, stationId } = this.config.azuraCast;
+    const failures = await this.notifications.send(event, { station: { name: this.stationName, host, stationId }, runId: this.runId, ...data });
+    for (const { name, error } of failures) {
+      await this.log(`⚠️ Notifier ${name} failed to send ${event}: ${error.message}`, 'WARN');
+    }
+  }
+
+  // Per-show detail for the run summary
+  reportFor(rssUrl, title = null) {
+    let report = this.showReports.get(rssUrl);
+    if (!report) {
+      report = { rssUrl, title: null, uploaded: [], failed: [], retired: 0, feedError: null };
+      this.showReports.set(rssUrl, report);
+    }
+    if (title) report.title = title;
+    return report;
+  }
+
+  // Checks the station's storage and warns once it is past `notifications.quotaWarningPercent`
+  async checkQuota() {
+    const threshold = (this.config.notifications || {}).quotaWarningPercent;
+    const warnAt = threshold === undefined ? 90 : threshold;
     
+    let quota;
     try {
-      await fs.appendFile(this.logFile, logEntry + '\n');
+      quota = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/quota/station_media`);
     } catch (error) {
-      console.error('Failed to write to log file:', error.message);
+      await this.log(`💾 Could not check the storage quota: ${error.message}`, 'DEBUG');
+      return;
+    }
+    // Stations without a quota report no limit
+    if (!quota || !Number(quota.quota_bytes)) return;
+    
+    const usedPercent = Number(quota.used_percent);
+    if (usedPercent < warnAt) {
+      await this.log(`💾 Station storage: ${quota.used} of ${quota.quota} used (${usedPercent}%)`, 'DEBUG');
+      return;
+    }
+    await this.log(`⚠️ Station storage is ${usedPercent}% full: ${quota.used} of ${quota.quota} used`, 'WARN');
+    await this.notify('quota-warning', { usedPercent, used: quota.used, quota: quota.quota, usedBytes: Number(quota.used_bytes), quotaBytes: Number(quota.quota_bytes) });
+  }
+
+  // End of a run: the storage check and the run summary with the "Process Complete" counts and per-show detail
+  async finishRun() {
+    this.endRun();
+    if (this.dryRun) return;
+    
+    await this.checkQuota();
+    const { fatal = null, ...counts } = this.summary;
+    await this.notify('run-summary', { counts, fatal, shows: Array.from(this.showReports.values()) });
+  }
+
+  // The daemon reports once a day, starting the next report from scratch
+  resetRunReport() {
+    this.summary = { uploaded: 0, failed: 0, retired: 0, archived: 0, deleted: 0 };
+    this.showReports.clear();
+  }
+
+  async recordPlanAction(action) {
+    this.plan.push(action);
+    
+    const target = action.type === 'upload'
+      ? `"${action.episode.title}" (${action.showMetadata.title})`
+      : action.type === 'mark-processed'
+        ? `GUID ${action.guid}`
+        : action.type === 'create-playlist'
+          ? `playlist "${action.name}"`
+          : action.type === 'update-playlist'
+            ? `playlist "${action.title}" (ID: ${action.playlistId})`
+            : `"${action.title}" (ID: ${action.fileId})`;
+    await this.log(`📝 [DRY RUN] Would ${action.type} ${target}: ${action.reason}`);
+  }
+
+  async writePlan() {
+    const counts = this.plan.reduce((acc, action) => {
+      acc[action.type] = (acc[action.type] || 0) + 1;
+      return acc;
+    }, {});
+    
+    await this.log(`\n📝 Dry-run plan: ${this.plan.length} actions`);
+    for (const type of ['create-playlist', 'update-playlist', 'move', 'archive', 'delete', 'mark-processed', 'upload', 'update-playlists']) {
+      await this.log(`  ${type}: ${counts[type] || 0}`);
+    }
+    
+    if (!this.planFile) {
+      await this.log('💡 Use --plan-file <path> to save this plan and --apply-plan <path> to execute it');
+      return;
     }
+    
+    const plan = {
+      version: PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      station: {
+        name: this.stationName,
+        host: this.config.azuraCast.host,
+        stationId: this.config.azuraCast.stationId
+      },
+      actions: this.plan
+    };
+    
+    await fs.writeFile(this.planFile, JSON.stringify(plan, null, 2));
+    await this.log(`💾 Plan written to ${this.planFile}`);
   }
 
   async ensureTempDir() {
@@ -40,29 +373,37 @@ class PodcastUploader {
     }
   }
 
-  async loadProcessedEpisodes() {
-    try {
-      const data = await fs.readFile('./processed-episodes.json', 'utf8');
-      this.processedEpisodes = new Set(JSON.parse(data));
-      await this.log(`Loaded ${this.processedEpisodes.size} processed episodes`);
-    } catch (error) {
+  async loadLedger() {
+    const found = await this.ledger.load({ dryRun: this.dryRun });
+    
+    if (!found) {
       await this.log('No previous episode history found, starting fresh');
-      this.processedEpisodes = new Set();
+      return;
+    }
+    
+    if (this.ledger.migratedFrom && this.dryRun) {
+      await this.log(`🔄 Read ${this.ledger.size} processed episodes from the old ledger format; the migration is not saved in a dry run`);
+    } else if (this.ledger.migratedFrom) {
+      await this.log(`🔄 Migrated ${this.ledger.size} processed episodes to the episode ledger (backup: ${this.ledger.filePath}.v1.bak)`);
     }
+    await this.log(`Loaded ${this.ledger.size} processed episodes`);
   }
 
-  async saveProcessedEpisodes() {
+  async saveLedger() {
+    if (this.dryRun) return;
+    
     try {
-      const episodes = Array.from(this.processedEpisodes);
-      await fs.writeFile('./processed-episodes.json', JSON.stringify(episodes, null, 2));
+      await this.ledger.save();
     } catch (error) {
-      await this.log(`Failed to save processed episodes: ${error.message}`, 'ERROR');
+      await this.log(`Failed to save episode ledger: ${error.message}`, 'ERROR');
     }
   }
 
-  async loadServerFiles() {
+  async loadServerFiles(showPlaylists = true) {
     try {
       this.serverFiles = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/files`);
+      this.serverFilesLoadedAt = Date.now();
+      this.serverFilesStale = false;
       await this.log(`📂 Found ${this.serverFiles.length} existing files on server`);
       
       // Log files by show for debugging
@@ -75,7 +416,7 @@ class PodcastUploader {
       await this.log(`📈 Files by show: ${Array.from(filesByShow.entries()).map(([show, count]) => `${show}: ${count}`).join(', ')}`);
       
       // Also load and display playlist information
-      await this.displayPlaylistInfo();
+      if (showPlaylists) await this.displayPlaylistInfo();
       
     } catch (error) {
       await this.log(`⚠️ Failed to load server files: ${error.message}`, 'WARN');
@@ -83,14 +424,30 @@ class PodcastUploader {
     }
   }
 
+  // Reloads the cached station file list only after changes or once it is older than maxAgeMs
+  async refreshServerFiles(maxAgeMs) {
+    if (!this.serverFilesStale && Date.now() - this.serverFilesLoadedAt < maxAgeMs) return;
+    await this.loadServerFiles(false);
+  }
+
+  // The station's playlists with their file counts, as the `playlists` command and the status server show them
+  async playlistSummary() {
+    const playlists = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/playlists`);
+    const summary = [];
+    for (const playlist of playlists) {
+      const fileIds = await this.getPlaylistFiles(playlist.id);
+      summary.push({ id: playlist.id, name: playlist.name, source: playlist.source, order: playlist.order, files: fileIds.length });
+    }
+    return summary;
+  }
+
   async displayPlaylistInfo() {
     try {
-      const playlists = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/playlists`);
+      const playlists = await this.playlistSummary();
       await this.log(`\n📋 Available Playlists:`);
       
       for (const playlist of playlists) {
-        const fileCount = await this.getPlaylistFiles(playlist.id);
-        await this.log(`📋 ID ${playlist.id}: "${playlist.name}" (${playlist.source}/${playlist.order}) - ${fileCount.length} files`);
+        await this.log(`📋 ID ${playlist.id}: "${playlist.name}" (${playlist.source}/${playlist.order}) - ${playlist.files} files`);
         
         if (playlist.source !== 'songs') {
           await this.log(`  ⚠️ Warning: Source '${playlist.source}' may not support manual file assignment`, 'WARN');
@@ -102,10 +459,122 @@ class PodcastUploader {
     }
   }
 
+  // Playlist IDs a show manages: its `playlists` list, or the older single `playlistId`. Playlists
+  // declared by name count once provisioned; with `pending`, ones still to be created give their name.
+  showPlaylists(showConfig, { pending = false } = {}) {
+    if (!Array.isArray(showConfig.playlists)) return showConfig.playlistId ? [showConfig.playlistId] : [];
+    
+    return showConfig.playlists
+      .map(entry => (typeof entry === 'object' ? this.ledger.playlistId(entry.name) || (pending ? entry.name : null) : entry))
+      .filter(playlistId => playlistId !== null);
+  }
+
+  // Creates the playlists shows declare by name, and puts back settings that were changed in AzuraCast
+  async provisionPlaylists() {
+    const declared = new Map();
+    for (const showConfig of this.activeShows()) {
+      for (const entry of showConfig.playlists || []) {
+        if (typeof entry !== 'object') continue;
+        
+        const previous = declared.get(entry.name);
+        if (previous && JSON.stringify(previous) !== JSON.stringify(entry)) {
+          await this.log(`⚠️ Playlist "${entry.name}" is declared with different settings by several shows, using the first`, 'WARN');
+          continue;
+        }
+        declared.set(entry.name, entry);
+      }
+    }
+    if (declared.size === 0) return;
+    
+    await this.log(`\n📋 Checking ${declared.size} declared playlist${declared.size === 1 ? '' : 's'}...`);
+    
+    let stationPlaylists;
+    try {
+      stationPlaylists = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/playlists`);
+    } catch (error) {
+      await this.log(`⚠️ Could not load playlists, declared playlists are not provisioned: ${error.message}`, 'WARN');
+      return;
+    }
+    
+    for (const entry of declared.values()) {
+      try {
+        await this.provisionPlaylist(entry, stationPlaylists);
+      } catch (error) {
+        await this.log(`❌ Could not provision playlist "${entry.name}": ${error.message}`, 'ERROR');
+      }
+    }
+    await this.saveLedger();
+  }
+
+  async provisionPlaylist(entry, stationPlaylists) {
+    const settings = playlistSettings(entry);
+    
+    // The stored ID comes first, so a playlist renamed in AzuraCast is not created a second time
+    const storedId = this.ledger.playlistId(entry.name);
+    const playlist = (storedId && stationPlaylists.find(candidate => String(candidate.id) === String(storedId))) ||
+      stationPlaylists.find(candidate => (candidate.name || '').toLowerCase() === entry.name.toLowerCase());
+    
+    if (!playlist) {
+      if (this.dryRun) {
+        await this.recordPlanAction({
+          type: 'create-playlist',
+          name: entry.name,
+          settings,
+          reason: 'declared in the config but missing on the station'
+        });
+        return;
+      }
+      await this.createPlaylist(entry.name, settings);
+      return;
+    }
+    
+    if (String(storedId) !== String(playlist.id)) {
+      this.ledger.setPlaylistId(entry.name, playlist.id);
+      await this.log(`📋 Playlist "${entry.name}" is ID ${playlist.id}`);
+    }
+    if (playlist.name !== entry.name) {
+      await this.log(`📋 Playlist "${entry.name}" (ID ${playlist.id}) is called "${playlist.name}" in AzuraCast`);
+    }
+    
+    const drifted = driftedSettings(playlist, settings);
+    if (drifted.length === 0) {
+      await this.log(`✅ Playlist "${entry.name}" (ID ${playlist.id}) matches the config`, 'DEBUG');
+      return;
+    }
+    
+    const changes = {};
+    for (const key of drifted) changes[key] = settings[key];
+    
+    if (this.dryRun) {
+      await this.recordPlanAction({
+        type: 'update-playlist',
+        playlistId: playlist.id,
+        title: playlist.name,
+        changes,
+        reason: `${drifted.join(', ')} changed in AzuraCast`
+      });
+      return;
+    }
+    
+    await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/playlist/${playlist.id}`, changes);
+    await this.log(`🔧 Playlist "${entry.name}" (ID ${playlist.id}) reset: ${drifted.join(', ')}`);
+  }
+
+  async createPlaylist(name, settings) {
+    const created = await this.apiRequest('POST', `/station/${this.config.azuraCast.stationId}/playlists`, settings);
+    if (!created || !created.id) throw new Error('AzuraCast did not return the new playlist ID');
+    
+    this.ledger.setPlaylistId(name, created.id);
+    await this.log(`✨ Created playlist "${name}" (ID ${created.id})`);
+    return created;
+  }
+
   async cleanupOrphanedFiles() {
     try {
       await this.log('\n🧹 Starting orphaned file cleanup...');
       
+      await this.purgeArchive();
+      
       // Get default playlist from config
       const defaultPlaylistId = this.config.azuraCast.defaultPlaylist;
       if (!defaultPlaylistId) {
@@ -116,63 +585,107 @@ class PodcastUploader {
       
       await this.log(`📋 Default playlist ID: ${defaultPlaylistId}`);
       
+      // Files in a playlist some show manages are kept too, even when they are not in the default playlist
+      const keptPlaylists = new Set([Number(defaultPlaylistId)]);
+      for (const showConfig of this.config.shows) {
+        for (const playlistId of this.showPlaylists(showConfig)) keptPlaylists.add(Number(playlistId));
+      }
+      if (keptPlaylists.size > 1) {
+        await this.log(`📋 Files in show playlists ${[...keptPlaylists].slice(1).join(', ')} are kept as well`);
+      }
+      
       // Find files assigned to the default playlist by checking file.playlists property
-      const filesInDefaultPlaylist = this.serverFiles.filter(file => {
-        const filePlaylists = file.playlists || [];
-        return filePlaylists.some(playlist => 
-          playlist.id === defaultPlaylistId || playlist.id === defaultPlaylistId.toString()
-        );
-      });
+      const filesInDefaultPlaylist = this.serverFiles.filter(file => playlistIdsOf(file).includes(Number(defaultPlaylistId)));
       
       await this.log(`📋 Found ${filesInDefaultPlaylist.length} files in default playlist`);
       
-      // Find orphaned files (on server but not in default playlist)
-      const orphanedFiles = this.serverFiles.filter(file => {
-        const filePlaylists = file.playlists || [];
-        return !filePlaylists.some(playlist => 
-          playlist.id === defaultPlaylistId || playlist.id === defaultPlaylistId.toString()
-        );
-      });
+      // Find orphaned files (on server but in neither the default playlist nor a show playlist)
+      const unlisted = this.serverFiles.filter(file => !playlistIdsOf(file).some(playlistId => keptPlaylists.has(playlistId)));
+      
+      // Files under denied paths (and the archive folder), or outside the allowed paths, are left alone
+      const orphanedFiles = [];
+      for (const file of unlisted) {
+        const reasonToKeep = this.pathRules.reasonToKeep(file.path);
+        if (reasonToKeep) {
+          await this.log(`🛡️ Leaving "${file.path || file.title}" (ID: ${file.id}) alone: ${reasonToKeep}`, 'DEBUG');
+        } else {
+          orphanedFiles.push(file);
+        }
+      }
+      if (unlisted.length > orphanedFiles.length) {
+        await this.log(`🛡️ ${unlisted.length - orphanedFiles.length} files outside the playlists are protected by their path`);
+      }
       
       if (orphanedFiles.length === 0) {
-        await this.log('✅ No orphaned files found - all server files are in the default playlist');
+        await this.log('✅ No orphaned files found - all server files are in the default playlist or a show playlist');
         return;
       }
       
-      await this.log(`🗑️ Found ${orphanedFiles.length} orphaned files to delete:`);
-      orphanedFiles.forEach(file => {
+      const verb = this.archive.enabled ? 'archive' : 'delete';
+      await this.log(`🗑️ Found ${orphanedFiles.length} orphaned files to ${verb}:`);
+      for (const file of orphanedFiles) {
         const playlists = file.playlists || [];
-        this.log(`  - "${file.title}" (ID: ${file.id}) by ${file.artist || 'Unknown'} (playlists: ${JSON.stringify(playlists)})`);
-      });
+        await this.log(`  - "${file.title}" (ID: ${file.id}) by ${file.artist || 'Unknown'} (playlists: ${JSON.stringify(playlists)})`, 'INFO', { fileId: file.id, stage: 'orphans' });
+      }
       
-      let deletedCount = 0;
+      const reason = `not in default playlist ${defaultPlaylistId} or any show playlist`;
+      if (this.dryRun) {
+        for (const file of orphanedFiles) {
+          await this.recordPlanAction({
+            type: verb,
+            fileId: file.id,
+            title: file.title,
+            artist: file.artist || null,
+            path: file.path,
+            playlists: playlistIdsOf(file),
+            reason
+          });
+        }
+        
+        // Later steps should see the station as it would be after the deletions
+        const orphanedIds = new Set(orphanedFiles.map(file => file.id));
+        this.serverFiles = this.serverFiles.filter(file => !orphanedIds.has(file.id));
+        return;
+      }
+      
+      let removedCount = 0;
       let failedCount = 0;
+      const removedFiles = [];
       
-      // Delete orphaned files
+      // Archive (or delete) orphaned files
       for (const file of orphanedFiles) {
         try {
-          await this.log(`🗑️ Deleting orphaned file: "${file.title}" (ID: ${file.id})`);
-          
-          const result = await this.apiRequest('DELETE', `/station/${this.config.azuraCast.stationId}/file/${file.id}`);
-          
-          deletedCount++;
-          await this.log(`✅ Successfully deleted file ID ${file.id}`);
+          if (this.archive.enabled) {
+            await this.log(`🗄️ Archiving orphaned file: "${file.title}" (ID: ${file.id})`, 'INFO', { fileId: file.id, stage: 'orphans' });
+            await this.archiveFile(file, reason);
+          } else {
+            await this.log(`🗑️ Deleting orphaned file: "${file.title}" (ID: ${file.id})`, 'INFO', { fileId: file.id, stage: 'orphans' });
+            await this.deleteFile(file.id);
+          }
+          removedCount++;
+          removedFiles.push({ id: file.id, title: file.title, path: file.path });
           
           // Small delay between deletions to avoid overwhelming the API
           await new Promise(resolve => setTimeout(resolve, 500));
           
         } catch (error) {
           failedCount++;
-          await this.log(`❌ Failed to delete file ID ${file.id}: ${error.message}`, 'ERROR');
+          await this.log(`❌ Failed to ${verb} file ID ${file.id}: ${error.message}`, 'ERROR', { fileId: file.id, stage: 'orphans' });
         }
       }
       
       await this.log(`\n🧹 Orphaned file cleanup complete:`);
-      await this.log(`✅ Successfully deleted: ${deletedCount} files`);
-      await this.log(`❌ Failed to delete: ${failedCount} files`);
+      this.summary[this.archive.enabled ? 'archived' : 'deleted'] += removedCount;
+      this.count('orphans_removed_total', { action: `${verb}d` }, removedCount);
+      await this.log(`✅ Successfully ${verb}d: ${removedCount} files`);
+      await this.log(`❌ Failed to ${verb}: ${failedCount} files`);
+      if (removedCount > 0 || failedCount > 0) {
+        await this.notify('orphans', { action: `${verb}d`, files: removedFiles, failed: failedCount });
+      }
       
       // Reload server files after cleanup
-      if (deletedCount > 0) {
+      if (removedCount > 0) {
+        await this.saveLedger();
         await this.log('🔄 Reloading server files after cleanup...');
         await this.loadServerFiles();
       }
@@ -182,146 +695,448 @@ class PodcastUploader {
     }
   }
 
-  async apiRequest(method, endpoint, data = null) {
-    const url = `https://${this.config.azuraCast.host}/api${endpoint}`;
+  async deleteFile(fileId) {
+    await this.apiRequest('DELETE', `/station/${this.config.azuraCast.stationId}/file/${fileId}`);
+    await this.log(`✅ Successfully deleted file ID ${fileId}`);
     
-    return new Promise((resolve, reject) => {
-      const options = {
-        method,
-        headers: {
-          'X-API-Key': this.config.azuraCast.apiKey,
-          'Accept': 'application/json'
+    this.markFileStatus(fileId, STATUS.DELETED);
+    this.ledger.forgetArchived(fileId);
+  }
+
+  // Moves a file into the archive folder, keeping its folder layout, and records where it came from
+  async archiveFile(file, reason) {
+    if (!file.path) throw new Error('AzuraCast did not report the file path');
+    
+    const target = archivedPath(this.archive.directory, file.path);
+    await this.moveFiles([file.path], stationDirname(target));
+    
+    const entry = this.ledger.findByFileId(file.id);
+    this.ledger.recordArchived({
+      fileId: file.id,
+      title: file.title || null,
+      path: file.path,
+      archivedPath: target,
+      playlists: playlistIdsOf(file),
+      status: entry ? entry.status : null,
+      archivedAt: new Date().toISOString(),
+      reason
+    });
+    this.markFileStatus(file.id, STATUS.ARCHIVED);
+    await this.log(`✅ Archived file ID ${file.id} to ${target}`);
+  }
+
+  // Moves station files into `directory` (relative to the media folder) with the files batch API
+  async moveFiles(paths, directory) {
+    await this.ensureStationDirectory(directory);
+    const result = await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/files/batch`, {
+      do: 'move',
+      currentDirectory: '',
+      files: paths,
+      dirs: [],
+      directory
+    });
+    
+    const errors = result && Array.isArray(result.errors) ? result.errors : [];
+    if (errors.length > 0 || (result && result.success === false)) {
+      throw new Error(`Moving ${paths.join(', ')} to "${directory || '/'}" failed: ${errors.join('; ') || 'no reason given'}`);
+    }
+  }
+
+  // Moves a single station file to a new path, which may also rename it
+  async renameFile(file, newPath) {
+    await this.ensureStationDirectory(stationDirname(newPath));
+    await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/files/rename`, {
+      file: file.path,
+      newPath
+    });
+    
+    const entry = this.ledger.findByFileId(file.id);
+    if (entry) this.ledger.record(entry.guid, { path: newPath });
+    this.serverFilesStale = true;
+    await this.log(`✅ Moved file ID ${file.id} from ${file.path} to ${newPath}`);
+  }
+
+  // Creates a media folder and its parents. AzuraCast refuses to create one that exists, so failures
+  // only get logged; a folder that is really missing makes the move that follows fail instead.
+  async ensureStationDirectory(directory) {
+    let parent = '';
+    for (const name of directory.split('/').filter(Boolean)) {
+      const current = parent ? `${parent}/${name}` : name;
+      if (!this.stationDirectories.has(current)) {
+        try {
+          await this.apiRequest('POST', `/station/${this.config.azuraCast.stationId}/files/mkdir`, { currentDirectory: parent, name });
+        } catch (error) {
+          await this.log(`📁 Could not create folder "${current}" (it may exist already): ${error.message}`, 'DEBUG');
         }
-      };
+        this.stationDirectories.add(current);
+      }
+      parent = current;
+    }
+  }
 
-      let postData = null;
-      if (data) {
-        postData = JSON.stringify(data);
-        options.headers['Content-Type'] = 'application/json';
-        options.headers['Content-Length'] = Buffer.byteLength(postData);
+  // Permanently deletes files that have been in the archive for longer than `archive.retention`
+  async purgeArchive() {
+    const cutoff = Date.now() - this.archive.retention;
+    const expired = Array.from(this.ledger.archived.values()).filter(record => new Date(record.archivedAt).getTime() < cutoff);
+    if (expired.length === 0) return;
+    
+    await this.log(`🗄️ Purging ${expired.length} files archived more than ${formatDuration(this.archive.retention)} ago`);
+    
+    const purged = [];
+    let failed = 0;
+    for (const record of expired) {
+      const reason = `archived ${record.archivedAt}, past the archive retention`;
+      if (this.dryRun) {
+        await this.recordPlanAction({ type: 'delete', fileId: record.fileId, title: record.title, artist: null, reason });
+        continue;
+      }
+      
+      try {
+        await this.deleteFile(record.fileId);
+        this.summary.deleted++;
+        this.count('orphans_removed_total', { action: 'purged' });
+        purged.push({ id: record.fileId, title: record.title, path: record.archivedPath });
+      } catch (error) {
+        if (error.statusCode === 404) {
+          this.ledger.forgetArchived(record.fileId);
+          await this.log(`🗄️ Archived file ${record.fileId} ("${record.title}") is already gone from the station`);
+        } else {
+          await this.log(`❌ Failed to purge archived file ${record.fileId}: ${error.message}`, 'ERROR');
+          failed++;
+        }
       }
+    }
+    await this.saveLedger();
+    if (purged.length > 0 || failed > 0) {
+      await this.notify('orphans', { action: 'purged', files: purged, failed });
+    }
+  }
 
-      const req = https.request(url, options, (response) => {
-        let responseData = '';
-        response.on('data', (chunk) => { responseData += chunk; });
-        response.on('end', () => {
-          if (response.statusCode >= 200 && response.statusCode < 300) {
-            try {
-              const result = responseData ? JSON.parse(responseData) : {};
-              resolve(result);
-            } catch (err) {
-              resolve({ success: true }); // Some endpoints return non-JSON success
-            }
-          } else {
-            reject(new Error(`API ${method} ${endpoint} failed: ${response.statusCode} - ${responseData}`));
-          }
-        });
-      });
+  async restoreFile(fileIdOrPath) {
+    await this.loadLedger();
+    
+    const record = this.ledger.findArchived(fileIdOrPath);
+    if (!record) {
+      const error = new Error(`No archived file "${fileIdOrPath}" in ${this.ledger.filePath}`);
+      error.notFound = true;
+      throw error;
+    }
+    
+    await this.moveFiles([record.archivedPath], stationDirname(record.path));
+    if (record.playlists.length > 0) {
+      await this.updateFilePlaylists(record.fileId, { add: record.playlists });
+    }
+    
+    this.ledger.forgetArchived(record.fileId);
+    this.markFileStatus(record.fileId, record.status || STATUS.UPLOADED);
+    await this.saveLedger();
+    
+    const playlists = record.playlists.length > 0 ? ` and playlists ${record.playlists.join(', ')}` : '';
+    await this.log(`♻️ Restored "${record.title}" (ID: ${record.fileId}) to ${record.path}${playlists}`);
+    
+    const defaultPlaylistId = this.config.azuraCast.defaultPlaylist;
+    const kept = [defaultPlaylistId, ...this.config.shows.flatMap(showConfig => this.showPlaylists(showConfig))].map(Number);
+    if (defaultPlaylistId && !record.playlists.some(playlistId => kept.includes(Number(playlistId))) && !this.pathRules.reasonToKeep(record.path)) {
+      await this.log('💡 The file is in neither the default playlist nor a show playlist, so the next orphan cleanup archives it again. Add it to one of them, or list its path in orphanCleanup.denyPaths.', 'WARN');
+    }
+    return record;
+  }
 
-      req.on('error', reject);
-      req.setTimeout(60000, () => {
-        req.destroy();
-        reject(new Error(`API request timeout: ${method} ${endpoint}`));
-      });
+  markFileStatus(fileId, status) {
+    this.serverFilesStale = true;
+    const entry = this.ledger.findByFileId(fileId);
+    if (entry) this.ledger.setStatus(entry.guid, status);
+  }
 
-      if (postData) req.write(postData);
-      req.end();
+  // Runs `operation` under the shared retry policy, logging every retry
+  async withRetry(description, operation, retryable) {
+    return this.retryPolicy.run(operation, {
+      retryable,
+      onRetry: (error, attempt, delay) => this.log(`⚠️ ${description} failed (${error.message}), retrying in ${formatDuration(delay)} (attempt ${attempt + 1}/${this.retryPolicy.attempts})`, 'WARN')
     });
   }
 
-  async fetchFeed(url) {
+  // Absolute target of a redirect response; `visited` holds every URL of the chain so far
+  redirectTarget(response, url, visited) {
+    const target = new URL(response.headers.location, url).href;
+    let error = null;
+    
+    if (visited.includes(target)) {
+      error = new Error(`Redirect loop detected at ${target}`);
+    } else if (visited.length > MAX_REDIRECTS) {
+      error = new Error(`Too many redirects (more than ${MAX_REDIRECTS}) starting at ${visited[0]}`);
+    }
+    
+    if (error) {
+      error.retryable = false;
+      throw error;
+    }
+    return target;
+  }
+
+  async apiRequest(method, endpoint, data = null) {
+    // A failed POST may still have created something, so only retry when the server clearly did not act on it
+    const retryable = method === 'POST'
+      ? (error) => [429, 503].includes(error.statusCode) || error.code === 'ECONNREFUSED'
+      : undefined;
+    
+    // The limiter is held per attempt, so a request waiting to retry does not block others
+    return this.withRetry(`API ${method} ${endpoint}`, () => this.apiLimiter.run(() => this.backend.request(method, endpoint, data))
+      .catch(error => {
+        this.countApiError(method, endpoint, error);
+        throw error;
+      }), retryable);
+  }
+
+  // Resolves with { notModified, body, etag, lastModified }; `headers` carries the conditional GET validators
+  async fetchFeed(url, headers = {}) {
+    if (this.backend.fetchFeed) {
+      return this.withRetry(`Feed fetch ${url}`, () => this.backend.fetchFeed(url, headers));
+    }
+    return this.withRetry(`Feed fetch ${url}`, () => this.fetchFeedOnce(url, headers, [url]));
+  }
+
+  async fetchFeedOnce(url, headers, visited) {
     return new Promise((resolve, reject) => {
       const client = url.startsWith('https:') ? https : http;
+      const options = {
+        headers: {
+          ...headers,
+          'Accept-Encoding': 'gzip, deflate'
+        }
+      };
       
-      const request = client.get(url, (response) => {
+      const request = client.get(url, options, (response) => {
         // Handle redirects
         if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-          return this.fetchFeed(response.headers.location).then(resolve).catch(reject);
+          response.resume();
+          let target;
+          try {
+            target = this.redirectTarget(response, url, visited);
+          } catch (error) {
+            return reject(error);
+          }
+          return this.fetchFeedOnce(target, headers, [...visited, target]).then(resolve).catch(reject);
+        }
+        
+        if (response.statusCode === 304) {
+          response.resume();
+          return resolve({ notModified: true, body: null, etag: null, lastModified: null });
         }
         
         if (response.statusCode !== 200) {
-          return reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+          response.resume();
+          return reject(httpError(`HTTP ${response.statusCode}: ${response.statusMessage}`, response));
         }
         
-        let data = '';
-        response.on('data', (chunk) => { data += chunk; });
-        response.on('end', () => resolve(data));
+        const encoding = (response.headers['content-encoding'] || 'identity').trim().toLowerCase();
+        const chunks = [];
+        response.on('data', (chunk) => { chunks.push(chunk); });
+        response.on('error', reject);
+        response.on('end', () => {
+          this.decodeFeedBody(Buffer.concat(chunks), encoding)
+            .then(body => resolve({
+              notModified: false,
+              body,
+              etag: response.headers.etag || null,
+              lastModified: response.headers['last-modified'] || null
+            }))
+            .catch(reject);
+        });
       });
       
       request.on('error', reject);
       request.setTimeout(30000, () => {
+        const error = new Error('Feed fetch timeout');
+        error.code = 'ETIMEDOUT';
         request.destroy();
-        reject(new Error('Feed fetch timeout'));
+        reject(error);
       });
     });
   }
 
-  parseRSSFeed(xmlContent) {
-    const extractTag = (content, tag) => {
-      const match = content.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'i'));
-      return match ? match[1].replace(/<!\[CDATA\[|\]\]>/g, '').trim() : '';
-    };
-
-    const extractAttr = (content, tag, attr) => {
-      const match = content.match(new RegExp(`<${tag}[^>]*${attr}=["']([^"']*?)["'][^>]*>`, 'i'));
-      return match ? match[1] : '';
-    };
-
-    // Extract show metadata
-    const showMetadata = {
-      title: extractTag(xmlContent, 'title'),
-      description: extractTag(xmlContent, 'description'),
-      author: extractTag(xmlContent, 'itunes:author') || extractTag(xmlContent, 'managingEditor'),
-      image: extractAttr(xmlContent, 'itunes:image', 'href') || this.extractImageFromImageTag(xmlContent)
-    };
-
-    // Extract episodes
-    const itemRegex = /<item[\s\S]*?<\/item>/gi;
-    const items = xmlContent.match(itemRegex) || [];
+  async decodeFeedBody(buffer, encoding) {
+    const decompress = (method, data) => new Promise((resolve, reject) => {
+      zlib[method](data, (error, result) => error ? reject(error) : resolve(result));
+    });
     
-    const episodes = items.map(item => ({
-      title: extractTag(item, 'title'),
-      description: extractTag(item, 'description'),
-      pubDate: new Date(extractTag(item, 'pubDate') || Date.now()),
-      enclosureUrl: extractAttr(item, 'enclosure', 'url'),
-      guid: extractTag(item, 'guid') || crypto.createHash('md5').update(extractTag(item, 'title') + extractAttr(item, 'enclosure', 'url')).digest('hex'),
-      duration: extractTag(item, 'itunes:duration'),
-      image: extractAttr(item, 'itunes:image', 'href')
-    })).filter(ep => ep.enclosureUrl); // Only episodes with audio
-
-    return { showMetadata, episodes };
+    try {
+      switch (encoding) {
+        case 'identity':
+          return buffer.toString('utf8');
+        case 'gzip':
+        case 'x-gzip':
+          return (await decompress('gunzip', buffer)).toString('utf8');
+        case 'deflate':
+          // Some servers send raw deflate data instead of the zlib-wrapped stream the spec asks for
+          try {
+            return (await decompress('inflate', buffer)).toString('utf8');
+          } catch (error) {
+            return (await decompress('inflateRaw', buffer)).toString('utf8');
+          }
+        default:
+          throw new Error(`unsupported Content-Encoding "${encoding}"`);
+      }
+    } catch (error) {
+      throw new Error(`Failed to decode feed: ${error.message}`);
+    }
   }
 
-  extractImageFromImageTag(xmlContent) {
-    const imageSection = xmlContent.match(/<image[^>]*>([\s\S]*?)<\/image>/i);
-    if (imageSection) {
-      const urlMatch = imageSection[1].match(/<url[^>]*>([^<]+)<\/url>/i);
-      if (urlMatch) return urlMatch[1].trim();
+  /**
+   * Fetches and parses a show's feed. Unchanged feeds are answered from the feed cache
+   * via a conditional GET; with `reuse`, a feed already loaded in this run is not fetched again.
+   */
+  async loadFeed(showConfig, { reuse = false } = {}) {
+    const url = showConfig.rssUrl;
+    if (reuse && this.feedResults.has(url)) {
+      return this.feedResults.get(url);
     }
-    return '';
+    
+    if (!this.feedCache.loaded) {
+      await this.feedCache.load();
+    }
+    
+    const format = showConfig.format || 'auto';
+    const cached = this.feedCache.get(url, format);
+    const headers = {};
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    
+    const response = await this.fetchFeed(url, headers);
+    let result;
+    
+    if (response.notModified) {
+      if (!cached) throw new Error('HTTP 304 received without a cached copy of the feed');
+      this.feedCache.touch(url);
+      result = { ...cached.parsed, notModified: true };
+      await this.log(`♻️ Feed not modified since last fetch, using cached copy`, 'DEBUG');
+    } else {
+      const parsed = this.parseFeed(response.body, showConfig.format);
+      this.feedCache.set(url, { format, etag: response.etag, lastModified: response.lastModified, parsed });
+      result = { ...parsed, notModified: false };
+    }
+    
+    this.feedResults.set(url, result);
+    return result;
   }
 
+  async saveFeedCache() {
+    try {
+      await this.feedCache.save();
+    } catch (error) {
+      await this.log(`⚠️ Failed to save feed cache: ${error.message}`, 'WARN');
+    }
+  }
+
+  parseRSSFeed(xmlContent) {
+    return parseRSSFeed(xmlContent);
+  }
+
+  // Parses RSS, Atom or JSON Feed content, honouring a show's `format` override
+  parseFeed(content, format = 'auto') {
+    return parseFeed(content, format);
+  }
+
+  // Resolves with `{ contentType }` as the server sent it, for the media validation
   async downloadFile(url, filepath, showProgress = true) {
+    if (this.backend.download) {
+      const result = await this.withRetry(`Download ${url}`, () => this.backend.download(url, filepath));
+      return { contentType: null, ...result };
+    }
+    
+    // Carried across attempts so a retry can continue where the interrupted one stopped
+    const state = { acceptsRanges: false, validator: null, contentType: null };
+    
+    await this.withRetry(`Download ${url}`, async (attempt) => {
+      let offset = 0;
+      if (attempt > 1 && state.acceptsRanges) {
+        offset = await fs.stat(filepath).then(stats => stats.size, () => 0);
+      }
+      await this.downloadAttempt(url, filepath, offset, state, showProgress, [url]);
+    });
+    return { contentType: state.contentType };
+  }
+
+  async downloadAttempt(url, filepath, offset, state, showProgress, visited) {
     return new Promise((resolve, reject) => {
       const client = url.startsWith('https:') ? https : http;
-      const file = require('fs').createWriteStream(filepath);
+      const headers = {};
+      if (offset > 0) {
+        headers['Range'] = `bytes=${offset}-`;
+        // The server sends the whole file instead if it changed since the interrupted attempt
+        if (state.validator) headers['If-Range'] = state.validator;
+      }
       
-      const request = client.get(url, (response) => {
+      let file = null;
+      let failure = null;
+      const fail = (error) => {
+        if (failure) return;
+        failure = error;
+        if (file) file.end();
+        else reject(error);
+      };
+      
+      const request = client.get(url, { headers }, (response) => {
         // Handle redirects
         if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-          file.close();
-          return this.downloadFile(response.headers.location, filepath, showProgress).then(resolve).catch(reject);
+          response.resume();
+          let target;
+          try {
+            target = this.redirectTarget(response, url, visited);
+          } catch (error) {
+            return reject(error);
+          }
+          return this.downloadAttempt(target, filepath, offset, state, showProgress, [...visited, target]).then(resolve).catch(reject);
         }
         
-        if (response.statusCode !== 200) {
-          file.close();
-          return reject(new Error(`Download failed: HTTP ${response.statusCode}`));
+        const contentRange = response.headers['content-range'] || '';
+        let resumeFrom = 0;
+        
+        if (offset > 0 && response.statusCode === 416) {
+          // Nothing left to fetch if the partial file already has every byte
+          response.resume();
+          const match = contentRange.match(/^bytes \*\/(\d+)$/);
+          if (match && parseInt(match[1]) === offset) return resolve();
+          
+          state.acceptsRanges = false;
+          const error = new Error('Download resume rejected by server, starting over');
+          error.retryable = true;
+          return reject(error);
+        }
+        
+        if (offset > 0 && response.statusCode === 206) {
+          const match = contentRange.match(/^bytes (\d+)-/);
+          if (!match || parseInt(match[1]) !== offset) {
+            response.resume();
+            state.acceptsRanges = false;
+            const error = new Error(`Download resume returned unexpected range "${contentRange}", starting over`);
+            error.retryable = true;
+            return reject(error);
+          }
+          resumeFrom = offset;
+        } else if (response.statusCode !== 200) {
+          response.resume();
+          return reject(httpError(`Download failed: HTTP ${response.statusCode}`, response));
+        }
+        
+        state.acceptsRanges = resumeFrom > 0 || response.headers['accept-ranges'] === 'bytes';
+        state.contentType = response.headers['content-type'] || state.contentType;
+        if (resumeFrom === 0) {
+          // Weak ETags cannot be used with If-Range
+          const etag = response.headers.etag;
+          state.validator = (etag && !etag.startsWith('W/') ? etag : null) || response.headers['last-modified'] || null;
         }
         
-        let downloadedBytes = 0;
-        const totalBytes = parseInt(response.headers['content-length'] || '0');
+        let downloadedBytes = resumeFrom;
+        const totalBytes = resumeFrom + parseInt(response.headers['content-length'] || '0');
         let lastLogTime = 0;
         
+        if (resumeFrom > 0) {
+          this.log(`↩️ Resuming download at ${(resumeFrom / 1024 / 1024).toFixed(1)}MB`);
+        }
+        
+        file = require('fs').createWriteStream(filepath, { flags: resumeFrom > 0 ? 'a' : 'w' });
+        
         response.on('data', (chunk) => {
           downloadedBytes += chunk.length;
           
@@ -336,32 +1151,148 @@ class PodcastUploader {
           }
         });
         
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close();
+        response.on('error', fail);
+        response.on('close', () => {
+          if (!response.complete) {
+            const error = new Error(`Download interrupted after ${(downloadedBytes / 1024 / 1024).toFixed(1)}MB`);
+            error.code = 'ECONNRESET';
+            fail(error);
+          }
+        });
+        
+        file.on('error', (error) => {
+          // Local disk problems will not go away by downloading again
+          error.retryable = false;
+          failure = failure || error;
+          response.destroy();
+        });
+        
+        // Only settle once everything received has been flushed, so a retry can resume from the file size
+        file.on('close', () => {
+          if (failure) return reject(failure);
+          if (totalBytes > resumeFrom && downloadedBytes < totalBytes) {
+            const error = new Error(`Download incomplete: received ${downloadedBytes} of ${totalBytes} bytes`);
+            error.code = 'ECONNRESET';
+            return reject(error);
+          }
           resolve();
         });
+        
+        response.pipe(file);
       });
       
-      request.on('error', (err) => {
-        file.close();
-        reject(err);
-      });
+      request.on('error', fail);
       
       request.setTimeout(600000, () => { // 10 minute timeout
-        request.destroy();
-        file.close();
-        reject(new Error('Download timeout'));
+        const error = new Error('Download timeout');
+        error.code = 'ETIMEDOUT';
+        request.destroy(error);
       });
     });
   }
 
-  async uploadFile(filePath, episode, showMetadata) {
+  // `stationPath` is where the file goes, relative to the station's media folder
+  async uploadFile(filePath, stationPath = path.basename(filePath)) {
     const fileStats = await fs.stat(filePath);
     const fileSizeMB = fileStats.size / 1024 / 1024;
-    const fileName = path.basename(filePath);
+    const uploadConfig = this.config.upload || {};
+    const method = uploadConfig.method || 'auto';
     
-    await this.log(`📤 Uploading: ${fileName} (${fileSizeMB.toFixed(2)}MB)`);
+    await this.log(`📤 Uploading: ${stationPath} (${fileSizeMB.toFixed(2)}MB)`);
+    await this.ensureStationDirectory(stationDirname(stationPath));
+    
+    if (method !== 'base64' && this.flowUploadSupported !== false) {
+      try {
+        return await this.uploadFileChunked(filePath, fileStats.size, stationPath);
+      } catch (error) {
+        if (method === 'flow' || !error.flowUnsupported) throw error;
+        
+        this.flowUploadSupported = false;
+        await this.log(`⚠️ Chunked upload not supported by server (${error.statusCode}), falling back to base64 upload`, 'WARN');
+      }
+    }
+    
+    return this.uploadFileBase64(filePath, fileStats.size, stationPath);
+  }
+
+  async uploadFileChunked(filePath, totalBytes, stationPath = path.basename(filePath)) {
+    const fileName = path.posix.basename(stationPath);
+    const directory = stationDirname(stationPath);
+    const chunkSize = Math.max(1, (this.config.upload || {}).chunkSizeMB || 5) * 1024 * 1024;
+    const totalChunks = Math.max(1, Math.ceil(totalBytes / chunkSize));
+    // The temp file name is unique per download, unlike the station file name
+    const identifier = `${totalBytes}-${path.basename(filePath).replace(/[^0-9a-zA-Z_-]/g, '')}`;
+    const endpoint = `/station/${this.config.azuraCast.stationId}/files/upload`;
+    
+    let uploadedBytes = 0;
+    let lastLogTime = 0;
+    let result = {};
+    
+    const handle = await fs.open(filePath, 'r');
+    try {
+      for (let chunkNumber = 1; chunkNumber <= totalChunks; chunkNumber++) {
+        // Only one chunk is held in memory at a time
+        const offset = (chunkNumber - 1) * chunkSize;
+        const length = Math.min(chunkSize, totalBytes - offset);
+        const chunk = Buffer.alloc(length);
+        await handle.read(chunk, 0, length, offset);
+        
+        const fields = [
+          { name: 'flowChunkNumber', value: chunkNumber },
+          { name: 'flowChunkSize', value: chunkSize },
+          { name: 'flowCurrentChunkSize', value: length },
+          { name: 'flowTotalSize', value: totalBytes },
+          { name: 'flowIdentifier', value: identifier },
+          { name: 'flowFilename', value: fileName },
+          { name: 'flowRelativePath', value: fileName },
+          { name: 'flowTotalChunks', value: totalChunks },
+          { name: 'currentDirectory', value: directory },
+          { name: 'file_data', value: chunk, filename: fileName, contentType: 'application/octet-stream' }
+        ];
+        
+        try {
+          // Re-sending a chunk is safe: the server stores chunks by number
+          result = await this.postForm(endpoint, fields, 120000);
+        } catch (error) {
+          // A missing endpoint on the first chunk means this AzuraCast version has no flow uploads
+          if (chunkNumber === 1 && [404, 405, 501].includes(error.statusCode)) {
+            error.flowUnsupported = true;
+          }
+          throw error;
+        }
+        
+        uploadedBytes += length;
+        
+        // Show progress for large files
+        if (totalBytes > 10 * 1024 * 1024) {
+          const now = Date.now();
+          if (now - lastLogTime > 10000) { // Every 10 seconds
+            const progress = ((uploadedBytes / totalBytes) * 100).toFixed(1);
+            await this.log(`Upload progress: ${progress}% (${(uploadedBytes / 1024 / 1024).toFixed(1)}MB)`);
+            lastLogTime = now;
+          }
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+    
+    // Depending on the AzuraCast version the final chunk may not return the created media
+    if (!result.id) {
+      const files = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/files`);
+      const uploaded = files.find(file => file.path === stationPath);
+      if (!uploaded) {
+        throw new Error(`Upload failed: ${stationPath} not found on server after chunked upload`);
+      }
+      result = uploaded;
+    }
+    
+    await this.log(`✅ Chunked upload successful (${totalChunks} chunks), file ID: ${result.id}`);
+    return result;
+  }
+
+  async uploadFileBase64(filePath, totalBytes, stationPath = path.basename(filePath)) {
+    const fileSizeMB = totalBytes / 1024 / 1024;
     
     // Warn about very large files
     if (fileSizeMB > 200) {
@@ -373,7 +1304,7 @@ class PodcastUploader {
     const base64Data = fileBuffer.toString('base64');
     
     const result = await this.apiRequest('POST', `/station/${this.config.azuraCast.stationId}/files`, {
-      path: fileName,
+      path: stationPath,
       file: base64Data
     });
     
@@ -387,9 +1318,11 @@ class PodcastUploader {
 
   async waitForFileIndexing(fileId, maxRetries = 10) {
     await this.log(`⏳ Waiting for file ${fileId} to be indexed...`);
+    // Checks back after one interval, then waits one interval longer each time, up to ten intervals
+    const interval = parseDuration((this.config.upload || {}).indexingInterval || '30s');
     
     for (let retry = 0; retry < maxRetries; retry++) {
-      const delay = Math.min(30000 + (retry * 30000), 300000); // 30s to 5min max
+      const delay = Math.min(interval * (retry + 1), interval * 10);
       await new Promise(resolve => setTimeout(resolve, delay));
       
       try {
@@ -404,82 +1337,33 @@ class PodcastUploader {
     throw new Error(`File ${fileId} indexing timeout after ${maxRetries} attempts`);
   }
 
-  async updateFileMetadata(fileId, episode, showMetadata) {
-    const metadata = {
-      title: episode.title || 'Unknown Episode',
-      artist: showMetadata.author || 'Unknown',
-      album: showMetadata.title || 'Podcast'
-    };
-    
-    if (episode.description) {
-      metadata.comment = episode.description.substring(0, 500);
-    }
+  // Fields come from the `metadata` templates, the show's own overriding the global ones
+  async updateFileMetadata(fileId, episode, showMetadata, showConfig = {}) {
+    const templates = MetadataTemplates.forShow(this.config.metadata, showConfig.metadata);
+    const metadata = templates.render(episode, showMetadata);
     
     await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/file/${fileId}`, metadata);
     await this.log(`✅ Metadata updated for file ${fileId}`);
   }
 
+  async postForm(endpoint, fields, timeout = 60000) {
+    return this.withRetry(`API POST ${endpoint}`, () => this.apiLimiter.run(() => this.backend.postForm(endpoint, fields, timeout))
+      .catch(error => {
+        this.countApiError('POST', endpoint, error);
+        throw error;
+      }));
+  }
+
   async uploadArtwork(fileId, imagePath) {
-    try {
-      const FormData = require('form-data');
-      const form = new FormData();
-      const artStream = require('fs').createReadStream(imagePath);
-      
-      form.append('art', artStream, {
-        filename: path.basename(imagePath),
-        contentType: 'image/jpeg'
-      });
-      
-      await new Promise((resolve, reject) => {
-        const options = {
-          method: 'POST',
-          headers: {
-            'X-API-Key': this.config.azuraCast.apiKey,
-            ...form.getHeaders()
-          }
-        };
-        
-        const req = https.request(
-          `https://${this.config.azuraCast.host}/api/station/${this.config.azuraCast.stationId}/art/${fileId}`,
-          options,
-          (response) => {
-            let data = '';
-            response.on('data', (chunk) => { data += chunk; });
-            response.on('end', () => {
-              if (response.statusCode >= 200 && response.statusCode < 300) {
-                resolve();
-              } else {
-                reject(new Error(`Artwork upload failed: ${response.statusCode} ${data}`));
-              }
-            });
-          }
-        );
-        
-        req.on('error', reject);
-        req.setTimeout(60000, () => {
-          req.destroy();
-          reject(new Error('Artwork upload timeout'));
-        });
-        
-        form.pipe(req);
-      });
-      
-      await this.log(`✅ Artwork uploaded for file ${fileId}`);
-    } catch (error) {
-      if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('form-data')) {
-        throw new Error('form-data module required. Run: npm install form-data');
-      }
-      throw error;
-    }
+    const fields = [{ name: 'art', file: imagePath, filename: path.basename(imagePath), contentType: 'image/jpeg' }];
+    await this.postForm(`/station/${this.config.azuraCast.stationId}/art/${fileId}`, fields);
+    await this.log(`✅ Artwork uploaded for file ${fileId}`);
   }
 
   async getPlaylistFiles(playlistId) {
     try {
       const files = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/playlist/${playlistId}/order`);
       
-      // Debug: Log the raw response to understand the structure
-      await this.log(`🔍 Raw playlist API response for playlist ${playlistId}: ${JSON.stringify(files)}`, 'DEBUG');
-      
       if (Array.isArray(files)) {
         // Try different approaches depending on the response format
         let fileIds = [];
@@ -525,10 +1409,8 @@ class PodcastUploader {
       
       for (const fileId of fileIds) {
         try {
-          // Update each file to include the playlist assignment
-          await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/file/${fileId}`, {
-            playlists: [playlistId.toString()]
-          });
+          // Update each file to include the playlist assignment, keeping its other playlists
+          await this.updateFilePlaylists(fileId, { add: [playlistId] });
           
           successCount++;
           await this.log(`✅ File ${fileId} assigned to playlist ${playlistId}`);
@@ -558,162 +1440,443 @@ class PodcastUploader {
   }
 
   episodeExists(episode, showMetadata) {
-    const episodeTitle = episode.title.toLowerCase().trim();
+    return this.findExistingFile(episode, showMetadata) !== null;
+  }
+
+  // A show's own `pathTemplate`, else the global `upload.pathTemplate`; null uploads to the media root
+  pathTemplateFor(showConfig = {}) {
+    const template = showConfig.pathTemplate || (this.config.upload || {}).pathTemplate;
+    if (!template) return null;
+    
+    if (!this.pathTemplates.has(template)) this.pathTemplates.set(template, new PathTemplate(template));
+    return this.pathTemplates.get(template);
+  }
+  
+  // Feed metadata with the show's pinned `slug`, as path templates see it
+  pathShowMetadata(showConfig, showMetadata) {
+    return showConfig.slug ? { ...showMetadata, slug: showConfig.slug } : showMetadata;
+  }
+  
+  // The station folder every episode of the show is uploaded into, or null when the layout has none
+  showFolder(showConfig, showMetadata) {
+    const template = this.pathTemplateFor(showConfig);
+    if (!template) return null;
+    return template.showFolder(this.pathShowMetadata(showConfig, showMetadata), Boolean(showConfig.pathTemplate));
+  }
+  
+  /**
+   * Where an episode is uploaded: the show's path template rendered for it, or a
+   * unique name in the media root without one. A path taken by another file gets a
+   * number appended ("episode-2.mp3"), so two episodes with the same title never
+   * overwrite each other.
+   */
+  stationPathFor(episode, showMetadata, showConfig, extension, { currentPath = null } = {}) {
+    const template = this.pathTemplateFor(showConfig);
+    if (!template) return `${Date.now()}_${crypto.randomBytes(4).toString('hex')}${extension}`;
+    
+    const wanted = template.render(episode, this.pathShowMetadata(showConfig, showMetadata), extension.replace(/^\./, ''));
+    const taken = new Set([...this.serverFiles.map(file => file.path), ...this.reservedPaths]);
+    // A file being moved does not stand in its own way
+    taken.delete(currentPath);
+    let stationPath = wanted;
+    for (let number = 2; taken.has(stationPath); number++) {
+      stationPath = numberedPath(wanted, number);
+    }
+    
+    this.reservedPaths.add(stationPath);
+    return stationPath;
+  }
+
+  /**
+   * Whether a file the ledger does not know belongs to a show. When the show has a
+   * folder of its own, files in it belong to the show and files in other folders do
+   * not; files in the media root (uploaded before path templates) and shows without
+   * a folder fall back to a fuzzy artist/album match.
+   */
+  fileMatchesShow(file, showMetadata, folder = null) {
+    if (folder && file.path) {
+      if (isInFolder(file.path, folder)) return true;
+      if (file.path.includes('/')) return false;
+    }
+    
+    const fileArtist = (file.artist || '').toLowerCase().trim();
+    const fileAlbum = (file.album || '').toLowerCase().trim();
     const showAuthor = (showMetadata.author || '').toLowerCase().trim();
     const showTitle = (showMetadata.title || '').toLowerCase().trim();
     
-    return this.serverFiles.some(file => {
-      const fileTitle = (file.title || '').toLowerCase().trim();
-      const fileArtist = (file.artist || '').toLowerCase().trim();
-      const fileAlbum = (file.album || '').toLowerCase().trim();
+    return (fileArtist === showAuthor || fileAlbum === showTitle ||
+            fileArtist.includes(showAuthor.substring(0, 10)) ||
+            fileAlbum.includes(showTitle.substring(0, 10)));
+  }
+
+  findExistingFile(episode, showMetadata) {
+    const serverFilesById = new Map(this.serverFiles.map(file => [String(file.id), file]));
+    
+    // Ledger first: the same GUID, or the same enclosure re-published under a new GUID
+    const entry = this.ledger.get(episode.guid) ||
+      (episode.showConfig ? this.ledger.findBySourceUrl(episode.showConfig.rssUrl, episode.enclosureUrl) : null);
+    if (entry && entry.fileId && entry.status !== STATUS.DELETED && serverFilesById.has(String(entry.fileId))) {
+      return serverFilesById.get(String(entry.fileId));
+    }
+    
+    // Legacy files that no ledger entry claims yet
+    const claimedIds = this.ledger.claimedFileIds();
+    const folder = episode.showConfig ? this.showFolder(episode.showConfig, showMetadata) : null;
+    const episodeTitle = episode.title.toLowerCase().trim();
+    
+    return this.serverFiles.find(file => {
+      if (claimedIds.has(String(file.id))) return false;
       
       // Exact title match with show match
-      return fileTitle === episodeTitle && 
-             (fileArtist === showAuthor || fileAlbum === showTitle || 
-              fileArtist.includes(showAuthor.substring(0, 10)) || 
-              fileAlbum.includes(showTitle.substring(0, 10)));
+      const fileTitle = (file.title || '').toLowerCase().trim();
+      return fileTitle === episodeTitle && this.fileMatchesShow(file, showMetadata, folder);
+    }) || null;
+  }
+
+  // Ledger fields for an episode that turned out to be on the server already
+  existingFileEntry(episode, file) {
+    const playlists = file.playlists || [];
+    return {
+      rssUrl: episode.showConfig.rssUrl,
+      title: episode.title,
+      fileId: file.id,
+      uploadedAt: file.uploaded_at ? new Date(file.uploaded_at * 1000).toISOString() : null,
+      pubDate: episode.pubDate.toISOString(),
+      sourceUrl: episode.enclosureUrl,
+      path: file.path || null,
+      status: playlists.length > 0 ? STATUS.IN_PLAYLIST : STATUS.UPLOADED
+    };
+  }
+
+  // The episode whose identical audio is still on the station and in a playlist, if another one has it
+  async onAirDuplicate(fileHash, guid) {
+    const duplicate = this.ledger.findByHash(fileHash);
+    if (!duplicate || duplicate.guid === guid) return null;
+    
+    // Files uploaded earlier in this run are not in the cached list yet
+    await this.refreshServerFiles(Infinity);
+    return this.serverFiles.some(file => String(file.id) === String(duplicate.fileId)) ? duplicate : null;
+  }
+
+  async hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      require('fs').createReadStream(filePath)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
     });
   }
 
-  async processEpisode(episode, showMetadata, playlistId) {
+  /**
+   * Downloads, uploads and finishes one episode. Each step runs inside its pipeline
+   * stage limit. When `uploadTurn` is given the upload waits for it, and `uploadDone`
+   * is called as soon as this episode no longer needs to upload, so a show's
+   * episodes reach the station in order.
+   */
+  async processEpisode(episode, showMetadata, showConfig, { uploadTurn = null, uploadDone = () => {} } = {}) {
     const startTime = Date.now();
-    await this.log(`\n🎧 Processing: "${episode.title}" from ${showMetadata.title}`);
+    const playlists = this.showPlaylists(showConfig);
+    const label = `"${episode.title}"`;
     
-    // Generate unique filename
+    // Generate unique filename; the upload takes its extension from the detected format
     const url = new URL(episode.enclosureUrl);
-    const extension = path.extname(url.pathname) || '.mp3';
+    let extension = path.extname(url.pathname) || '.mp3';
     const filename = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}${extension}`;
     const filepath = path.join(this.tempDir, filename);
     
     let imagePath = null;
+    // Removed once the episode is done; a resumed episode never downloads its audio, and a quarantined one has moved it
+    const tempFiles = [filepath];
     let uploadedFileId = null;
+    let artworkMs = 0;
+    const show = { show: showConfig.rssUrl };
+    
+    // Every line about the episode carries its show, GUID, file and the pipeline stage it is in
+    let stage = 'download';
+    const log = (message, level = 'INFO', fields = {}) =>
+      this.log(message, level, { show: showConfig.rssUrl, guid: episode.guid, fileId: uploadedFileId, stage, ...fields });
+    await log(`\n🎧 Processing: ${label} from ${showMetadata.title}`, 'INFO', { stage: 'start' });
     
     try {
-      // Download audio file
-      await this.log(`📥 Downloading audio...`);
-      await this.downloadFile(episode.enclosureUrl, filepath);
-      
-      const stats = await fs.stat(filepath);
-      if (stats.size === 0) throw new Error('Downloaded file is empty');
-      await this.log(`✅ Downloaded ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+      if (episode.resumeFileId) {
+        // Checkpointed by an interrupted run after the upload itself had finished
+        uploadedFileId = episode.resumeFileId;
+        uploadDone();
+        await log(`⏯️ Resuming ${label} after the upload of file ${uploadedFileId}`, 'INFO', { stage: 'resume' });
+      } else {
+        // Download audio file
+        const { download, stats, fileHash, durationMs } = await this.stages.download.run(async () => {
+          await log(`📥 Downloading audio for ${label}...`);
+          const downloadStart = Date.now();
+          const download = await this.downloadFile(episode.enclosureUrl, filepath);
+          
+          const stats = await fs.stat(filepath);
+          if (stats.size === 0) throw new Error('Downloaded file is empty');
+          return { download, stats, fileHash: await this.hashFile(filepath), durationMs: Date.now() - downloadStart };
+        });
+        await log(`✅ Downloaded ${(stats.size / 1024 / 1024).toFixed(2)} MB for ${label}`, 'INFO', { durationMs });
+        this.observe('stage_duration_seconds', { stage: 'download' }, durationMs);
+        this.count('downloaded_bytes_total', show, stats.size);
+        
+        // Error pages served as 200 and truncated or wrong files never reach the station
+        stage = 'validate';
+        const media = await this.validateDownload(filepath, stats.size, download, episode, showConfig);
+        extension = media.extension || extension;
+        
+        // Earlier episodes of the show upload first
+        if (uploadTurn) await uploadTurn;
+        
+        // Identical audio already on air under another GUID, possibly for another show: that file
+        // goes into this show's playlists instead of being uploaded twice
+        const duplicate = await this.onAirDuplicate(fileHash, episode.guid);
+        if (duplicate) {
+          await log(`⏭️ Skipping upload of ${label}: identical audio already uploaded as file ${duplicate.fileId} ("${duplicate.title}")`, 'INFO', { fileId: duplicate.fileId });
+          this.count('episodes_skipped_total', { ...show, reason: 'duplicate' });
+          if (playlists.length > 0) {
+            await this.stages.finalize.run(() => this.updateFilePlaylists(duplicate.fileId, { add: playlists }));
+          }
+          this.ledger.record(episode.guid, {
+            rssUrl: showConfig.rssUrl,
+            title: episode.title,
+            fileId: duplicate.fileId,
+            uploadedAt: duplicate.uploadedAt,
+            pubDate: episode.pubDate.toISOString(),
+            sourceUrl: episode.enclosureUrl,
+            fileHash,
+            path: duplicate.path || null,
+            status: playlists.length > 0 ? STATUS.IN_PLAYLIST : STATUS.UPLOADED
+          });
+          return { success: true, fileId: duplicate.fileId, duplicate: true };
+        }
+        
+        // Upload file
+        const stationPath = this.stationPathFor(episode, showMetadata, showConfig, extension);
+        stage = 'upload';
+        const uploadStart = Date.now();
+        const uploadResult = await this.stages.upload.run(() => this.uploadFile(filepath, stationPath));
+        uploadedFileId = uploadResult.id;
+        await log(`📤 Uploaded ${label} as file ${uploadedFileId}`, 'DEBUG', { durationMs: Date.now() - uploadStart });
+        this.observe('stage_duration_seconds', { stage: 'upload' }, Date.now() - uploadStart);
+        this.count('uploaded_bytes_total', show, stats.size);
+        this.serverFilesStale = true;
+        uploadDone();
+        
+        // Checkpoint: a run stopped from here on resumes with the uploaded file instead of uploading again
+        this.ledger.record(episode.guid, {
+          rssUrl: showConfig.rssUrl,
+          title: episode.title,
+          fileId: uploadedFileId,
+          uploadedAt: new Date().toISOString(),
+          pubDate: episode.pubDate.toISOString(),
+          sourceUrl: episode.enclosureUrl,
+          fileHash,
+          path: uploadResult.path || stationPath,
+          status: STATUS.UPLOADED,
+          pending: true
+        });
+        await this.saveLedger();
+      }
       
       // Download artwork if available
       const imageUrl = episode.image || showMetadata.image;
+      stage = 'artwork';
       if (imageUrl) {
         try {
           const imageExt = path.extname(new URL(imageUrl).pathname) || '.jpg';
-          imagePath = path.join(this.tempDir, `${Date.now()}_artwork${imageExt}`);
-          await this.downloadFile(imageUrl, imagePath, false);
+          imagePath = path.join(this.tempDir, `${Date.now()}_${crypto.randomBytes(4).toString('hex')}_artwork${imageExt}`);
+          tempFiles.push(imagePath);
+          const artworkStart = Date.now();
+          await this.stages.download.run(() => this.downloadFile(imageUrl, imagePath, false));
+          artworkMs += Date.now() - artworkStart;
           
           const imageStats = await fs.stat(imagePath);
+          this.count('downloaded_bytes_total', show, imageStats.size);
           if (imageStats.size > 0) {
-            await this.log(`✅ Downloaded artwork: ${(imageStats.size / 1024).toFixed(2)} KB`);
+            await log(`✅ Downloaded artwork: ${(imageStats.size / 1024).toFixed(2)} KB`);
           } else {
-            await fs.unlink(imagePath);
             imagePath = null;
           }
         } catch (error) {
-          await this.log(`⚠️ Artwork download failed: ${error.message}`, 'WARN');
+          await log(`⚠️ Artwork download failed for ${label}: ${error.message}`, 'WARN');
           imagePath = null;
         }
       }
       
-      // Upload file
-      const uploadResult = await this.uploadFile(filepath, episode, showMetadata);
-      uploadedFileId = uploadResult.id;
-      
       // Wait for indexing
-      await this.waitForFileIndexing(uploadedFileId);
-      
-      // Update metadata
-      await this.log(`📝 Updating metadata...`);
-      await this.updateFileMetadata(uploadedFileId, episode, showMetadata);
-      
-      // Upload artwork
-      if (imagePath) {
-        try {
-          await this.log(`🎨 Uploading artwork...`);
-          await this.uploadArtwork(uploadedFileId, imagePath);
-        } catch (error) {
-          await this.log(`⚠️ Artwork upload failed: ${error.message}`, 'WARN');
+      stage = 'indexing';
+      const indexingStart = Date.now();
+      await this.stages.indexing.run(() => this.waitForFileIndexing(uploadedFileId));
+      await log(`🔍 File ${uploadedFileId} of ${label} is indexed`, 'DEBUG', { durationMs: Date.now() - indexingStart });
+      this.observe('stage_duration_seconds', { stage: 'indexing' }, Date.now() - indexingStart);
+      
+      stage = 'finalize';      
+      await this.stages.finalize.run(async () => {
+        // Update metadata
+        await log(`📝 Updating metadata for ${label}...`);
+        const metadataStart = Date.now();
+        await this.updateFileMetadata(uploadedFileId, episode, showMetadata, showConfig);
+        this.observe('stage_duration_seconds', { stage: 'metadata' }, Date.now() - metadataStart);
+        
+        // Upload artwork
+        if (imagePath) {
+          const artworkStart = Date.now();
+          try {
+            await log(`🎨 Uploading artwork for ${label}...`);
+            await this.uploadArtwork(uploadedFileId, imagePath);
+            this.count('uploaded_bytes_total', show, (await fs.stat(imagePath)).size);
+          } catch (error) {
+            await log(`⚠️ Artwork upload failed for ${label}: ${error.message}`, 'WARN');
+          }
+          artworkMs += Date.now() - artworkStart;
         }
-      }
-      
-      // Assign to playlist immediately
-      if (playlistId) {
-        try {
-          await this.log(`📋 Adding to playlist ${playlistId}...`);
-          await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/file/${uploadedFileId}`, {
-            playlists: [playlistId.toString()]
-          });
-          await this.log(`✅ File ${uploadedFileId} assigned to playlist ${playlistId}`);
-        } catch (error) {
-          await this.log(`⚠️ Playlist assignment failed: ${error.message}`, 'WARN');
+        // Downloading and uploading the artwork count as one stage
+        if (artworkMs > 0) this.observe('stage_duration_seconds', { stage: 'artwork' }, artworkMs);
+        
+        // Assign to the show's playlists immediately
+        if (playlists.length > 0) {
+          try {
+            await log(`📋 Adding ${label} to playlist${playlists.length === 1 ? '' : 's'} ${playlists.join(', ')}...`);
+            await this.updateFilePlaylists(uploadedFileId, { add: playlists });
+            await log(`✅ File ${uploadedFileId} assigned to playlist${playlists.length === 1 ? '' : 's'} ${playlists.join(', ')}`);
+            this.ledger.setStatus(episode.guid, STATUS.IN_PLAYLIST);
+          } catch (error) {
+            await log(`⚠️ Playlist assignment failed for ${label}: ${error.message}`, 'WARN');
+          }
         }
-      }
+      });
+      
+      this.ledger.record(episode.guid, { pending: undefined });
+      await this.saveLedger();
       
       const processingTime = ((Date.now() - startTime) / 1000).toFixed(1);
-      await this.log(`✅ Successfully processed "${episode.title}" in ${processingTime}s`);
+      this.observe('episode_duration_seconds', {}, Date.now() - startTime);
+      await log(`✅ Successfully processed ${label} in ${processingTime}s`, 'INFO', { stage: 'done', durationMs: Date.now() - startTime });
       
       return { success: true, fileId: uploadedFileId };
       
     } catch (error) {
-      await this.log(`❌ Failed to process "${episode.title}": ${error.message}`, 'ERROR');
+      await log(`❌ Failed to process ${label} during ${stage}: ${error.message}`, 'ERROR', { durationMs: Date.now() - startTime });
+      
+      // Half-processed uploads keep their pending checkpoint, so the next run finishes them on the
+      // file already on the station instead of uploading it again
+      const entry = this.ledger.get(episode.guid);
+      if (uploadedFileId && entry && entry.pending && String(entry.fileId) === String(uploadedFileId)) {
+        await log(`⏯️ File ${uploadedFileId} stays on the station; the next run finishes ${label} on it`, 'WARN');
+        await this.saveLedger();
+      }
       throw error;
     } finally {
-      // Cleanup
-      try {
-        if (filepath) await fs.unlink(filepath);
-        if (imagePath) await fs.unlink(imagePath);
-      } catch (error) {
-        // Ignore cleanup errors
+      // A failed or skipped episode must not hold up the rest of its show
+      uploadDone();
+      
+      // Cleanup; each file on its own, so one that was never written does not leave the others behind
+      for (const tempFile of tempFiles) {
+        try {
+          await fs.unlink(tempFile);
+        } catch (error) {
+          if (error.code !== 'ENOENT') await log(`⚠️ Failed to remove temp file ${tempFile}: ${error.message}`, 'WARN');
+        }
       }
     }
   }
 
+  /**
+   * Checks a downloaded episode against its Content-Type, the feed's enclosure length
+   * and duration, and the audio formats AzuraCast plays. A file that fails is moved to
+   * the quarantine folder with a JSON file giving the reason, and the episode fails.
+   * Resolves with what inspectMedia() found.
+   */
+  async validateDownload(filePath, size, download, episode, showConfig) {
+    const media = await inspectMedia(filePath);
+    const validator = new MediaValidator({ ...this.config.mediaValidation, ...showConfig.mediaValidation });
+    const reason = validator.reasonToReject(media, size, download, episode);
+    if (!reason) {
+      const unchecked = validator.durationNotChecked(media, episode);
+      if (unchecked) {
+        await this.log(`⏭️ Duration of "${episode.title}" not checked: ${unchecked}`, 'INFO', { show: showConfig.rssUrl, guid: episode.guid, stage: 'validate' });
+      }
+      return media;
+    }
+    
+    await fs.mkdir(this.quarantineDir, { recursive: true });
+    // GUIDs are often URLs; the hash keeps shortened ones apart
+    const name = `${episode.guid.replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 80)}-${crypto.createHash('md5').update(episode.guid).digest('hex').slice(0, 8)}`;
+    const target = path.join(this.quarantineDir, `${name}${media.extension || '.bin'}`);
+    try {
+      await fs.rename(filePath, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      await fs.copyFile(filePath, target);
+      await fs.unlink(filePath);
+    }
+    await fs.writeFile(`${target}.json`, JSON.stringify({
+      reason,
+      quarantinedAt: new Date().toISOString(),
+      guid: episode.guid,
+      title: episode.title,
+      rssUrl: showConfig.rssUrl,
+      url: episode.enclosureUrl,
+      contentType: download.contentType,
+      size,
+      enclosureLength: episode.enclosureLength || null,
+      detected: media.name,
+      durationSeconds: media.durationSeconds,
+      feedDurationSeconds: episode.durationSeconds || null
+    }, null, 2));
+    
+    await this.log(`🚫 Quarantined the download of "${episode.title}" as ${target}`, 'WARN', { show: showConfig.rssUrl, guid: episode.guid, stage: 'validate' });
+    const error = new Error(`Downloaded file rejected: ${reason}`);
+    error.quarantined = target;
+    throw error;
+  }
+
   async cleanupOldEpisodes() {
     try {
       await this.log(`\n🧹 Starting episode cleanup to maintain configured limits...`);
       
       // Get all current files from the station
-      const allFiles = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/files`);
+      let allFiles = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/files`);
       await this.log(`📂 Found ${allFiles.length} total files on station`);
       
+      if (this.dryRun) {
+        allFiles = this.applyPlanToFiles(allFiles);
+      }
+      
       // Get current show metadata for matching
       const showMetadataMap = new Map();
-      for (const showConfig of this.config.shows) {
-        if (showConfig.enabled === false) continue;
-        
+      for (const showConfig of this.activeShows()) {
         try {
-          const feedData = await this.fetchFeed(showConfig.rssUrl);
-          const { showMetadata } = this.parseRSSFeed(feedData);
+          // Metadata fetched earlier in this run is reused rather than fetched twice
+          const { showMetadata } = await this.loadFeed(showConfig, { reuse: true });
           showMetadataMap.set(showConfig.rssUrl, { 
             ...showMetadata, 
             maxEpisodes: showConfig.maxEpisodes || 5,
             maxAgeDays: showConfig.maxAgeDays || 30,
-            playlistId: showConfig.playlistId
+            playlists: this.showPlaylists(showConfig),
+            retention: showConfig.retention || {},
+            folder: this.showFolder(showConfig, showMetadata)
           });
         } catch (error) {
           await this.log(`⚠️ Could not fetch show metadata for cleanup: ${showConfig.rssUrl}`, 'WARN');
         }
       }
+      await this.saveFeedCache();
       
       let totalRemoved = 0;
       
+      // Find files belonging to each show
+      const showFilesByUrl = new Map();
+      for (const [rssUrl, showData] of showMetadataMap) {
+        showFilesByUrl.set(rssUrl, this.findShowFiles(rssUrl, showData, allFiles));
+      }
+      const protectQueued = [...showMetadataMap.values()].some(showData => showData.retention.protectQueued);
+      let playHistory;
+      
       // Process each show
       for (const [rssUrl, showData] of showMetadataMap) {
         try {
-          // Find files belonging to this show
-          const showFiles = allFiles.filter(file => {
-            const fileArtist = (file.artist || '').toLowerCase().trim();
-            const fileAlbum = (file.album || '').toLowerCase().trim();
-            const showAuthor = (showData.author || '').toLowerCase().trim();
-            const showTitle = (showData.title || '').toLowerCase().trim();
-            
-            return (fileArtist === showAuthor || fileAlbum === showTitle ||
-                    fileArtist.includes(showAuthor.substring(0, 10)) ||
-                    fileAlbum.includes(showTitle.substring(0, 10)));
-          });
+          const showFiles = showFilesByUrl.get(rssUrl);
           
           // Calculate age cutoff date
           const maxAgeDays = showData.maxAgeDays || 30;
@@ -723,192 +1886,962 @@ class PodcastUploader {
           
           await this.log(`📅 ${showData.title}: Age cutoff is ${maxAgeDays} days (${cutoffDate.toDateString()})`, 'DEBUG');
           
-          // Sort by upload date (newest first)
-          showFiles.sort((a, b) => (b.uploaded_at || 0) - (a.uploaded_at || 0));
+          // Sort by upload date (newest first). Episodes processed side by side often finish within the
+          // same second, so ties go to the later pubDate in the ledger, then to the higher file ID.
+          const published = new Map(showFiles.map(file => {
+            const entry = file.planned ? file : this.ledger.findByFileId(file.id);
+            return [file, entry && entry.pubDate ? Date.parse(entry.pubDate) || 0 : 0];
+          }));
+          showFiles.sort((a, b) =>
+            (b.uploaded_at || 0) - (a.uploaded_at || 0) ||
+            published.get(b) - published.get(a) ||
+            (Number(b.id) || 0) - (Number(a.id) || 0));
           
-          // Find files to remove: NOT in newest maxEpisodes OR older than maxAgeDays
-          const filesToRemove = showFiles.filter((file, index) => {
+          // Files to remove: NOT in newest maxEpisodes OR older than maxAgeDays, or played often enough.
+          // Play history is only loaded once some show has something to retire.
+          const retention = showData.retention;
+          const limitReasons = new Map();
+          showFiles.forEach((file, index) => {
             const fileAge = file.uploaded_at ? Math.floor((Date.now() / 1000 - file.uploaded_at) / (24 * 60 * 60)) : 0;
-            
-            const beyondEpisodeLimit = index >= showData.maxEpisodes; // Not in the newest X episodes
-            const tooOld = fileAge > maxAgeDays; // Older than age limit
-            
-            return beyondEpisodeLimit || tooOld; // Remove if EITHER condition is true
+            const reasons = [];
+            if (fileAge > maxAgeDays) reasons.push(`${fileAge} days old`); // Older than age limit
+            if (index >= showData.maxEpisodes) reasons.push('beyond episode limit'); // Not in the newest X episodes
+            limitReasons.set(file, reasons);
           });
           
+          if (playHistory === undefined && (retention.retireAfterPlays || [...limitReasons.values()].some(reasons => reasons.length > 0))) {
+            try {
+              playHistory = await this.loadPlayHistory([...showFilesByUrl.values()].flat(), { queue: protectQueued });
+            } catch (error) {
+              playHistory = null;
+              await this.log(`⚠️ Could not load play history: ${error.message}`, 'WARN');
+            }
+          }
+          
+          const filesToRemove = [];
+          for (const file of showFiles) {
+            const reasons = limitReasons.get(file);
+            const stats = playHistory && !file.planned ? playHistory.statsFor(file) : null;
+            if (retention.retireAfterPlays && stats && stats.plays >= retention.retireAfterPlays) {
+              reasons.push(`play limit of ${retention.retireAfterPlays} reached`);
+            }
+            if (reasons.length === 0) continue;
+            
+            const plays = stats ? describePlays(stats) : 'play count unknown';
+            if (retention.minPlays && !file.planned && (!stats || stats.plays < retention.minPlays)) {
+              await this.log(`⏳ ${showData.title}: Keeping "${file.title}" (${reasons.join(' & ')}) until it has played ${retention.minPlays} time${retention.minPlays === 1 ? '' : 's'}, ${plays}`);
+              continue;
+            }
+            if (retention.protectQueued && !file.planned && (!playHistory || playHistory.isQueued(file))) {
+              await this.log(`⏳ ${showData.title}: Keeping "${file.title}" (${reasons.join(' & ')}), ${playHistory ? 'it is queued to play' : 'the play queue could not be checked'}`);
+              continue;
+            }
+            filesToRemove.push({ file, reason: `${reasons.join(' & ')}, ${plays}` });
+          }
+          
           if (filesToRemove.length === 0) {
-            await this.log(`✅ ${showData.title}: ${showFiles.length}/${showData.maxEpisodes} episodes, none older than ${maxAgeDays} days - no cleanup needed`);
+            await this.log(`✅ ${showData.title}: ${showFiles.length}/${showData.maxEpisodes} episodes, none to retire - no cleanup needed`);
             continue;
           }
           
           await this.log(`🧹 ${showData.title}: Removing ${filesToRemove.length} episodes (${showFiles.length - filesToRemove.length} will remain)`);
           
-          // Remove episodes from playlist (don't delete files)
-          for (const file of filesToRemove) {
+          // Remove episodes from the show's playlists (don't delete files). A show without
+          // playlists of its own can only retire an episode by taking it out of all of them.
+          const managed = showData.playlists.map(Number);
+          for (const { file, reason } of filesToRemove) {
+            // Episodes that are only planned uploads have nothing to remove yet
+            if (file.planned) continue;
+            
             try {
               // Get current file info for debugging
               const currentFile = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/file/${file.id}`);
-              const currentPlaylists = currentFile.playlists || [];
+              const currentPlaylists = playlistIdsOf(currentFile);
+              const remove = managed.length > 0 ? currentPlaylists.filter(playlistId => managed.includes(playlistId)) : currentPlaylists;
               
               await this.log(`🔍 File ${file.id} currently in playlists: ${JSON.stringify(currentPlaylists)}`, 'DEBUG');
               
-              // Determine removal reason for logging
-              const fileAge = file.uploaded_at ? Math.floor((Date.now() / 1000 - file.uploaded_at) / (24 * 60 * 60)) : 0;
-              const fileIndex = showFiles.indexOf(file);
-              const beyondLimit = fileIndex >= showData.maxEpisodes;
-              const tooOld = fileAge > maxAgeDays;
-              
-              let reason = '';
-              if (tooOld && beyondLimit) {
-                reason = `${fileAge} days old & beyond episode limit`;
-              } else if (tooOld) {
-                reason = `${fileAge} days old`;
-              } else {
-                reason = 'beyond episode limit';
+              if (remove.length === 0) {
+                await this.log(`✅ "${file.title}" is already out of the show's playlists`, 'DEBUG');
+                continue;
               }
               
-              // Remove from all playlists by setting empty array
-              const updateResult = await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/file/${file.id}`, {
-                playlists: []
-              });
+              if (this.dryRun) {
+                await this.recordPlanAction({
+                  type: 'update-playlists',
+                  fileId: file.id,
+                  title: file.title,
+                  remove,
+                  playlists: currentPlaylists.filter(playlistId => !remove.includes(playlistId)),
+                  previousPlaylists: currentPlaylists,
+                  reason: `${showData.title}: ${reason}`
+                });
+                totalRemoved++;
+                continue;
+              }
               
-              await this.log(`✅ API response: ${JSON.stringify(updateResult)}`, 'DEBUG');
-              await this.log(`📤 Removed from all playlists: "${file.title}" (${reason})`);
+              await this.updateFilePlaylists(file.id, { remove });
+              this.markFileStatus(file.id, STATUS.RETIRED);
+              await this.log(`📤 Removed from playlist${remove.length === 1 ? '' : 's'} ${remove.join(', ')}: "${file.title}" (${reason})`, 'INFO', { show: rssUrl, fileId: file.id, stage: 'retire' });
               totalRemoved++;
+              this.reportFor(rssUrl, showData.title).retired++;
+              this.count('episodes_retired_total', { show: rssUrl });
               
               // Small delay between updates
               await new Promise(resolve => setTimeout(resolve, 500));
               
             } catch (error) {
-              await this.log(`❌ Failed to remove file ${file.id} from playlists: ${error.message}`, 'ERROR');
+              await this.log(`❌ Failed to remove file ${file.id} from playlists: ${error.message}`, 'ERROR', { show: rssUrl, fileId: file.id, stage: 'retire' });
             }
           }
-          
         } catch (error) {
           await this.log(`❌ Failed to cleanup show ${showData.title}: ${error.message}`, 'ERROR');
         }
       }
       
-      await this.log(`\n🧹 Cleanup Complete! Removed ${totalRemoved} episodes from playlists (based on episode limits and age cutoffs)`);
+      await this.saveLedger();
+      this.summary.retired += totalRemoved;
+      await this.log(`\n🧹 Cleanup Complete! Removed ${totalRemoved} episodes from playlists (based on episode limits, age cutoffs and plays)`);
       
     } catch (error) {
       await this.log(`❌ Cleanup failed: ${error.message}`, 'ERROR');
     }
   }
 
+  // Song history since the oldest of `files` was uploaded, as nothing plays before that, and the queue when `queue` is set
+  async loadPlayHistory(files, { queue = false } = {}) {
+    const stationId = this.config.azuraCast.stationId;
+    const uploadTimes = files.filter(file => !file.planned && file.uploaded_at).map(file => file.uploaded_at);
+    const start = new Date((uploadTimes.length > 0 ? Math.min(...uploadTimes) : Math.floor(Date.now() / 1000)) * 1000);
+    const range = `start=${encodeURIComponent(start.toISOString())}&end=${encodeURIComponent(new Date().toISOString())}`;
+    
+    const history = await this.apiRequest('GET', `/station/${stationId}/history?${range}`);
+    const upcoming = queue ? await this.apiRequest('GET', `/station/${stationId}/queue`) : [];
+    await this.log(`📻 Loaded ${history.length} plays since ${start.toISOString()}${queue ? ` and ${upcoming.length} queued songs` : ''}`);
+    
+    return new PlayHistory(history, upcoming);
+  }
+
+  // Ledger entries identify a show's files; the show's folder or fuzzy matching covers files the ledger has never seen
+  findShowFiles(rssUrl, showData, allFiles) {
+    const filesById = new Map(allFiles.filter(file => !file.planned).map(file => [String(file.id), file]));
+    const claimedIds = this.ledger.claimedFileIds();
+    const showFiles = new Set();
+    
+    for (const entry of this.ledger.forShow(rssUrl)) {
+      if (!entry.fileId || (entry.status !== STATUS.UPLOADED && entry.status !== STATUS.IN_PLAYLIST)) continue;
+      const file = filesById.get(String(entry.fileId));
+      if (file) showFiles.add(file);
+    }
+    
+    for (const file of allFiles) {
+      if (file.planned) {
+        if (file.rssUrl === rssUrl) showFiles.add(file);
+      } else if (!claimedIds.has(String(file.id)) && this.fileMatchesShow(file, showData, showData.folder)) {
+        showFiles.add(file);
+      }
+    }
+    
+    return Array.from(showFiles);
+  }
+
+  // Dry-run only: project the planned deletions and uploads onto a station file listing
+  applyPlanToFiles(files) {
+    const deletedIds = new Set(this.plan.filter(action => ['delete', 'archive'].includes(action.type)).map(action => action.fileId));
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    
+    const plannedUploads = this.plan
+      .filter(action => action.type === 'upload')
+      .map(action => ({
+        id: null,
+        title: action.episode.title,
+        artist: action.showMetadata.author || 'Unknown',
+        album: action.showMetadata.title || 'Podcast',
+        uploaded_at: nowSeconds,
+        playlists: action.playlists.map(playlistId => ({ id: playlistId })),
+        rssUrl: action.rssUrl,
+        pubDate: action.episode.pubDate,
+        planned: true
+      }));
+    
+    return files.filter(file => !deletedIds.has(file.id)).concat(plannedUploads);
+  }
+
+  // A PUT replaces all of a file's playlists, so memberships are read first and merged
+  async updateFilePlaylists(fileId, { add = [], remove = [] }) {
+    const file = await this.apiRequest('GET', `/station/${this.config.azuraCast.stationId}/file/${fileId}`);
+    const current = playlistIdsOf(file);
+    const removed = new Set(remove.map(Number));
+    const playlists = current.filter(playlistId => !removed.has(playlistId));
+    for (const playlistId of add.map(Number)) {
+      if (!playlists.includes(playlistId)) playlists.push(playlistId);
+    }
+    
+    if (playlists.length === current.length && playlists.every(playlistId => current.includes(playlistId))) {
+      return playlists;
+    }
+    
+    const result = await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/file/${fileId}`, {
+      playlists: playlists.map(playlistId => playlistId.toString())
+    });
+    await this.log(`✅ API response: ${JSON.stringify(result)}`, 'DEBUG');
+    return playlists;
+  }
+
+  async applyPlan(planPath) {
+    await this.log(`🚀 Applying plan from ${planPath}`);
+    
+    const plan = JSON.parse(await fs.readFile(planPath, 'utf8'));
+    if (plan.version !== PLAN_VERSION || !Array.isArray(plan.actions)) {
+      throw new Error(`Unsupported plan format in ${planPath}`);
+    }
+    
+    const { host, stationId } = this.config.azuraCast;
+    if (plan.station.host !== host || String(plan.station.stationId) !== String(stationId)) {
+      throw new Error(`Plan was created for ${plan.station.host} station ${plan.station.stationId}, not ${host} station ${stationId}`);
+    }
+    
+    await this.ensureTempDir();
+    await this.loadLedger();
+    // The station may have changed since the dry run; uploads must see the paths taken now
+    await this.loadServerFiles(false);
+    
+    await this.log(`📋 Plan created ${plan.createdAt} with ${plan.actions.length} actions`);
+    
+    let applied = 0, failed = 0;
+    
+    for (const action of plan.actions) {
+      try {
+        switch (action.type) {
+          case 'delete':
+            await this.log(`🗑️ Deleting "${action.title}" (ID: ${action.fileId}): ${action.reason}`);
+            await this.deleteFile(action.fileId);
+            await new Promise(resolve => setTimeout(resolve, 500));
+            break;
+            
+          case 'archive':
+            await this.log(`🗄️ Archiving "${action.title}" (ID: ${action.fileId}): ${action.reason}`);
+            await this.archiveFile({ id: action.fileId, title: action.title, path: action.path, playlists: action.playlists }, action.reason);
+            await new Promise(resolve => setTimeout(resolve, 500));
+            break;
+            
+          case 'mark-processed':
+            this.ledger.record(action.guid, action.ledgerEntry);
+            break;
+            
+          case 'upload': {
+            const episode = { ...action.episode, pubDate: new Date(action.episode.pubDate) };
+            // The show's current settings (metadata templates among them), with the playlist the plan was made for
+            const showConfig = this.config.shows.find(show => show.rssUrl === action.rssUrl) || { rssUrl: action.rssUrl };
+            // Playlists named in the plan were created by an earlier action of it
+            const playlists = action.playlists
+              .map(playlistId => (typeof playlistId === 'string' ? this.ledger.playlistId(playlistId) : playlistId))
+              .filter(playlistId => playlistId !== null);
+            await this.processEpisode(episode, action.showMetadata, { ...showConfig, playlists });
+            break;
+          }
+            
+          case 'move':
+            await this.log(`🚚 Moving "${action.title}" (ID: ${action.fileId}): ${action.reason}`);
+            await this.renameFile({ id: action.fileId, path: action.from }, action.to);
+            break;
+            
+          case 'create-playlist':
+            await this.createPlaylist(action.name, action.settings);
+            await this.saveLedger();
+            break;
+            
+          case 'update-playlist':
+            await this.apiRequest('PUT', `/station/${this.config.azuraCast.stationId}/playlist/${action.playlistId}`, action.changes);
+            await this.log(`🔧 Playlist "${action.title}" (ID ${action.playlistId}) updated: ${action.reason}`);
+            break;
+            
+          case 'update-playlists': {
+            const playlists = await this.updateFilePlaylists(action.fileId, { remove: action.remove });
+            this.markFileStatus(action.fileId, STATUS.RETIRED);
+            await this.log(`📤 Removed "${action.title}" from playlists ${action.remove.join(', ')}, now in ${JSON.stringify(playlists)}: ${action.reason}`);
+            await new Promise(resolve => setTimeout(resolve, 500));
+            break;
+          }
+            
+          default:
+            throw new Error(`Unknown plan action type: ${action.type}`);
+        }
+        applied++;
+      } catch (error) {
+        failed++;
+        await this.log(`❌ Plan action ${action.type} failed: ${error.message}`, 'ERROR');
+      }
+    }
+    
+    await this.saveLedger();
+    await this.log(`\n🎉 Plan applied! ✅ ${applied} successful, ❌ ${failed} failed`);
+  }
+
+  // Enabled shows, narrowed down by the --show filter when one was given
+  activeShows() {
+    return this.config.shows.filter(showConfig => {
+      if (showConfig.enabled === false || this.pausedShows.has(showConfig.rssUrl)) return false;
+      return this.showFilter.length === 0 || this.showFilter.includes(showConfig.rssUrl);
+    });
+  }
+
+  // Feed health for the status server: the last fetch and its outcome, and episodes the filters skipped
+  updateFeedHealth(rssUrl, changes) {
+    const health = { ...this.feedHealth.get(rssUrl), lastCheckedAt: new Date().toISOString(), ...changes };
+    this.feedHealth.set(rssUrl, health);
+    return health;
+  }
+
+  async collectEpisodes(shows = this.activeShows()) {
+    const allEpisodes = [];
+    
+    for (const showConfig of shows) {
+      const context = { show: showConfig.rssUrl, stage: 'fetch' };
+      const show = { show: showConfig.rssUrl };
+      try {
+        await this.log(`\n📡 Fetching: ${showConfig.rssUrl}`, 'INFO', context);
+        const fetchStart = Date.now();
+        const { showMetadata, episodes, notModified } = await this.loadFeed(showConfig);
+        this.reportFor(showConfig.rssUrl, showMetadata.title);
+        const health = this.updateFeedHealth(showConfig.rssUrl, {
+          title: showMetadata.title,
+          lastSuccessAt: new Date().toISOString(),
+          consecutiveFailures: 0,
+          episodes: episodes.length,
+          skipped: []
+        });
+        
+        this.observe('feed_fetch_duration_seconds', show, Date.now() - fetchStart);
+        await this.log(`✅ ${showMetadata.title}: ${episodes.length} episodes${notModified ? ' (no changes)' : ''}`, 'INFO', { ...context, durationMs: Date.now() - fetchStart });
+        
+        // Filter recent episodes
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - (showConfig.maxAgeDays || 30));
+        
+        // The show's filter rules apply before maxEpisodes, so skipped episodes do not use up the limit
+        const filter = new EpisodeFilter(showConfig.filters);
+        const eligibleEpisodes = [];
+        for (const episode of episodes.filter(ep => ep.pubDate > cutoffDate)) {
+          const reason = filter.reasonToSkip(episode, showMetadata);
+          if (reason) {
+            health.skipped.push({ guid: episode.guid, title: episode.title, reason });
+            this.count('episodes_skipped_total', { ...show, reason: 'filter' });
+            await this.log(`⏭️ Skipping "${episode.title}": ${reason}`, 'INFO', { ...context, guid: episode.guid });
+          } else {
+            eligibleEpisodes.push(episode);
+          }
+        }
+        
+        const recentEpisodes = eligibleEpisodes
+          .slice(0, showConfig.maxEpisodes || 5)
+          .map(ep => ({ ...ep, showConfig, showMetadata }));
+        
+        allEpisodes.push(...recentEpisodes);
+        
+      } catch (error) {
+        await this.log(`❌ Failed to fetch ${showConfig.rssUrl}: ${error.message}`, 'ERROR', context);
+        this.count('feed_fetch_errors_total', show);
+        const report = this.reportFor(showConfig.rssUrl);
+        report.feedError = error.message;
+        const previous = this.feedHealth.get(showConfig.rssUrl) || {};
+        this.updateFeedHealth(showConfig.rssUrl, {
+          lastError: error.message,
+          lastErrorAt: new Date().toISOString(),
+          consecutiveFailures: (previous.consecutiveFailures || 0) + 1
+        });
+        this.recordFailure({ type: 'feed', show: showConfig.rssUrl, title: report.title, error: error.message });
+        await this.notify('feed-error', { show: { rssUrl: showConfig.rssUrl, title: report.title }, error: error.message });
+      }
+    }
+    
+    await this.saveFeedCache();
+    
+    // Sort chronologically (oldest first)
+    allEpisodes.sort((a, b) => a.pubDate - b.pubDate);
+    return allEpisodes;
+  }
+
+  async selectNewEpisodes(allEpisodes) {
+    const newEpisodes = [];
+    
+    for (const episode of allEpisodes) {
+      let entry = this.ledger.get(episode.guid);
+      
+      // Interrupted after upload: finish the remaining steps on the same file if it is still there
+      if (entry && entry.pending) {
+        const pendingFileId = entry.fileId;
+        if (this.serverFiles.some(file => String(file.id) === String(pendingFileId))) {
+          newEpisodes.push({ ...episode, resumeFileId: pendingFileId });
+          continue;
+        }
+        this.ledger.forget(episode.guid);
+        entry = null;
+      } else if (entry && !entry.legacy) {
+        // Fully known episodes need nothing; legacy entries still lack their file ID
+        continue;
+      }
+      
+      const existingFile = this.findExistingFile(episode, episode.showMetadata);
+      if (existingFile) {
+        const ledgerEntry = this.existingFileEntry(episode, existingFile);
+        if (this.dryRun) {
+          await this.recordPlanAction({
+            type: 'mark-processed',
+            guid: episode.guid,
+            ledgerEntry,
+            reason: entry
+              ? `legacy history entry matched to file ${existingFile.id}`
+              : `"${episode.title}" already exists on server as file ${existingFile.id}`
+          });
+        } else {
+          this.ledger.record(episode.guid, ledgerEntry);
+        }
+        continue;
+      }
+      
+      if (entry) continue;
+      newEpisodes.push(episode);
+    }
+    
+    await this.log(`\n📊 Summary: ${allEpisodes.length} total, ${newEpisodes.length} new episodes to upload`);
+    return newEpisodes;
+  }
+
+  async planUploads(newEpisodes) {
+    for (const episode of newEpisodes) {
+      const { showConfig, showMetadata, ...episodeData } = episode;
+      await this.recordPlanAction({
+        type: 'upload',
+        guid: episode.guid,
+        rssUrl: showConfig.rssUrl,
+        playlists: this.showPlaylists(showConfig, { pending: true }),
+        episode: episodeData,
+        showMetadata,
+        reason: `new episode published ${episode.pubDate.toISOString()}`
+      });
+    }
+  }
+
+  // Runs episodes through the pipeline concurrently; `newEpisodes` is oldest first, which is the upload order per show
+  async processEpisodes(newEpisodes) {
+    await this.log('\n🎵 Starting episode processing...');
+    let uploaded = 0, failed = 0, skipped = 0;
+    const uploadTurns = new TurnQueue();
+    
+    await Promise.all(newEpisodes.map(async (episode) => {
+      const { turn, done } = uploadTurns.next(episode.showConfig.rssUrl);
+      
+      await this.stages.episodes.run(async () => {
+        if (this.stopRequested) {
+          skipped++;
+          done();
+          return;
+        }
+        
+        const report = this.reportFor(episode.showConfig.rssUrl, episode.showMetadata.title);
+        const show = { rssUrl: episode.showConfig.rssUrl, title: episode.showMetadata.title };
+        const episodeInfo = { guid: episode.guid, title: episode.title, pubDate: episode.pubDate.toISOString() };
+        try {
+          const result = await this.processEpisode(episode, episode.showMetadata, episode.showConfig, { uploadTurn: turn, uploadDone: done });
+          uploaded++;
+          if (!result.duplicate) this.count('episodes_uploaded_total', { show: show.rssUrl });
+          report.uploaded.push(episode.title);
+          const entry = this.ledger.get(episode.guid);
+          await this.notify('episode-success', {
+            show,
+            episode: episodeInfo,
+            fileId: result.fileId,
+            path: (entry && entry.path) || null,
+            duplicate: Boolean(result.duplicate)
+          });
+        } catch (error) {
+          failed++;
+          this.count('episodes_failed_total', { show: show.rssUrl });
+          report.failed.push({ title: episode.title, error: error.message });
+          this.recordFailure({ type: 'episode', show: show.rssUrl, guid: episode.guid, title: episode.title, error: error.message });
+          await this.notify('episode-failure', { show, episode: episodeInfo, error: error.message });
+        }
+      });
+    }));
+    
+    if (skipped > 0) {
+      await this.log(`⏹️ Stop requested, leaving ${skipped} episodes for the next run`, 'WARN');
+    }
+    this.summary.uploaded += uploaded;
+    this.summary.failed += failed;
+    await this.log(`\n🎉 Process Complete! ✅ ${uploaded} successful, ❌ ${failed} failed`);
+    await this.saveLedger();
+    return { uploaded, failed };
+  }
+
   async run() {
+    this.beginRun('run', { runId: this.runId });
     try {
-      await this.log('🚀 Starting AzuraCast Podcast Uploader');
+      await this.log(`🚀 Starting AzuraCast Podcast Uploader${this.dryRun ? ' (dry run)' : ''}`);
       await this.init();
+      await this.provisionPlaylists();
       
       // Clean up orphaned files first
       await this.cleanupOrphanedFiles();
       
       // Collect episodes from all shows
-      const allEpisodes = [];
-      const showMetadataMap = new Map();
-      
-      for (const showConfig of this.config.shows) {
-        if (showConfig.enabled === false) continue;
-        
-        try {
-          await this.log(`\n📡 Fetching: ${showConfig.rssUrl}`);
-          const feedData = await this.fetchFeed(showConfig.rssUrl);
-          const { showMetadata, episodes } = this.parseRSSFeed(feedData);
-          
-          showMetadataMap.set(showConfig.rssUrl, showMetadata);
-          await this.log(`✅ ${showMetadata.title}: ${episodes.length} episodes`);
-          
-          // Filter recent episodes
-          const cutoffDate = new Date();
-          cutoffDate.setDate(cutoffDate.getDate() - (showConfig.maxAgeDays || 30));
-          
-          const recentEpisodes = episodes
-            .filter(ep => ep.pubDate > cutoffDate)
-            .slice(0, showConfig.maxEpisodes || 5)
-            .map(ep => ({ ...ep, showConfig, showMetadata }));
-          
-          allEpisodes.push(...recentEpisodes);
-          
-        } catch (error) {
-          await this.log(`❌ Failed to fetch ${showConfig.rssUrl}: ${error.message}`, 'ERROR');
-        }
-      }
+      const allEpisodes = await this.collectEpisodes();
       
       if (allEpisodes.length === 0) {
         await this.log('No episodes found to process');
+        if (this.dryRun) await this.writePlan();
         return;
       }
       
-      // Sort chronologically (oldest first) and filter new episodes
-      allEpisodes.sort((a, b) => a.pubDate - b.pubDate);
-      
-      const newEpisodes = allEpisodes.filter(episode => {
-        if (this.processedEpisodes.has(episode.guid)) return false;
-        if (this.episodeExists(episode, episode.showMetadata)) {
-          this.processedEpisodes.add(episode.guid);
-          return false;
-        }
-        return true;
-      });
+      const newEpisodes = await this.selectNewEpisodes(allEpisodes);
       
-      await this.log(`\n📊 Summary: ${allEpisodes.length} total, ${newEpisodes.length} new episodes to upload`);
+      if (this.dryRun) {
+        await this.planUploads(newEpisodes);
+        await this.cleanupOldEpisodes();
+        await this.writePlan();
+        return;
+      }
       
       if (newEpisodes.length === 0) {
         await this.log('✅ All episodes up to date!');
         // Still run cleanup even when no new episodes
+        await this.saveLedger();
         await this.cleanupOldEpisodes();
-        await this.saveProcessedEpisodes();
         return;
       }
       
       // Process episodes
-      await this.log('\n🎵 Starting episode processing...');
-      let uploaded = 0, failed = 0;
-      
-      for (const episode of newEpisodes) {
-        try {
-          await this.processEpisode(episode, episode.showMetadata, episode.showConfig.playlistId);
-          this.processedEpisodes.add(episode.guid);
-          uploaded++;
-          
-          // Small delay between episodes
-          if (uploaded < newEpisodes.length) {
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          }
-          
-        } catch (error) {
-          failed++;
-        }
-      }
-      
-      await this.log(`\n🎉 Process Complete! ✅ ${uploaded} successful, ❌ ${failed} failed`);
-      await this.saveProcessedEpisodes();
+      await this.processEpisodes(newEpisodes);
       
       // Always run cleanup to maintain episode limits
       await this.cleanupOldEpisodes();
       
     } catch (error) {
+      // Other stations still get their run; the exit code reports the failure
       await this.log(`💥 Fatal error: ${error.message}`, 'ERROR');
-      process.exit(1);
+      this.summary.fatal = error.message;
+      process.exitCode = 1;
+    }
+    
+    await this.finishRun();
+  }
+
+  async logSummary() {
+    const { uploaded, failed, retired, archived, deleted, fatal } = this.summary;
+    const counts = `✅ ${uploaded} uploaded, ❌ ${failed} failed, 🧹 ${retired} retired, 🗄️ ${archived} archived, 🗑️ ${deleted} deleted`;
+    await this.log(`📊 Summary for ${this.config.azuraCast.host} station ${this.config.azuraCast.stationId}: ${counts}${fatal ? ` (stopped early: ${fatal})` : ''}`, fatal ? 'ERROR' : 'INFO');
+  }
+
+  // `fetch` command: list what a run would upload, without touching the station
+  async listNewEpisodes() {
+    await this.ensureTempDir();
+    await this.loadLedger();
+    await this.loadServerFiles(false);
+    
+    // Nothing is recorded, so matches against existing files only show up in the listing
+    this.dryRun = true;
+    const newEpisodes = await this.selectNewEpisodes(await this.collectEpisodes());
+    
+    for (const episode of newEpisodes) {
+      await this.log(`🆕 ${episode.pubDate.toISOString().slice(0, 10)} ${episode.showMetadata.title}: "${episode.title}" (${episode.guid})`);
+    }
+    return newEpisodes;
+  }
+
+  // `upload` command: fetch and upload new episodes of the selected shows, without any cleanup
+  async uploadNewEpisodes() {
+    this.beginRun('upload', { runId: this.runId });
+    await this.log(`🚀 Uploading new episodes${this.dryRun ? ' (dry run)' : ''}`);
+    await this.ensureTempDir();
+    await this.loadLedger();
+    await this.loadServerFiles(false);
+    await this.provisionPlaylists();
+    
+    const newEpisodes = await this.selectNewEpisodes(await this.collectEpisodes());
+    
+    if (this.dryRun) {
+      await this.planUploads(newEpisodes);
+      await this.writePlan();
+    } else if (newEpisodes.length === 0) {
+      await this.log('✅ All episodes up to date!');
+      await this.saveLedger();
+    } else {
+      await this.processEpisodes(newEpisodes);
+    }
+    await this.finishRun();
+  }
+
+  // `cleanup` command: orphan deletion and/or episode limits, both when neither is selected
+  async cleanup({ orphans = true, limits = true } = {}) {
+    this.beginRun('cleanup', { runId: this.runId });
+    await this.log(`🚀 Starting cleanup${this.dryRun ? ' (dry run)' : ''}`);
+    await this.ensureTempDir();
+    await this.loadLedger();
+    await this.loadServerFiles(false);
+    await this.provisionPlaylists();
+    
+    if (orphans) await this.cleanupOrphanedFiles();
+    if (limits) await this.cleanupOldEpisodes();
+    if (this.dryRun) await this.writePlan();
+    await this.finishRun();
+  }
+
+  /**
+   * `migrate-layout` command: moves the files the ledger knows into the path each
+   * show's path template gives them now, e.g. after introducing or changing
+   * `pathTemplate`. Episodes that left the feed are placed by their ledger title
+   * and date. Files the ledger does not know are left where they are.
+   */
+  async migrateLayout() {
+    await this.log(`🚀 Moving files into the path layout${this.dryRun ? ' (dry run)' : ''}`);
+    await this.ensureTempDir();
+    await this.loadLedger();
+    await this.loadServerFiles(false);
+    
+    const filesById = new Map(this.serverFiles.map(file => [String(file.id), file]));
+    const seenIds = new Set();
+    let moved = 0, unchanged = 0, failed = 0;
+    
+    for (const showConfig of this.activeShows()) {
+      if (!this.pathTemplateFor(showConfig)) {
+        await this.log(`⏭️ ${showConfig.rssUrl} has no pathTemplate, its files stay where they are`);
+        continue;
+      }
+      
+      let feed;
+      try {
+        feed = await this.loadFeed(showConfig, { reuse: true });
+      } catch (error) {
+        await this.log(`⚠️ Could not fetch ${showConfig.rssUrl}, skipping its files: ${error.message}`, 'WARN');
+        continue;
+      }
+      const episodesByGuid = new Map(feed.episodes.map(episode => [episode.guid, episode]));
+      
+      // Oldest first, so numbered paths for equal titles go to the later episodes
+      const entries = this.ledger.forShow(showConfig.rssUrl)
+        .filter(entry => entry.fileId && entry.status !== STATUS.ARCHIVED && entry.status !== STATUS.DELETED)
+        .sort((a, b) => new Date(a.pubDate || 0) - new Date(b.pubDate || 0));
+      
+      for (const entry of entries) {
+        const file = filesById.get(String(entry.fileId));
+        // Entries sharing a file (identical audio) move it once
+        if (!file || !file.path || seenIds.has(String(file.id))) continue;
+        seenIds.add(String(file.id));
+        
+        const episode = episodesByGuid.get(entry.guid) ||
+          { guid: entry.guid, title: entry.title || '', pubDate: entry.pubDate ? new Date(entry.pubDate) : null };
+        const target = this.stationPathFor(episode, feed.showMetadata, showConfig, path.posix.extname(file.path), { currentPath: file.path });
+        if (target === file.path) {
+          unchanged++;
+          continue;
+        }
+        
+        if (this.dryRun) {
+          await this.recordPlanAction({ type: 'move', fileId: file.id, title: file.title || entry.title, from: file.path, to: target, reason: `${file.path} -> ${target}` });
+          moved++;
+          continue;
+        }
+        
+        try {
+          await this.renameFile(file, target);
+          moved++;
+        } catch (error) {
+          failed++;
+          this.reservedPaths.delete(target);
+          await this.log(`❌ Failed to move "${entry.title}" (ID: ${file.id}): ${error.message}`, 'ERROR');
+        }
+      }
+    }
+    
+    await this.saveFeedCache();
+    await this.saveLedger();
+    await this.log(`\n🎉 Layout migration ${this.dryRun ? 'planned' : 'complete'}: 🚚 ${moved} moved, ✅ ${unchanged} already in place, ❌ ${failed} failed`);
+    if (this.dryRun) await this.writePlan();
+  }
+
+  async forgetEpisode(guid) {
+    await this.loadLedger();
+    
+    const entry = this.ledger.get(guid);
+    if (!entry) {
+      const error = new Error(`No episode with GUID "${guid}" in ${this.ledger.filePath}`);
+      error.notFound = true;
+      throw error;
+    }
+    
+    this.ledger.forget(guid);
+    await this.saveLedger();
+    // findExistingFile() still matches the episode to a file of the show with its title, so forgetting
+    // alone does not upload it again; reprocessEpisode() does
+    await this.log(entry.fileId
+      ? `🗑️ Forgot "${entry.title || guid}"; file ${entry.fileId} stays on the station, and the next run re-adopts it while its title matches the episode (reprocess uploads a fresh copy)`
+      : `🗑️ Forgot "${entry.title || guid}"; the next run re-adopts a file with its title, or uploads it again`);
+    return entry;
+  }
+
+  async reprocessEpisode(guid) {
+    await this.ensureTempDir();
+    await this.loadLedger();
+    // The old file stays, so the new upload needs the current file list to pick a path that does not overwrite it
+    await this.loadServerFiles(false);
+
+    const allEpisodes = await this.collectEpisodes();
+    const episode = allEpisodes.find(candidate => candidate.guid === guid);
+    if (!episode) {
+      const error = new Error(`Episode "${guid}" is not among the recent episodes of any enabled show`);
+      error.notFound = true;
+      throw error;
+    }
+    
+    const previous = this.ledger.get(guid);
+    if (previous) {
+      await this.log(`🔁 Reprocessing "${episode.title}" (previously file ${previous.fileId || 'unknown'}, ${previous.status}; the old file stays on the station)`);
+      this.ledger.forget(guid);
+    }
+    
+    await this.processEpisode(episode, episode.showMetadata, episode.showConfig);
+    await this.saveLedger();
+  }
+
+  async printStatus() {
+    await this.loadLedger();
+    
+    const entries = Array.from(this.ledger.entries.values());
+    await this.log(`📒 Episode ledger: ${entries.length} episodes in ${this.ledger.filePath}`);
+    if (this.ledger.archived.size > 0) {
+      await this.log(`🗄️ ${this.ledger.archived.size} files in the archive folder ${this.archive.directory} (see \`restore\`)`);
+    }
+    
+    const rssUrls = new Set(this.activeShows().map(showConfig => showConfig.rssUrl));
+    if (this.showFilter.length === 0) {
+      entries.forEach(entry => rssUrls.add(entry.rssUrl));
+    }
+    
+    for (const rssUrl of rssUrls) {
+      const showEntries = entries.filter(entry => entry.rssUrl === rssUrl);
+      const counts = showEntries.reduce((acc, entry) => {
+        acc[entry.status] = (acc[entry.status] || 0) + 1;
+        return acc;
+      }, {});
+      const lastUpload = showEntries
+        .map(entry => entry.uploadedAt)
+        .filter(Boolean)
+        .sort()
+        .pop();
+      
+      await this.log(`\n📻 ${rssUrl || 'Unknown show (legacy entries)'}`);
+      await this.log(`  ${Object.values(STATUS).map(status => `${status}: ${counts[status] || 0}`).join(', ')}`);
+      await this.log(`  Last upload: ${lastUpload || 'never'}`);
     }
   }
 }
 
 // Main execution
 async function main() {
+  let parsed;
   try {
-    const configData = await fs.readFile('./config.json', 'utf8');
-    const config = JSON.parse(configData);
-    
-    const uploader = new PodcastUploader(config);
-    await uploader.run();
-    
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Run with --help for usage.');
+    process.exit(1);
+  }
+  
+  const { command, args, options } = parsed;
+  if (command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  
+  const configPath = options.config || './config.json';
+  let config, configFiles;
+  try {
+    ({ config, files: configFiles } = await loadConfig(configPath));
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ Invalid configuration (${error.files.join(' + ')}):`);
+      error.errors.forEach(problem => console.error(`  - ${problem}`));
+    } else {
+      console.error('❌ Failed to start:', error.message);
+      console.error(`Make sure ${configPath} exists and is properly formatted.`);
+    }
+    process.exit(1);
+  }
+  
+  let stations;
+  try {
+    stations = resolveStations(config);
   } catch (error) {
-    console.error('❌ Failed to start:', error.message);
-    console.error('Make sure config.json exists and is properly formatted.');
+    console.error(`❌ Invalid configuration: ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (command === 'validate') {
+    console.log(`✅ Configuration is valid (${configFiles.join(' + ')}), ${stations.length} station${stations.length === 1 ? '' : 's'}`);
+    console.log(JSON.stringify(redactConfig(config), null, 2));
+    return;
+  }
+  
+  const unknownStations = options.stations.filter(name => !stations.some(station => station.name === name));
+  if (unknownStations.length > 0) {
+    console.error(`❌ Unknown station(s): ${unknownStations.join(', ')}`);
+    process.exit(1);
+  }
+  
+  const unknownShows = options.shows.filter(rssUrl => !stations.some(station => station.config.shows.some(showConfig => showConfig.rssUrl === rssUrl)));
+  if (unknownShows.length > 0) {
+    console.error(`❌ Unknown show(s): ${unknownShows.join(', ')}`);
+    process.exit(1);
+  }
+  
+  // --station narrows the stations; --show further skips stations that carry none of the shows
+  const selected = stations.filter(station =>
+    (options.stations.length === 0 || options.stations.includes(station.name)) &&
+    (options.shows.length === 0 || station.config.shows.some(showConfig => options.shows.includes(showConfig.rssUrl)))
+  );
+  if (selected.length === 0) {
+    console.error('❌ None of the selected shows belong to the selected stations');
     process.exit(1);
   }
+  
+  const feedCache = new FeedCache(config.feedCacheFile || './feed-cache.json');
+  // Stations share one simulator, so they see a single simulated AzuraCast like they would the real one
+  const backend = config.backend && config.backend.type === 'simulator' ? createBackend(config) : undefined;
+  // One log file and one run ID for every station, so a run's lines can be followed across stations
+  const logger = createLogger(config, options.verbose ? 'DEBUG' : options.quiet ? 'WARN' : 'INFO');
+  const runId = newRunId();
+  const metrics = new Metrics();
+  const uploaders = selected.map(station => new PodcastUploader(station.config, {
+    dryRun: options.dryRun,
+    // Every station gets its own plan file when several are planned at once
+    planFile: options.planFile && selected.length > 1 ? stationFilePath(options.planFile, station.name) : options.planFile,
+    showFilter: options.shows,
+    stationName: station.name,
+    feedCache,
+    backend,
+    logger,
+    runId,
+    metrics
+  }));
+  if (backend) {
+    await uploaders[0].log('🧪 Using the AzuraCast simulator: feeds come from fixtures and nothing is sent to a real station', 'INFO', { station: false });
+  }
+  
+  // The status server reports on the commands that poll or clean up, and takes control requests from the daemon
+  const daemon = command === 'daemon' ? new Daemon(uploaders) : null;
+  let statusServer = null;
+  if (config.statusServer && config.statusServer.enabled !== false && ['run', 'upload', 'cleanup', 'daemon'].includes(command)) {
+    statusServer = new StatusServer(config.statusServer, uploaders, daemon);
+    try {
+      const port = await statusServer.start();
+      await uploaders[0].log(`🌐 Status dashboard at http://${statusServer.host}:${port}/`, 'INFO', { station: false });
+    } catch (error) {
+      await uploaders[0].log(`⚠️ Status server could not start: ${error.message}`, 'WARN', { station: false });
+      statusServer = null;
+    }
+  }
+  
+  let current = uploaders[0];
+  try {
+    switch (command) {
+      case 'run':
+        if (options.applyPlan) {
+          // A plan belongs to the station it was created for
+          const plan = JSON.parse(await fs.readFile(options.applyPlan, 'utf8'));
+          const target = plan.station && uploaders.find(uploader =>
+            uploader.config.azuraCast.host === plan.station.host &&
+            String(uploader.config.azuraCast.stationId) === String(plan.station.stationId));
+          current = target || uploaders[0];
+          await current.applyPlan(options.applyPlan);
+        } else {
+          for (current of uploaders) {
+            await current.run();
+          }
+        }
+        break;
+      case 'daemon':
+        await daemon.start();
+        break;
+      case 'fetch':
+        for (current of uploaders) {
+          await current.listNewEpisodes();
+        }
+        break;
+      case 'upload':
+        for (current of uploaders) {
+          await current.uploadNewEpisodes();
+        }
+        break;
+      case 'cleanup': {
+        const both = !options.orphans && !options.limits;
+        for (current of uploaders) {
+          await current.cleanup({ orphans: both || Boolean(options.orphans), limits: both || Boolean(options.limits) });
+        }
+        break;
+      }
+      case 'playlists':
+        for (current of uploaders) {
+          await current.displayPlaylistInfo();
+        }
+        break;
+      case 'reprocess':
+      case 'forget':
+      case 'restore': {
+        // The episode (or archived file) may live on several stations; stations that do not know it are skipped
+        let found = 0;
+        let lastError = null;
+        for (current of uploaders) {
+          try {
+            if (command === 'forget') await current.forgetEpisode(args.guid);
+            else if (command === 'restore') await current.restoreFile(args.file);
+            else await current.reprocessEpisode(args.guid);
+            found++;
+          } catch (error) {
+            if (!error.notFound || uploaders.length === 1) throw error;
+            lastError = error;
+            await current.log(`⏭️ ${error.message}`, 'DEBUG');
+          }
+        }
+        if (found === 0) throw lastError;
+        break;
+      }
+      case 'migrate-layout':
+        for (current of uploaders) {
+          await current.migrateLayout();
+        }
+        break;
+      case 'status':
+        for (current of uploaders) {
+          await current.printStatus();
+        }
+        break;
+    }
+  } catch (error) {
+    // Not process.exit(): the status server still has to stop below
+    await current.log(`💥 ${command} failed: ${error.message}`, 'ERROR');
+    process.exitCode = 1;
+    return;
+  } finally {
+    if (statusServer) await statusServer.stop();
+    
+    // Cron runs leave their metrics for the node_exporter textfile collector, failed ones too; the daemon serves them instead
+    const metricsConfig = config.metrics || {};
+    if (metricsConfig.textfile && !options.dryRun && ['run', 'upload', 'cleanup'].includes(command)) {
+      try {
+        await metrics.writeTextfile(metricsConfig.textfile);
+      } catch (error) {
+        await uploaders[0].log(`⚠️ Failed to write metrics to ${metricsConfig.textfile}: ${error.message}`, 'WARN', { station: false });
+      }
+    }
+  }
+  
+  if (stations.length > 1 && ['run', 'upload', 'cleanup'].includes(command) && !options.applyPlan) {
+    await uploaders[0].log('\n📊 Summary per station', 'INFO', { station: false });
+    for (const uploader of uploaders) {
+      await uploader.logSummary();
+    }
+  }
 }
 
 if (require.main === module) {
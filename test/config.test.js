@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const { rmSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig, localConfigPath, redactConfig } = require('../lib/config');
+
+// Temporary directories, removed when the test process exits; Node 16 runs no file-level after hooks
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => rmSync(dir, { recursive: true, force: true })));
+
+const STATION = { host: 'radio.example.com', stationId: 1, apiKey: 'abc123:secret' };
+const SHOW = { rssUrl: 'https://example.com/feed.xml' };
+
+// Writes `config` (and `local`, as config.local.json) to a temporary directory and loads it with `env`
+async function load(config, { local, env = {} } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'podcast-uploader-config-'));
+  tempDirs.push(dir);
+  const configPath = path.join(dir, 'config.json');
+  await fs.writeFile(configPath, JSON.stringify(config));
+  if (local) await fs.writeFile(path.join(dir, 'config.local.json'), JSON.stringify(local));
+  return loadConfig(configPath, env);
+}
+
+// The ConfigError messages from loading `config`
+async function problems(config, options) {
+  try {
+    await load(config, options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error.message);
+    return error.errors;
+  }
+  assert.fail('the config was accepted');
+}
+
+test('a valid config loads unchanged', async () => {
+  const config = { azuraCast: STATION, shows: [{ ...SHOW, maxEpisodes: 5, pollInterval: '30m' }] };
+  const { config: loaded, files } = await load(config);
+  assert.deepStrictEqual(loaded, config);
+  assert.strictEqual(files.length, 1);
+});
+
+test('unknown keys are reported, with the closest known key when there is one', async () => {
+  assert.deepStrictEqual(await problems({
+    azuraCast: { ...STATION, apikey: 'x' },
+    shows: [{ ...SHOW, maxEpisode: 5, colour: 'red' }],
+    logfile: 'uploader.log'
+  }), [
+    'azuraCast.apikey: unknown key (did you mean "apiKey"?)',
+    'shows[0].maxEpisode: unknown key (did you mean "maxEpisodes"?)',
+    'shows[0].colour: unknown key',
+    'logfile: unknown key (did you mean "logFile"?)'
+  ]);
+});
+
+test('values of the wrong type or out of range are reported with what was given', async () => {
+  assert.deepStrictEqual(await problems({
+    azuraCast: STATION,
+    shows: [{ ...SHOW, maxEpisodes: '5', enabled: 'yes', filters: { seasons: [1, 0] } }],
+    retry: { initialDelay: true, attempts: 0 },
+    logging: { level: 'verbose' },
+    tempDir: null
+  }), [
+    'shows[0].maxEpisodes: expected integer, got string "5"',
+    'shows[0].enabled: expected boolean, got string "yes"',
+    'shows[0].filters.seasons[1]: must be at least 1, got 0',
+    'retry.initialDelay: expected string or number, got boolean true',
+    'retry.attempts: must be at least 1, got 0',
+    'logging.level: must be one of "DEBUG", "INFO", "WARN", "ERROR", got "verbose"',
+    'tempDir: expected string, got null'
+  ]);
+
+  const [problem] = await problems({ azuraCast: STATION, shows: [{ rssUrl: 'ftp://example.com/feed.xml' }] });
+  assert.strictEqual(problem, 'shows[0].rssUrl: "ftp://example.com/feed.xml" is not an http(s) URL');
+});
+
+test('a missing or empty apiKey is required, unless the environment supplies it', async () => {
+  const { apiKey, ...withoutKey } = STATION;
+  assert.deepStrictEqual(await problems({ azuraCast: withoutKey, shows: [] }), ['azuraCast.apiKey: required']);
+  assert.deepStrictEqual(await problems({ azuraCast: { ...STATION, apiKey: '' }, shows: [] }), ['azuraCast.apiKey: required']);
+  assert.deepStrictEqual(await problems({ shows: [] }), ['config: needs either an "azuraCast" section or a "stations" list']);
+
+  const { config } = await load({ azuraCast: withoutKey, shows: [] }, { env: { AZURACAST_API_KEY: apiKey } });
+  assert.strictEqual(config.azuraCast.apiKey, apiKey);
+});
+
+test('${VAR} and ${VAR:-default} are substituted from the environment', async () => {
+  const config = {
+    azuraCast: { host: '${RADIO_HOST:-radio.example.com}', stationId: 1, apiKey: '${RADIO_KEY}' },
+    shows: [{ rssUrl: 'https://example.com/${FEED:-main}.xml?key=${FEED_KEY:-}' }]
+  };
+
+  const { config: defaults } = await load(config, { env: { RADIO_KEY: 'key' } });
+  assert.strictEqual(defaults.azuraCast.host, 'radio.example.com');
+  assert.strictEqual(defaults.azuraCast.apiKey, 'key');
+  assert.strictEqual(defaults.shows[0].rssUrl, 'https://example.com/main.xml?key=');
+
+  const { config: set } = await load(config, { env: { RADIO_HOST: 'other.example.com', RADIO_KEY: 'key', FEED: 'news', FEED_KEY: 'k' } });
+  assert.strictEqual(set.azuraCast.host, 'other.example.com');
+  assert.strictEqual(set.shows[0].rssUrl, 'https://example.com/news.xml?key=k');
+
+  assert.deepStrictEqual(await problems(config), ['azuraCast.apiKey: environment variable RADIO_KEY is not set']);
+});
+
+test('AZURACAST_* variables override the connection, per station name for a stations list', async () => {
+  const { config } = await load({ azuraCast: STATION, shows: [] }, {
+    env: { AZURACAST_HOST: 'env.example.com', AZURACAST_STATION_ID: '7', AZURACAST_API_KEY: '' }
+  });
+  assert.deepStrictEqual(config.azuraCast, { ...STATION, host: 'env.example.com', stationId: 7 });
+
+  const { config: shortName } = await load({ azuraCast: STATION, shows: [] }, { env: { AZURACAST_STATION_ID: 'night_radio' } });
+  assert.strictEqual(shortName.azuraCast.stationId, 'night_radio');
+
+  const { config: stations } = await load({
+    stations: [{ name: 'night-shift', ...STATION }, { name: 'main', ...STATION }],
+    shows: []
+  }, { env: { AZURACAST_NIGHT_SHIFT_API_KEY: 'night', AZURACAST_API_KEY: 'ignored' } });
+  assert.deepStrictEqual(stations.stations.map(station => station.apiKey), ['night', STATION.apiKey]);
+});
+
+test('config.local.json is layered over config.json, before substitution and overrides', async () => {
+  assert.strictEqual(localConfigPath('/etc/uploader/config.json'), '/etc/uploader/config.local.json');
+  assert.strictEqual(localConfigPath('uploader'), 'uploader.local.json');
+
+  const { config, files } = await load({
+    azuraCast: { ...STATION, apiKey: 'committed' },
+    shows: [SHOW, { rssUrl: 'https://example.com/other.xml' }],
+    retry: { attempts: 3, initialDelay: '5s' }
+  }, {
+    local: {
+      azuraCast: { apiKey: '${LOCAL_KEY}' },
+      // Lists are replaced, not merged
+      shows: [{ ...SHOW, maxEpisodes: 2 }],
+      retry: { attempts: 6 }
+    },
+    env: { LOCAL_KEY: 'local', AZURACAST_HOST: 'env.example.com' }
+  });
+
+  assert.deepStrictEqual(config, {
+    azuraCast: { host: 'env.example.com', stationId: 1, apiKey: 'local' },
+    shows: [{ ...SHOW, maxEpisodes: 2 }],
+    retry: { attempts: 6, initialDelay: '5s' }
+  });
+  assert.deepStrictEqual(files.map(file => path.basename(file)), ['config.json', 'config.local.json']);
+
+  // Problems in either file are reported against the merged result
+  const error = await load({ azuraCast: STATION, shows: [] }, { local: { shows: [{ rssUrl: 'not a url' }] } }).catch(caught => caught);
+  assert.deepStrictEqual(error.errors, ['shows[0].rssUrl: "not a url" is not a valid URL']);
+  assert.strictEqual(error.files.length, 2);
+});
+
+test('redactConfig hides keys, tokens, passwords and notifier URLs', () => {
+  const config = {
+    azuraCast: STATION,
+    stations: [{ name: 'main', ...STATION }],
+    notifications: {
+      notifiers: [
+        { type: 'discord', url: 'https://discord.com/api/webhooks/123/abcdef' },
+        { type: 'ntfy', url: 'https://ntfy.sh/my-private-topic', token: 'tk_123' },
+        { type: 'webhook', url: 'https://hooks.example.com/in', headers: { Authorization: 'Bearer 1', 'X-Source': 'uploader' } },
+        { type: 'email', host: 'smtp.example.com', username: 'radio', password: 'hunter2', from: 'a@example.com', to: 'b@example.com' },
+        { type: 'gotify', url: 'not a url', token: '' }
+      ]
+    },
+    statusServer: { port: 8080, token: 'dashboard' }
+  };
+  const original = JSON.parse(JSON.stringify(config));
+
+  assert.deepStrictEqual(redactConfig(config), {
+    azuraCast: { ...STATION, apiKey: '********' },
+    stations: [{ name: 'main', ...STATION, apiKey: '********' }],
+    notifications: {
+      notifiers: [
+        { type: 'discord', url: 'https://discord.com/********' },
+        { type: 'ntfy', url: 'https://ntfy.sh/********', token: '********' },
+        { type: 'webhook', url: 'https://hooks.example.com/********', headers: { Authorization: '********', 'X-Source': 'uploader' } },
+        { type: 'email', host: 'smtp.example.com', username: 'radio', password: '********', from: 'a@example.com', to: 'b@example.com' },
+        // An empty secret stays visibly empty
+        { type: 'gotify', url: '********', token: '' }
+      ]
+    },
+    statusServer: { port: 8080, token: '********' }
+  });
+  assert.deepStrictEqual(config, original);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Daemon = require('../lib/daemon');
+
+const SHOW_A = { rssUrl: 'https://example.com/a.xml', pollInterval: '15m' };
+const SHOW_B = { rssUrl: 'https://example.com/b.xml', schedule: '0 * * * *' };
+const SHOW_C = { rssUrl: 'https://example.com/c.xml' };
+
+/**
+ * Just enough of a PodcastUploader for the daemon: polls and cleanups are recorded
+ * in `calls` instead of reaching a station.
+ */
+function stubUploader(shows, daemon = {}, stationName = 'main') {
+  const calls = [];
+  return {
+    calls,
+    stationName,
+    config: { daemon },
+    pausedShows: new Set(),
+    activeShows: () => shows,
+    log: async () => {},
+    beginRun: () => {},
+    endRun: () => {},
+    refreshServerFiles: async () => {},
+    collectEpisodes: async ([showConfig]) => {
+      calls.push(`poll ${showConfig.rssUrl}`);
+      if (showConfig.fail) throw new Error('feed unavailable');
+      return [];
+    },
+    selectNewEpisodes: async () => [],
+    processEpisodes: async () => {},
+    saveLedger: async () => {},
+    provisionPlaylists: async () => {},
+    cleanupOrphanedFiles: async () => calls.push('orphans'),
+    cleanupOldEpisodes: async () => calls.push('limits'),
+    finishRun: async () => calls.push('summary'),
+    resetRunReport: () => {}
+  };
+}
+
+// "HH:MM" in local time, `minutes` from now
+function clock(minutes) {
+  const date = new Date(Date.now() + minutes * 60 * 1000);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+test('each show is scheduled by its pollInterval, its cron schedule or the daemon default', () => {
+  const daemon = new Daemon([stubUploader([SHOW_A, SHOW_B, SHOW_C], { pollInterval: '2h' })]);
+  assert.deepStrictEqual(daemon.schedules.map(schedule => schedule.description), [
+    'every 15m', 'cron "0 * * * *"', 'every 2h'
+  ]);
+
+  const after = new Date('2024-05-06T10:20:00Z');
+  const [a, b, c] = daemon.schedules.map(schedule => schedule.next(after).toISOString());
+  assert.strictEqual(a, '2024-05-06T10:35:00.000Z');
+  assert.strictEqual(new Date(b).getMinutes(), 0);
+  assert.ok(new Date(b) > after && new Date(b) - after <= 60 * 60 * 1000);
+  assert.strictEqual(c, '2024-05-06T12:20:00.000Z');
+
+  assert.throws(() => new Daemon([stubUploader([{ rssUrl: 'x', pollInterval: 'often' }])]), /Invalid duration/);
+  assert.throws(() => new Daemon([stubUploader([{ rssUrl: 'x', schedule: 'hourly' }])]), /Invalid cron expression/);
+});
+
+test('a tick polls the shows that are due, once, and schedules their next poll', async () => {
+  const uploader = stubUploader([SHOW_A, SHOW_C]);
+  const daemon = new Daemon([uploader]);
+  const before = Date.now();
+
+  await daemon.tick();
+  assert.deepStrictEqual(uploader.calls, [`poll ${SHOW_A.rssUrl}`, `poll ${SHOW_C.rssUrl}`]);
+  const [a, c] = daemon.schedules.map(schedule => schedule.nextPoll.getTime());
+  assert.ok(a >= before + 15 * 60 * 1000 && a < before + 16 * 60 * 1000);
+  assert.ok(c >= before + 60 * 60 * 1000);
+
+  await daemon.tick();
+  assert.strictEqual(uploader.calls.length, 2);
+  // Sleeps are capped, so a changed clock is noticed
+  assert.strictEqual(daemon.msUntilNextDue(), 60 * 1000);
+});
+
+test('paused shows and failing polls do not hold up the others', async () => {
+  const failing = { rssUrl: 'https://example.com/broken.xml', fail: true };
+  const uploader = stubUploader([failing, SHOW_A, SHOW_C]);
+  uploader.pausedShows.add(SHOW_A.rssUrl);
+  const daemon = new Daemon([uploader]);
+
+  await daemon.tick();
+  assert.deepStrictEqual(uploader.calls, [`poll ${failing.rssUrl}`, `poll ${SHOW_C.rssUrl}`]);
+  // All three wait for their next turn, the paused one included
+  assert.ok(daemon.schedules.every(schedule => schedule.nextPoll > new Date()));
+});
+
+test('queued actions run before polls, and requestRun polls one station again', async () => {
+  const main = stubUploader([SHOW_A]);
+  const other = stubUploader([SHOW_C], {}, 'other');
+  const daemon = new Daemon([main, other]);
+
+  const forgotten = daemon.enqueue(async () => {
+    main.calls.push('forget');
+    return 'done';
+  });
+  await daemon.tick();
+  assert.strictEqual(await forgotten, 'done');
+  assert.deepStrictEqual(main.calls, ['forget', `poll ${SHOW_A.rssUrl}`]);
+
+  assert.strictEqual(daemon.requestRun('other'), 1);
+  await daemon.tick();
+  assert.deepStrictEqual(main.calls, ['forget', `poll ${SHOW_A.rssUrl}`]);
+  assert.deepStrictEqual(other.calls, [`poll ${SHOW_C.rssUrl}`, `poll ${SHOW_C.rssUrl}`]);
+
+  daemon.stopping = true;
+  await assert.rejects(daemon.enqueue(async () => {}), /shutting down/);
+});
+
+test('cleanup runs once per cleanup window', async () => {
+  const uploader = stubUploader([SHOW_A], { cleanupWindow: `${clock(-1)}-${clock(5)}` });
+  const daemon = new Daemon([uploader]);
+
+  await daemon.tick();
+  await daemon.tick();
+  assert.deepStrictEqual(uploader.calls.filter(call => !call.startsWith('poll')), ['orphans', 'limits', 'summary']);
+  assert.strictEqual(daemon.lastCleanupDay, daemon.cleanupWindow.windowDay(new Date()));
+
+  // The next day's window runs it again
+  daemon.lastCleanupDay = '2000-01-01';
+  await daemon.tick();
+  assert.deepStrictEqual(uploader.calls.filter(call => call === 'orphans'), ['orphans', 'orphans']);
+
+  const outside = stubUploader([SHOW_A], { cleanupWindow: `${clock(10)}-${clock(20)}` });
+  await new Daemon([outside]).tick();
+  assert.deepStrictEqual(outside.calls, [`poll ${SHOW_A.rssUrl}`]);
+});
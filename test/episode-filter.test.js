@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EpisodeFilter } = require('../lib/episode-filter');
+
+const EPISODE = {
+  title: 'Episode 42: Ledgers & Lies',
+  description: '<p>We talk <b>mining</b> and <a href="https://example.com">fees</a>.</p>',
+  durationSeconds: 45 * 60,
+  episodeType: 'full',
+  explicit: false,
+  season: 2
+};
+
+// Why `rules` skip `episode` (EPISODE with `fields` changed), or null
+function reason(rules, fields = {}, showMetadata) {
+  return new EpisodeFilter(rules).reasonToSkip({ ...EPISODE, ...fields }, showMetadata);
+}
+
+test('no rules keep every episode', () => {
+  assert.strictEqual(reason({}), null);
+  assert.strictEqual(reason(undefined, { title: '', description: null, durationSeconds: null, season: null }), null);
+});
+
+test('title patterns are case-insensitive', () => {
+  assert.strictEqual(reason({ includeTitle: '^episode \\d+' }), null);
+  assert.strictEqual(reason({ includeTitle: '^episode \\d+' }, { title: 'Bonus: Listener Q&A' }),
+    'title does not match includeTitle /^episode \\d+/');
+  assert.strictEqual(reason({ excludeTitle: 'bonus|trailer' }, { title: 'BONUS: Listener Q&A' }),
+    'title matches excludeTitle /bonus|trailer/');
+  assert.strictEqual(reason({ excludeTitle: 'bonus|trailer' }), null);
+});
+
+test('description patterns match the text without its HTML', () => {
+  assert.strictEqual(reason({ includeDescription: 'mining and fees' }), null);
+  assert.strictEqual(reason({ includeDescription: 'halving' }), 'description does not match includeDescription /halving/');
+  assert.strictEqual(reason({ excludeDescription: 'MINING' }), 'description matches excludeDescription /MINING/');
+  // Attributes are not part of the text
+  assert.strictEqual(reason({ excludeDescription: 'example\\.com' }), null);
+  assert.strictEqual(reason({ includeDescription: '.' }, { description: undefined }),
+    'description does not match includeDescription /./');
+});
+
+test('durations outside minDuration and maxDuration are skipped, unknown ones kept', () => {
+  assert.strictEqual(reason({ minDuration: '5m', maxDuration: '1h' }), null);
+  assert.strictEqual(reason({ minDuration: '5m' }, { durationSeconds: 90 }), 'duration 1m30s is shorter than minDuration 5m');
+  assert.strictEqual(reason({ maxDuration: 60 }, { durationSeconds: 2 * 3600 + 5 }), 'duration 2h5s is longer than maxDuration 1h');
+  // The limits themselves are allowed
+  assert.strictEqual(reason({ minDuration: '45m', maxDuration: '45m' }), null);
+  assert.strictEqual(reason({ minDuration: '5m' }, { durationSeconds: null }), null);
+  assert.strictEqual(reason({ maxDuration: '5m' }, { durationSeconds: undefined }), null);
+});
+
+test('skipped episode types', () => {
+  const rules = { skipEpisodeTypes: ['trailer', 'bonus'] };
+  assert.strictEqual(reason(rules, { episodeType: 'trailer' }), 'episode type is "trailer"');
+  assert.strictEqual(reason(rules, { episodeType: 'bonus' }), 'episode type is "bonus"');
+  assert.strictEqual(reason(rules), null);
+  assert.strictEqual(reason(rules, { episodeType: null }), null);
+});
+
+test('explicit episodes, inheriting the show setting when they have none', () => {
+  const rules = { skipExplicit: true };
+  assert.strictEqual(reason(rules, { explicit: true }), 'episode is marked explicit');
+  assert.strictEqual(reason(rules, { explicit: null }, { explicit: true }), 'episode is marked explicit');
+  // The episode's own setting wins
+  assert.strictEqual(reason(rules, { explicit: false }, { explicit: true }), null);
+  assert.strictEqual(reason(rules, { explicit: null }), null);
+  assert.strictEqual(reason({}, { explicit: true }), null);
+});
+
+test('seasons, where an episode without one is skipped', () => {
+  const rules = { seasons: [1, 2] };
+  assert.strictEqual(reason(rules), null);
+  assert.strictEqual(reason(rules, { season: 3 }), 'season 3 is not one of 1, 2');
+  assert.strictEqual(reason(rules, { season: null }), 'no season given, only seasons 1, 2 are uploaded');
+});
+
+test('the first rule that fails is given', () => {
+  const rules = { excludeTitle: 'lies', minDuration: '1h', skipEpisodeTypes: ['full'], seasons: [1] };
+  assert.strictEqual(reason(rules), 'title matches excludeTitle /lies/');
+  assert.strictEqual(reason({ ...rules, excludeTitle: undefined }), 'duration 45m is shorter than minDuration 1h');
+  assert.strictEqual(reason({ ...rules, excludeTitle: undefined, minDuration: undefined }), 'episode type is "full"');
+});
+
+test('invalid rules are rejected when the filter is built', () => {
+  assert.throws(() => new EpisodeFilter({ excludeTitle: '(unclosed' }), /Invalid excludeTitle pattern "\(unclosed"/);
+  assert.throws(() => new EpisodeFilter({ minDuration: 'short' }), /Invalid duration/);
+});
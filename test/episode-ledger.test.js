@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const { rmSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const { EpisodeLedger, STATUS } = require('../lib/episode-ledger');
+
+// Temporary directories, removed when the test process exits; Node 16 runs no file-level after hooks
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => rmSync(dir, { recursive: true, force: true })));
+
+const V1_FIXTURE = path.join(__dirname, 'fixtures', 'ledger', 'processed-episodes-v1.json');
+
+// A copy of the version 1 ledger fixture in a temporary directory
+async function v1Ledger() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'podcast-uploader-ledger-'));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, 'processed-episodes.json');
+  await fs.copyFile(V1_FIXTURE, filePath);
+  return filePath;
+}
+
+test('a version 1 ledger is migrated, with the old file kept as .v1.bak', async () => {
+  const filePath = await v1Ledger();
+  const original = await fs.readFile(V1_FIXTURE, 'utf8');
+
+  const ledger = new EpisodeLedger(filePath);
+  assert.strictEqual(await ledger.load(), true);
+  assert.strictEqual(ledger.migratedFrom, 1);
+  assert.strictEqual(ledger.size, 3);
+  assert.deepStrictEqual(ledger.get('radioclub-2024-09-14'), {
+    guid: 'radioclub-2024-09-14',
+    rssUrl: null,
+    fileId: null,
+    status: STATUS.UPLOADED,
+    legacy: true
+  });
+
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(`${filePath}.v1.bak`, 'utf8')), JSON.parse(original));
+  const migrated = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  assert.strictEqual(migrated.version, 2);
+  assert.deepStrictEqual(migrated.episodes.map(entry => entry.guid), JSON.parse(original));
+
+  // The migrated file loads as it is
+  const reloaded = new EpisodeLedger(filePath);
+  await reloaded.load();
+  assert.strictEqual(reloaded.migratedFrom, null);
+  assert.strictEqual(reloaded.size, 3);
+  assert.strictEqual(reloaded.get('8c1f6b2e-93d4-4a55-b6f1-0e2d3c4b5a69').legacy, true);
+});
+
+test('a dry run migrates in memory and writes nothing', async () => {
+  const filePath = await v1Ledger();
+
+  const ledger = new EpisodeLedger(filePath);
+  await ledger.load({ dryRun: true });
+  assert.strictEqual(ledger.migratedFrom, 1);
+  assert.strictEqual(ledger.size, 3);
+
+  assert.strictEqual(await fs.readFile(filePath, 'utf8'), await fs.readFile(V1_FIXTURE, 'utf8'));
+  assert.deepStrictEqual(await fs.readdir(path.dirname(filePath)), ['processed-episodes.json']);
+});
+
+test('a missing ledger starts empty and an unknown format is rejected', async () => {
+  const filePath = await v1Ledger();
+
+  const missing = new EpisodeLedger(`${filePath}.missing`);
+  assert.strictEqual(await missing.load(), false);
+  assert.strictEqual(missing.size, 0);
+
+  await fs.writeFile(filePath, JSON.stringify({ version: 3, episodes: [] }));
+  await assert.rejects(new EpisodeLedger(filePath).load(), /Unsupported episode ledger format/);
+});
+
+test('findByHash only returns audio that is still on air', () => {
+  const ledger = new EpisodeLedger('unused.json');
+  ledger.record('retired', { fileId: 1, fileHash: 'a', status: STATUS.RETIRED });
+  ledger.record('pending', { fileId: 2, fileHash: 'a', status: STATUS.UPLOADED, pending: true });
+  assert.strictEqual(ledger.findByHash('a'), null);
+
+  ledger.record('playing', { fileId: 3, fileHash: 'a', status: STATUS.IN_PLAYLIST });
+  assert.strictEqual(ledger.findByHash('a').guid, 'playing');
+  assert.strictEqual(ledger.findByHash('b'), null);
+});
@@ -0,0 +1,246 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseFeed,
+  parseRSSFeed,
+  parseDate,
+  parseItunesDuration,
+  detectFeedFormat
+} = require('../lib/feed-parser');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+}
+
+test('Castos: entities and CDATA in show and episode text', () => {
+  const { showMetadata, episodes } = parseRSSFeed(fixture('castos.xml'));
+
+  // The show title comes from <channel>, not from <image><title> or an item
+  assert.strictEqual(showMetadata.title, 'Sats & Stories');
+  assert.strictEqual(showMetadata.description, 'Conversations about money, <em>history</em> & the people who build it.');
+  assert.strictEqual(showMetadata.author, 'Jane Doe');
+  assert.strictEqual(showMetadata.image, 'https://episodes.castos.com/satsandstories/images/cover-3000.jpg');
+  assert.strictEqual(showMetadata.explicit, false);
+
+  assert.strictEqual(episodes.length, 2);
+  const [latest, bonus] = episodes;
+  assert.strictEqual(latest.title, 'Episode 42: Ledgers & Lies');
+  // CDATA is HTML and stays as written, entities included
+  assert.strictEqual(latest.description, '<p>How double-entry bookkeeping changed trade &mdash; and what it can\'t fix.</p>');
+  assert.strictEqual(latest.guid, 'https://satsandstories.castos.com/podcasts/48213/episodes/ledgers-and-lies');
+  assert.strictEqual(latest.enclosureUrl, 'https://episodes.castos.com/satsandstories/1f9a3b-ep42-ledgers-and-lies.mp3');
+  assert.strictEqual(latest.enclosureLength, 48753920);
+  assert.strictEqual(latest.pubDate.toISOString(), '2024-10-15T09:00:00.000Z');
+  assert.strictEqual(latest.durationSeconds, 3046);
+  assert.deepStrictEqual(
+    { episodeType: latest.episodeType, explicit: latest.explicit, season: latest.season, episodeNumber: latest.episodeNumber },
+    { episodeType: 'full', explicit: false, season: 3, episodeNumber: 42 }
+  );
+  assert.strictEqual(latest.image, 'https://episodes.castos.com/satsandstories/images/ep42.jpg');
+
+  assert.strictEqual(bonus.title, 'Bonus: Listener Q&A');
+  assert.strictEqual(bonus.durationSeconds, 1502);
+  assert.strictEqual(bonus.episodeType, 'bonus');
+  assert.strictEqual(bonus.explicit, true);
+  // An item without artwork does not inherit the previous item's
+  assert.strictEqual(bonus.image, '');
+});
+
+test('Anchor: single-line feed with CDATA titles and episodes without audio', () => {
+  const { showMetadata, episodes } = parseRSSFeed(fixture('anchor.xml'));
+
+  assert.strictEqual(showMetadata.title, 'Good Morning Bitcoin');
+  assert.strictEqual(showMetadata.explicit, false);
+
+  // The trailer has no enclosure
+  assert.deepStrictEqual(episodes.map(episode => episode.title), ['Halving Week: What Miners Are Saying', 'ETF Flows, Explained']);
+  const [halving, etf] = episodes;
+  assert.strictEqual(halving.guid, '8c1f6b2e-93d4-4a55-b6f1-0e2d3c4b5a69');
+  assert.match(halving.description, /^<p>Fees, hashrate &amp; the view from Texas\.<\/p>/);
+  assert.strictEqual(halving.pubDate.toISOString(), '2024-10-14T10:00:00.000Z');
+  assert.strictEqual(halving.durationSeconds, 323);
+  assert.strictEqual(halving.enclosureLength, 5183491);
+  assert.match(halving.enclosureUrl, /^https:\/\/anchor\.fm\/s\/1a2b3c4d\/podcast\/play\/91234567\/.+\.mp3$/);
+  assert.match(halving.image, /halving\.jpg$/);
+
+  assert.match(etf.enclosureUrl, /\.m4a$/);
+  assert.strictEqual(etf.durationSeconds, 298);
+  assert.strictEqual(etf.image, '');
+});
+
+test('Fountain: audio enclosure picked over video, media:group and podcast namespace', () => {
+  const { showMetadata, episodes } = parseRSSFeed(fixture('fountain.xml'));
+
+  assert.strictEqual(showMetadata.title, 'Lightning Lounge');
+  assert.strictEqual(showMetadata.author, 'Sam Satoshi');
+  assert.strictEqual(showMetadata.image, 'https://feeds.fountain.fm/AbCdEfGh12345/cover.png');
+  assert.strictEqual(showMetadata.explicit, true);
+
+  const [channels, live] = episodes;
+  assert.strictEqual(channels.description, '<p>Opening, closing &amp; rebalancing channels.</p>');
+  assert.strictEqual(channels.guid, 'https://fountain.fm/episode/Xy12Zw34');
+  assert.strictEqual(channels.enclosureUrl, 'https://media.fountain.fm/episodes/Xy12Zw34/audio.mp3');
+  assert.strictEqual(channels.enclosureLength, 23456789);
+  assert.strictEqual(channels.durationSeconds, 48 * 60 + 51);
+  assert.strictEqual(channels.season, 2);
+  assert.strictEqual(channels.episodeNumber, 17);
+  assert.strictEqual(channels.image, 'https://media.fountain.fm/episodes/Xy12Zw34/art.png');
+
+  // Images in a media:group are not the episode audio
+  assert.strictEqual(live.enclosureUrl, 'https://media.fountain.fm/episodes/Qr56St78/audio.m4a');
+  assert.strictEqual(live.enclosureLength, 30500000);
+  assert.strictEqual(live.durationSeconds, 3725);
+});
+
+test('Podhome: namespaces bound to other prefixes and URIs', () => {
+  const { showMetadata, episodes } = parseRSSFeed(fixture('podhome.xml'));
+
+  assert.strictEqual(showMetadata.title, 'The Node Runner’s Hour');
+  assert.strictEqual(showMetadata.author, 'Node Runners Collective');
+  assert.strictEqual(showMetadata.image, 'https://assets.podhome.fm/1f2e3d4c/cover.jpg');
+  assert.strictEqual(showMetadata.explicit, false);
+
+  const [pruned, backups] = episodes;
+  // <title> wins over <itunes:title>, wherever it is in the item
+  assert.strictEqual(pruned.title, 'Ep. 8 – Pruned vs. Archival Nodes');
+  assert.strictEqual(pruned.description, '<p>Disk space, <b>initial block download</b> and when to prune.</p>');
+  assert.strictEqual(pruned.pubDate.toISOString(), '2024-10-13T12:00:00.000Z');
+  assert.strictEqual(pruned.enclosureUrl, 'https://cdn.podhome.fm/1f2e3d4c/ep8.mp3?source=feed');
+  assert.strictEqual(pruned.durationSeconds, 3827);
+  assert.strictEqual(pruned.season, 1);
+  assert.strictEqual(pruned.episodeNumber, 8);
+
+  assert.strictEqual(backups.description, 'Seed phrases, <i>multisig</i> and the drawer test.');
+  assert.strictEqual(backups.durationSeconds, 57 * 60 + 2);
+  assert.strictEqual(backups.image, '');
+});
+
+test('malformed hand-written feeds still parse', () => {
+  const { showMetadata, episodes } = parseRSSFeed(fixture('hand-rolled.xml'));
+
+  // Bare ampersands, an undeclared itunes prefix and a feed cut off mid-item
+  assert.strictEqual(showMetadata.title, 'Radio Club Hour & Friends');
+  assert.strictEqual(showMetadata.author, 'Radio Club');
+  assert.deepStrictEqual(episodes.map(episode => episode.title), [
+    'Berlin Meetup', 'Sydney Call-in', 'New York Special', 'Lost Episode', 'Cut Off Mid-Upload'
+  ]);
+
+  const [berlin, sydney, newYork, lost, cutOff] = episodes;
+  assert.strictEqual(berlin.enclosureUrl, 'https://radioclub.example.org/audio/berlin.mp3?a=1&b=2');
+  // Named timezones Date.parse() does not know
+  assert.strictEqual(berlin.pubDate.toISOString(), '2024-10-12T18:00:00.000Z');
+  assert.strictEqual(sydney.pubDate.toISOString(), '2024-10-05T09:00:00.000Z');
+  assert.strictEqual(newYork.pubDate.toISOString(), '2024-09-28T23:00:00.000Z');
+
+  assert.strictEqual(berlin.durationSeconds, 3900);
+  assert.strictEqual(sydney.durationSeconds, 2700);
+  assert.strictEqual(newYork.duration, 'sometime');
+  assert.strictEqual(newYork.durationSeconds, null);
+
+  // Without a guid the episode is identified by title and enclosure; unreadable dates sort as oldest
+  assert.match(lost.guid, /^[0-9a-f]{32}$/);
+  assert.strictEqual(lost.guid, parseRSSFeed(fixture('hand-rolled.xml')).episodes[3].guid);
+  assert.strictEqual(lost.pubDate.getTime(), 0);
+  assert.strictEqual(cutOff.guid, 'radioclub-2024-09-14');
+});
+
+test('RSS without a channel is rejected', () => {
+  assert.throws(() => parseRSSFeed('<html><body>Not found</body></html>'), /no <channel> element/);
+});
+
+test('Atom: enclosure links, media:content fallback and entries without audio', () => {
+  const content = fixture('atom.xml');
+  assert.strictEqual(detectFeedFormat(content), 'atom');
+  const { showMetadata, episodes } = parseFeed(content);
+
+  assert.deepStrictEqual(showMetadata, {
+    title: 'Field Recordings',
+    description: 'Sounds from places worth hearing',
+    author: 'Alex Example',
+    image: 'https://fieldrecordings.example.net/logo.png',
+    explicit: null
+  });
+
+  assert.strictEqual(episodes.length, 2);
+  const [harbour, train] = episodes;
+  assert.strictEqual(harbour.guid, 'tag:fieldrecordings.example.net,2024:harbour');
+  assert.strictEqual(harbour.description, '<p>Gulls &amp; engines.</p>');
+  assert.strictEqual(harbour.pubDate.toISOString(), '2024-10-10T03:30:00.000Z');
+  // The audio enclosure, not the image one listed first
+  assert.strictEqual(harbour.enclosureUrl, 'https://fieldrecordings.example.net/harbour.ogg');
+  assert.strictEqual(harbour.enclosureLength, 7340032);
+  assert.strictEqual(harbour.durationSeconds, 750);
+  assert.strictEqual(harbour.image, 'https://fieldrecordings.example.net/harbour.jpg');
+
+  assert.strictEqual(train.enclosureUrl, 'https://fieldrecordings.example.net/night-train.mp3');
+  assert.strictEqual(train.enclosureLength, 9000000);
+  assert.strictEqual(train.durationSeconds, 1230);
+  assert.strictEqual(train.pubDate.toISOString(), '2024-09-30T22:00:00.000Z');
+});
+
+test('JSON Feed: audio attachments, numeric ids and items without audio', () => {
+  const content = fixture('json-feed.json');
+  assert.strictEqual(detectFeedFormat(content), 'json');
+  const { showMetadata, episodes } = parseFeed(content);
+
+  assert.strictEqual(showMetadata.title, 'Morning Markets');
+  assert.strictEqual(showMetadata.author, 'Pat Example, Sam Example');
+  assert.strictEqual(showMetadata.image, 'https://markets.example.com/icon.png');
+
+  assert.strictEqual(episodes.length, 2);
+  const [monday, friday] = episodes;
+  assert.strictEqual(monday.enclosureUrl, 'https://markets.example.com/2024-10-14.mp3');
+  assert.strictEqual(monday.enclosureLength, 6543210);
+  assert.strictEqual(monday.durationSeconds, 615);
+  assert.strictEqual(monday.pubDate.toISOString(), '2024-10-14T11:00:00.000Z');
+  assert.strictEqual(monday.image, 'https://markets.example.com/2024-10-14.jpg');
+
+  assert.strictEqual(friday.guid, '20241011');
+  assert.strictEqual(friday.description, 'Week in review.');
+  assert.strictEqual(friday.pubDate.toISOString(), '2024-10-11T17:00:00.000Z');
+  assert.strictEqual(friday.durationSeconds, null);
+
+  assert.throws(() => parseFeed('{"title": "no items"}'), /no items array/);
+  assert.throws(() => parseFeed('{', 'json'), /Invalid JSON Feed/);
+});
+
+test('format detection and overrides', () => {
+  assert.strictEqual(detectFeedFormat(fixture('castos.xml')), 'rss');
+  assert.strictEqual(detectFeedFormat('\uFEFF<?xml version="1.0"?>\n<!-- mirror -->\n<atom:feed xmlns:atom="http://www.w3.org/2005/Atom"/>'), 'atom');
+  assert.strictEqual(parseFeed(fixture('anchor.xml'), 'rss').showMetadata.title, 'Good Morning Bitcoin');
+  assert.throws(() => parseFeed('<rss/>', 'yaml'), /Unknown feed format "yaml"/);
+});
+
+test('itunes:duration forms', () => {
+  const cases = {
+    '3600': 3600,
+    '3600.5': 3601,
+    '45:07': 2707,
+    '1:02:03': 3723,
+    '01:02:03.4': 3723,
+    '1h 5m': 3900,
+    '1 hour, 30 minutes': 5400,
+    '90 secs': 90,
+    '45 min': 2700,
+    '': null,
+    'about an hour': null,
+    '1h and change': null
+  };
+  for (const [value, seconds] of Object.entries(cases)) {
+    assert.strictEqual(parseItunesDuration(value), seconds, JSON.stringify(value));
+  }
+  assert.strictEqual(parseItunesDuration(undefined), null);
+});
+
+test('dates with named and numeric timezones', () => {
+  assert.strictEqual(parseDate('Tue, 15 Oct 2024 09:00:00 GMT').toISOString(), '2024-10-15T09:00:00.000Z');
+  assert.strictEqual(parseDate('Tue, 15 Oct 2024 09:00:00 EDT').toISOString(), '2024-10-15T13:00:00.000Z');
+  assert.strictEqual(parseDate('Tue, 15 Oct 2024 09:00:00 CEST').toISOString(), '2024-10-15T07:00:00.000Z');
+  assert.strictEqual(parseDate('Tue, 15 Oct 2024 09:00:00 JST').toISOString(), '2024-10-15T00:00:00.000Z');
+  assert.strictEqual(parseDate('2024-10-15T09:00:00+05:30').toISOString(), '2024-10-15T03:30:00.000Z');
+  // Unknown zone names are read as UTC rather than dropping the date
+  assert.strictEqual(parseDate('Tue, 15 Oct 2024 09:00:00 XYZT').toISOString(), '2024-10-15T09:00:00.000Z');
+  assert.strictEqual(parseDate('yesterday').getTime(), 0);
+});
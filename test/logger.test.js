@@ -0,0 +1,134 @@
+// Rotated files are stamped in local time; every date below is Berlin time
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const { rmSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('../lib/logger');
+
+// Temporary directories, removed when the test process exits; Node 16 runs no file-level after hooks
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => rmSync(dir, { recursive: true, force: true })));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A logger writing uploader.log in a new temporary directory, quiet on the console
+async function fileLogger(options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'podcast-uploader-logs-'));
+  tempDirs.push(dir);
+  const logger = new Logger({ file: path.join(dir, 'uploader.log'), format: 'text', consoleLevel: 'ERROR', ...options });
+  return { dir, logger };
+}
+
+function entry(message, time = new Date()) {
+  return { time, level: 'INFO', runId: 'run', message };
+}
+
+// `name` in `dir` with `contents`, last written at `time`
+async function writeFile(dir, name, time, contents = 'old\n') {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, contents);
+  await fs.utimes(filePath, time, time);
+  return filePath;
+}
+
+async function listDir(dir) {
+  return (await fs.readdir(dir)).sort();
+}
+
+test('the log file is rotated once the next line would take it past maxSizeMB', async () => {
+  // Room for two 50-byte lines
+  const { dir, logger } = await fileLogger({ maxSizeMB: 120 / (1024 * 1024) });
+  const time = new Date('2026-10-19T03:15:00+02:00');
+  const line = (number) => `${number} ${'x'.repeat(15)}`;
+
+  for (let number = 1; number <= 5; number++) await logger.write(entry(line(number), time));
+  assert.strictEqual(Buffer.byteLength(`${time.toISOString()} [INFO] ${line(1)}\n`), 50);
+
+  const names = await listDir(dir);
+  assert.strictEqual(names.length, 3);
+  assert.ok(names.slice(0, 2).every(name => /^uploader\.\d{4}-\d{2}-\d{2}_\d{6}(-2)?\.log$/.test(name)), names.join(', '));
+  assert.strictEqual(names[2], 'uploader.log');
+
+  // Two lines to a file, none lost
+  const numbers = async (name) => (await fs.readFile(path.join(dir, name), 'utf8')).trim().split('\n').map(text => text.split(' ')[2]);
+  const rotated = [await numbers(names[0]), await numbers(names[1])].sort();
+  assert.deepStrictEqual(rotated, [['1', '2'], ['3', '4']]);
+  assert.deepStrictEqual(await numbers('uploader.log'), ['5']);
+});
+
+test('a rotated file is named after its last write, numbered when the name is taken', async () => {
+  const { dir, logger } = await fileLogger({ maxSizeMB: 1 / 1024 });
+  const lastWrite = new Date('2026-10-18T03:15:09+02:00');
+  await writeFile(dir, 'uploader.log', lastWrite, 'x'.repeat(1024));
+  await writeFile(dir, 'uploader.2026-10-18_031509.log', lastWrite);
+
+  await logger.write(entry('after'));
+  assert.deepStrictEqual(await listDir(dir), ['uploader.2026-10-18_031509-2.log', 'uploader.2026-10-18_031509.log', 'uploader.log']);
+  assert.strictEqual((await fs.readFile(path.join(dir, 'uploader.2026-10-18_031509-2.log'), 'utf8')).length, 1024);
+
+  // maxSizeMB 0 never rotates
+  const { dir: unlimited, logger: unlimitedLogger } = await fileLogger({ maxSizeMB: 0 });
+  await writeFile(unlimited, 'uploader.log', lastWrite, 'x'.repeat(64 * 1024));
+  await unlimitedLogger.write(entry('after'));
+  assert.deepStrictEqual(await listDir(unlimited), ['uploader.log']);
+});
+
+test('rotateDaily starts a new file on the first write of a day', async () => {
+  const { dir, logger } = await fileLogger({ rotateDaily: true });
+  await writeFile(dir, 'uploader.log', new Date('2026-10-18T23:59:30+02:00'));
+
+  await logger.write(entry('late', new Date('2026-10-18T23:59:59+02:00')));
+  assert.deepStrictEqual(await listDir(dir), ['uploader.log']);
+
+  await logger.write(entry('early', new Date('2026-10-19T00:00:01+02:00')));
+  await logger.write(entry('later', new Date('2026-10-19T09:00:00+02:00')));
+  const names = await listDir(dir);
+  assert.strictEqual(names.length, 2);
+  assert.match(names[0], /^uploader\.\d{4}-\d{2}-\d{2}_\d{6}\.log$/);
+  assert.match(await fs.readFile(path.join(dir, names[0]), 'utf8'), /^old\n.* late\n$/);
+  assert.match(await fs.readFile(path.join(dir, 'uploader.log'), 'utf8'), /^.* early\n.* later\n$/);
+
+  // Without rotateDaily the old day's file is written on
+  const { dir: single, logger: singleLogger } = await fileLogger();
+  await writeFile(single, 'uploader.log', new Date('2026-10-17T12:00:00+02:00'));
+  await singleLogger.write(entry('today'));
+  assert.deepStrictEqual(await listDir(single), ['uploader.log']);
+});
+
+test('rotation keeps the newest maxFiles rotated files and leaves other files alone', async () => {
+  const { dir, logger } = await fileLogger({ maxSizeMB: 1 / 1024, maxFiles: 2 });
+  const now = Date.now();
+  await writeFile(dir, 'uploader.2026-10-15_120000.log', new Date(now - 4 * DAY));
+  await writeFile(dir, 'uploader.2026-10-16_120000.log', new Date(now - 3 * DAY));
+  await writeFile(dir, 'uploader.2026-10-17_120000-2.log', new Date(now - 2 * DAY));
+  const others = ['notes.txt', 'other.2026-10-01_120000.log', 'uploader.2026-10-01.log', 'uploader.log.bak'];
+  for (const name of others) await writeFile(dir, name, new Date(now - 30 * DAY));
+  await writeFile(dir, 'uploader.log', new Date(now - DAY), 'x'.repeat(1024));
+
+  await logger.write(entry('new file'));
+  const names = await listDir(dir);
+  const rotated = names.filter(name => !others.includes(name) && name !== 'uploader.log');
+  assert.strictEqual(rotated.length, 2);
+  assert.ok(rotated.includes('uploader.2026-10-17_120000-2.log'), rotated.join(', '));
+  assert.ok(!rotated.some(name => name.startsWith('uploader.2026-10-15') || name.startsWith('uploader.2026-10-16')));
+  assert.ok(others.every(name => names.includes(name)));
+});
+
+test('rotation deletes rotated files older than retention', async () => {
+  const { dir, logger } = await fileLogger({ maxSizeMB: 1 / 1024, retention: '7d' });
+  const now = Date.now();
+  await writeFile(dir, 'uploader.2026-10-01_120000.log', new Date(now - 10 * DAY));
+  await writeFile(dir, 'uploader.2026-10-08_120000.log', new Date(now - 8 * DAY));
+  await writeFile(dir, 'uploader.2026-10-15_120000.log', new Date(now - 3 * DAY));
+  await writeFile(dir, 'uploader.log', new Date(now - DAY), 'x'.repeat(1024));
+
+  await logger.write(entry('new file'));
+  const names = await listDir(dir);
+  assert.strictEqual(names.length, 3);
+  assert.ok(names.includes('uploader.2026-10-15_120000.log'));
+  assert.ok(!names.includes('uploader.2026-10-01_120000.log') && !names.includes('uploader.2026-10-08_120000.log'));
+});
@@ -0,0 +1,293 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const { rmSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const { inspectMedia, MediaValidator, formatSeconds } = require('../lib/media');
+
+// Temporary directories, removed when the test process exits; Node 16 runs no file-level after hooks
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => rmSync(dir, { recursive: true, force: true })));
+
+// 128 kbps, 44.1 kHz MPEG-1 Layer III frames without padding are 417 bytes long
+const MP3_HEADER = [0xff, 0xfb, 0x90, 0x64];
+const MP3_FRAME_BYTES = 417;
+// Every MPEG-1 Layer III frame plays 1152 samples
+const MP3_FRAME_SECONDS = 1152 / 44100;
+
+function mp3Frames(count, firstFrame = null) {
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const frame = Buffer.alloc(MP3_FRAME_BYTES);
+    frame.set(MP3_HEADER);
+    if (i === 0 && firstFrame) firstFrame(frame);
+    frames.push(frame);
+  }
+  return Buffer.concat(frames);
+}
+
+// A 44.1 kHz MPEG-1 Layer III frame at one of 64, 128 or 192 kbps
+function mp3Frame(kbps) {
+  const { bitrateIndex, bytes } = { 64: { bitrateIndex: 5, bytes: 208 }, 128: { bitrateIndex: 9, bytes: 417 }, 192: { bitrateIndex: 11, bytes: 626 } }[kbps];
+  const frame = Buffer.alloc(bytes);
+  frame.set([0xff, 0xfb, bitrateIndex << 4, 0x64]);
+  return frame;
+}
+
+function id3(bodyBytes) {
+  const header = Buffer.from('ID3\x04\x00\x00\x00\x00\x00\x00', 'latin1');
+  // Synchsafe size: 7 bits per byte
+  header[8] = (bodyBytes >> 7) & 0x7f;
+  header[9] = bodyBytes & 0x7f;
+  return Buffer.concat([header, Buffer.alloc(bodyBytes)]);
+}
+
+function adtsFrames(count, length = 200) {
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const frame = Buffer.alloc(length);
+    frame.set([0xff, 0xf1, 0x50, 0x80 | ((length >> 11) & 0x03), (length >> 3) & 0xff, ((length & 0x07) << 5) | 0x1f, 0xfc]);
+    frames.push(frame);
+  }
+  return Buffer.concat(frames);
+}
+
+function box(type, ...contents) {
+  const body = Buffer.concat(contents);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function mvhd(timescale, duration) {
+  const body = Buffer.alloc(100);
+  body.writeUInt32BE(timescale, 12);
+  body.writeUInt32BE(duration, 16);
+  return box('mvhd', body);
+}
+
+function oggPage(granule, packet) {
+  const header = Buffer.alloc(28);
+  header.write('OggS', 0, 'latin1');
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header[26] = 1;
+  header[27] = packet.length;
+  return Buffer.concat([header, packet]);
+}
+
+function flac(sampleRate, totalSamples) {
+  const streamInfo = Buffer.alloc(34);
+  // Sample rate (20 bits), channels - 1 (3), bits per sample - 1 (5), total samples (36)
+  const packed = (BigInt(sampleRate) << 44n) | (1n << 41n) | (15n << 36n) | BigInt(totalSamples);
+  streamInfo.writeBigUInt64BE(packed, 10);
+  return Buffer.concat([Buffer.from('fLaC', 'latin1'), Buffer.from([0x80, 0, 0, 34]), streamInfo]);
+}
+
+async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'podcast-uploader-media-'));
+  tempDirs.push(dir);
+  let count = 0;
+  return async (contents) => {
+    const filePath = path.join(dir, `file-${++count}`);
+    await fs.writeFile(filePath, contents);
+    return filePath;
+  };
+}
+
+function assertSeconds(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 0.01, `${actual} seconds, expected ${expected}`);
+}
+
+test('CBR MP3: found after an ID3 tag, padding or leading zero bytes', async () => {
+  const write = await tempDir();
+  const frames = mp3Frames(100);
+  const estimate = 100 * MP3_FRAME_SECONDS;
+
+  const cases = {
+    'right at the start': frames,
+    'after an ID3 tag': Buffer.concat([id3(300), frames]),
+    'after an ID3 tag and three zero bytes': Buffer.concat([id3(300), Buffer.alloc(3), frames]),
+    'after two zero bytes': Buffer.concat([Buffer.alloc(2), frames]),
+    'after a stray frame header': Buffer.concat([Buffer.from(MP3_HEADER), Buffer.alloc(10, 0x55), frames])
+  };
+  for (const [name, contents] of Object.entries(cases)) {
+    const media = await inspectMedia(await write(contents));
+    assert.strictEqual(media.format, 'mp3', name);
+    assert.strictEqual(media.extension, '.mp3', name);
+    assert.strictEqual(media.mimeType, 'audio/mpeg', name);
+    assertSeconds(media.durationSeconds, estimate);
+    assert.strictEqual(media.durationEstimated, true, name);
+  }
+});
+
+test('VBR MP3: duration from the Xing and VBRI frame counts', async () => {
+  const write = await tempDir();
+
+  // MPEG-1 stereo: 32 bytes of side information after the header, then the Xing tag
+  const xing = mp3Frames(20, (frame) => {
+    frame.write('Xing', 36, 'latin1');
+    frame.writeUInt32BE(1, 40);
+    frame.writeUInt32BE(2500, 44);
+  });
+  const xingMedia = await inspectMedia(await write(Buffer.concat([id3(64), xing])));
+  assert.strictEqual(xingMedia.format, 'mp3');
+  assertSeconds(xingMedia.durationSeconds, 2500 * 1152 / 44100);
+  assert.strictEqual(xingMedia.durationEstimated, false);
+
+  const vbri = mp3Frames(20, (frame) => {
+    frame.write('VBRI', 36, 'latin1');
+    frame.writeUInt32BE(4000, 50);
+  });
+  const vbriMedia = await inspectMedia(await write(vbri));
+  assertSeconds(vbriMedia.durationSeconds, 4000 * 1152 / 44100);
+  assert.strictEqual(vbriMedia.durationEstimated, false);
+});
+
+test('VBR MP3 without a header: duration estimated from the average frame size', async () => {
+  const write = await tempDir();
+  // Alternating 64 and 192 kbps; the first frame's bitrate alone would make it twice as long
+  const frames = Buffer.concat(Array.from({ length: 100 }, (_, index) => mp3Frame(index % 2 ? 192 : 64)));
+  const media = await inspectMedia(await write(Buffer.concat([id3(300), frames])));
+  assert.strictEqual(media.format, 'mp3');
+  assertSeconds(media.durationSeconds, 100 * MP3_FRAME_SECONDS);
+  assert.strictEqual(media.durationEstimated, true);
+
+  // Past the frames read, the rest of the file counts at their rate, within 1% here
+  const long = Buffer.concat(Array.from({ length: 2000 }, (_, index) => mp3Frame(index % 2 ? 192 : 64)));
+  assert.ok(long.length > 2 * 64 * 1024);
+  const { durationSeconds } = await inspectMedia(await write(long));
+  assert.ok(Math.abs(durationSeconds / (2000 * MP3_FRAME_SECONDS) - 1) < 0.01, `${durationSeconds} seconds`);
+});
+
+test('AAC in ADTS frames, with or without an ID3 tag, with an estimated duration', async () => {
+  const write = await tempDir();
+  for (const contents of [adtsFrames(50), Buffer.concat([id3(100), Buffer.alloc(1), adtsFrames(50)])]) {
+    const media = await inspectMedia(await write(contents));
+    assert.strictEqual(media.format, 'aac');
+    assert.strictEqual(media.extension, '.aac');
+    // 1024 samples per frame at 44.1 kHz
+    assertSeconds(media.durationSeconds, 50 * 1024 / 44100);
+    assert.strictEqual(media.durationEstimated, true);
+  }
+});
+
+test('M4A: duration from mvhd, with moov before or after the audio', async () => {
+  const write = await tempDir();
+  const ftyp = box('ftyp', Buffer.from('M4A \x00\x00\x00\x00isomM4A ', 'latin1'));
+  const moov = box('moov', mvhd(44100, 44100 * 95));
+  const mdat = box('mdat', Buffer.alloc(5000));
+
+  for (const contents of [Buffer.concat([ftyp, moov, mdat]), Buffer.concat([ftyp, mdat, moov])]) {
+    const media = await inspectMedia(await write(contents));
+    assert.strictEqual(media.format, 'm4a');
+    assert.strictEqual(media.mimeType, 'audio/mp4');
+    assertSeconds(media.durationSeconds, 95);
+  }
+
+  const withoutMoov = await inspectMedia(await write(Buffer.concat([ftyp, mdat])));
+  assert.strictEqual(withoutMoov.format, 'm4a');
+  assert.strictEqual(withoutMoov.durationSeconds, null);
+});
+
+test('Ogg Opus and Vorbis: duration from the last page granule', async () => {
+  const write = await tempDir();
+
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0, 'latin1');
+  opusHead.writeUInt16LE(312, 10);
+  const opus = Buffer.concat([oggPage(0, opusHead), oggPage(48000 * 30, Buffer.alloc(200)), oggPage(48000 * 61 + 312, Buffer.alloc(200))]);
+  const opusMedia = await inspectMedia(await write(opus));
+  assert.strictEqual(opusMedia.format, 'opus');
+  assert.strictEqual(opusMedia.extension, '.opus');
+  assertSeconds(opusMedia.durationSeconds, 61);
+
+  const vorbisId = Buffer.alloc(30);
+  vorbisId.write('\x01vorbis', 0, 'latin1');
+  vorbisId.writeUInt32LE(22050, 12);
+  const vorbis = Buffer.concat([oggPage(0, vorbisId), oggPage(22050 * 42, Buffer.alloc(100))]);
+  const vorbisMedia = await inspectMedia(await write(vorbis));
+  assert.strictEqual(vorbisMedia.format, 'ogg');
+  assertSeconds(vorbisMedia.durationSeconds, 42);
+
+  // Ogg carrying something else, e.g. video
+  const theora = await inspectMedia(await write(oggPage(0, Buffer.from('\x80theora', 'latin1'))));
+  assert.strictEqual(theora.format, null);
+});
+
+test('FLAC: duration from STREAMINFO', async () => {
+  const write = await tempDir();
+  const media = await inspectMedia(await write(Buffer.concat([flac(44100, 44100 * 125), Buffer.alloc(1000)])));
+  assert.strictEqual(media.format, 'flac');
+  assert.strictEqual(media.mimeType, 'audio/flac');
+  assertSeconds(media.durationSeconds, 125);
+});
+
+test('anything else is not audio, and says what it starts with', async () => {
+  const write = await tempDir();
+
+  const html = await inspectMedia(await write('<!DOCTYPE html>\n<html><body>Episode not found</body></html>'));
+  assert.strictEqual(html.format, null);
+  assert.strictEqual(html.head, '<!DOCTYPE html>.');
+
+  const empty = await inspectMedia(await write(Buffer.alloc(0)));
+  assert.strictEqual(empty.format, null);
+
+  // A lone frame header in the middle of noise is not an MP3
+  const noise = Buffer.alloc(4000, 0x20);
+  noise.set(MP3_HEADER, 100);
+  assert.strictEqual((await inspectMedia(await write(noise))).format, null);
+});
+
+test('MediaValidator rejects what the server or the feed contradicts', () => {
+  const validator = new MediaValidator();
+  const mp3 = { format: 'mp3', name: 'MP3', durationSeconds: 600, durationEstimated: false };
+  const episode = { enclosureLength: 10000000, durationSeconds: 600 };
+  const download = { contentType: 'audio/mpeg' };
+
+  assert.strictEqual(validator.reasonToReject(mp3, 10000000, download, episode), null);
+  assert.match(validator.reasonToReject(mp3, 10000000, { contentType: 'text/html; charset=utf-8' }, episode), /sent text\/html instead of audio/);
+  assert.match(validator.reasonToReject({ format: null, head: '<!DOCTYPE html>' }, 500, { contentType: 'application/octet-stream' }, episode), /not MP3, AAC, M4A, Ogg, Opus or FLAC audio \(it starts with "<!DOCTYPE html>"\)/);
+
+  // Size: more than 50% off, unless the declared length is a placeholder
+  assert.strictEqual(validator.reasonToReject(mp3, 6000000, download, episode), null);
+  assert.match(validator.reasonToReject(mp3, 4000000, download, episode), /4000000 bytes downloaded, but the feed says 10000000/);
+  assert.strictEqual(validator.reasonToReject(mp3, 4000000, download, { ...episode, enclosureLength: 1024 }), null);
+
+  // Duration: more than 10% off, estimated or not
+  assert.strictEqual(validator.reasonToReject({ ...mp3, durationSeconds: 560 }, 10000000, download, episode), null);
+  assert.match(validator.reasonToReject({ ...mp3, durationSeconds: 300 }, 10000000, download, episode), /plays 5:00, but the feed says 10:00/);
+  assert.match(validator.reasonToReject({ ...mp3, durationSeconds: 300, durationEstimated: true }, 10000000, download, episode),
+    /plays about 5:00 \(estimated from its size\), but the feed says 10:00/);
+  assert.strictEqual(validator.reasonToReject({ ...mp3, durationSeconds: null }, 10000000, download, episode), null);
+});
+
+test('MediaValidator says when a duration could not be checked', () => {
+  const validator = new MediaValidator();
+  const episode = { enclosureLength: 10000000, durationSeconds: 600 };
+  const m4a = { format: 'm4a', name: 'M4A', durationSeconds: null, durationEstimated: false };
+
+  assert.strictEqual(validator.durationNotChecked(m4a, episode), 'the M4A file does not say how long it plays');
+  assert.strictEqual(validator.durationNotChecked({ ...m4a, durationSeconds: 598 }, episode), null);
+  // Nothing to compare with, or the check is off
+  assert.strictEqual(validator.durationNotChecked(m4a, { ...episode, durationSeconds: null }), null);
+  assert.strictEqual(new MediaValidator({ durationTolerance: 0 }).durationNotChecked(m4a, episode), null);
+  assert.strictEqual(new MediaValidator({ enabled: false }).durationNotChecked(m4a, episode), null);
+});
+
+test('MediaValidator tolerances and switching it off', () => {
+  const mp3 = { format: 'mp3', durationSeconds: 300, durationEstimated: false };
+  const episode = { enclosureLength: 10000000, durationSeconds: 600 };
+
+  assert.strictEqual(new MediaValidator({ enabled: false }).reasonToReject({ format: null, head: '' }, 1, { contentType: 'text/html' }, episode), null);
+  assert.strictEqual(new MediaValidator({ durationTolerance: 0, sizeTolerance: 0 }).reasonToReject(mp3, 1000, {}, episode), null);
+  assert.match(new MediaValidator({ sizeTolerance: 5 }).reasonToReject(mp3, 9000000, {}, episode), /more than 5% off/);
+  assert.strictEqual(new MediaValidator({ durationTolerance: 60 }).reasonToReject(mp3, 10000000, {}, episode), null);
+});
+
+test('formatSeconds', () => {
+  assert.strictEqual(formatSeconds(59.6), '1:00');
+  assert.strictEqual(formatSeconds(3723), '1:02:03');
+  assert.strictEqual(formatSeconds(605), '10:05');
+});
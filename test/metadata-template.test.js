@@ -0,0 +1,127 @@
+// Dates are formatted in local time; every date below is Berlin time
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileTemplate, renderTemplate, slugify, stripHtml, MetadataTemplates } = require('../lib/metadata-template');
+
+const SHOW = {
+  title: 'Sats & Stories',
+  author: 'Ada Lovelace',
+  description: '<p>Weekly <i>stories</i></p>'
+};
+
+const EPISODE = {
+  title: 'Episode 42: Ledgers & Lies',
+  description: '<p>First&nbsp;paragraph.</p><p>Second <b>one</b>.</p>',
+  guid: 'urn:episode:42',
+  episodeType: 'full',
+  durationSeconds: 3 * 3600 + 7 * 60 + 5,
+  episodeNumber: 42,
+  season: 2,
+  pubDate: new Date('2024-03-05T08:09:04+01:00')
+};
+
+function render(template, episode = EPISODE, show = SHOW, file) {
+  return renderTemplate(compileTemplate(template), { episode, show, file });
+}
+
+test('every placeholder', () => {
+  assert.strictEqual(render('{show.title}|{show.slug}|{show.author}|{show.description}'),
+    'Sats & Stories|sats-stories|Ada Lovelace|Weekly stories');
+  assert.strictEqual(render('{show.slug}', EPISODE, { ...SHOW, slug: 'pinned' }), 'pinned');
+  assert.strictEqual(render('{episode.title}|{episode.slug}|{episode.guid}|{episode.type}'),
+    'Episode 42: Ledgers & Lies|episode-42-ledgers-lies|urn:episode:42|full');
+  assert.strictEqual(render('{episode.description}'), 'First paragraph.\nSecond one.');
+  assert.strictEqual(render('S{episode.season}E{episode.number:3} ({episode.duration})'), 'S2E042 (3:07:05)');
+  assert.strictEqual(render('{episode.duration}', { ...EPISODE, durationSeconds: 65 }), '1:05');
+  assert.strictEqual(render('{pubDate}'), '2024-03-05T07:09:04.000Z');
+  assert.strictEqual(render('{file.extension}', EPISODE, SHOW, { extension: 'm4a' }), 'm4a');
+  assert.strictEqual(render('{file.extension}'), '');
+});
+
+test('missing values render empty, and the result is trimmed', () => {
+  const bare = { title: 'Untitled', pubDate: 'not a date', durationSeconds: null };
+  assert.strictEqual(render(' {episode.number:3} {episode.title} {episode.duration} {pubDate:YYYY} ', bare, {}), 'Untitled');
+  assert.strictEqual(render('{show.title}{show.slug}{show.description}', bare, {}), '');
+  assert.strictEqual(render('#{episode.season}', { ...bare, season: 0 }), '#0');
+});
+
+test('date formats', () => {
+  assert.strictEqual(render('{pubDate:YYYY-MM-DD HH:mm:ss}'), '2024-03-05 08:09:04');
+  assert.strictEqual(render('{pubDate:dddd, D MMMM YY}'), 'Tuesday, 5 March 24');
+  assert.strictEqual(render('{pubDate:ddd D MMM, M/DD}'), 'Tue 5 Mar, 3/05');
+  // Feed dates as strings, in local time after a time zone change
+  assert.strictEqual(render('{pubDate:YYYY-MM-DD HH:mm}', { pubDate: 'Sun, 31 Mar 2024 23:30:00 GMT' }), '2024-04-01 01:30');
+  // Anything that is not a token is kept
+  assert.strictEqual(render('{pubDate:[week of] D.M.}'), '[week of] 5.3.');
+});
+
+test('text formats cut at a length, without trailing spaces', () => {
+  assert.strictEqual(render('{episode.title:10}'), 'Episode 42');
+  assert.strictEqual(render('{episode.title:11}'), 'Episode 42:');
+  assert.strictEqual(render('{episode.title:8}'), 'Episode');
+  assert.strictEqual(render('{show.author:100}'), 'Ada Lovelace');
+});
+
+test('literal braces, and templates that do not compile', () => {
+  assert.strictEqual(render('{{{episode.number}}} {{raw}}'), '{42} {raw}');
+
+  assert.throws(() => compileTemplate('{episode.name}'), /unknown placeholder \{episode\.name\}; use one of \{show\.title\}, /);
+  assert.throws(() => compileTemplate('{episode.title'), /unclosed "\{" at position 1/);
+  assert.throws(() => compileTemplate('a } b'), /unmatched "\}" at position 3/);
+  assert.throws(() => compileTemplate('{episode.number:three}'), /\{episode\.number\} only takes a number as its format, got "three"/);
+  assert.throws(() => compileTemplate('{episode.title:upper}'), /only takes a number/);
+});
+
+test('stripHtml keeps line breaks and decodes entities', () => {
+  assert.strictEqual(stripHtml('Line one<br>Line  two<br/>three<BR />four'), 'Line one\nLine two\nthree\nfour');
+  assert.strictEqual(stripHtml('<h2>Notes</h2><ul><li>One</li><li>Two</li></ul><div>End</div>'), 'Notes\nOne\nTwo\nEnd');
+  assert.strictEqual(stripHtml('<p>A</p>\n\n\n\n<p>B</p>'), 'A\n\nB');
+  assert.strictEqual(stripHtml('<style>p { color: red }</style>Text<script type="x">alert("<p>")</script>'), 'Text');
+  assert.strictEqual(stripHtml('Fish &amp; Chips &ndash; &#8220;quoted&#x201D; &AMP; &hellip;'), 'Fish & Chips – “quoted” & …');
+  // Unknown or invalid entities are left as they are
+  assert.strictEqual(stripHtml('&unknown; &#0; &#x110000; &amp'), '&unknown; &#0; &#x110000; &amp');
+  assert.strictEqual(stripHtml(null), '');
+});
+
+test('slugify', () => {
+  assert.strictEqual(slugify('Café Talk: Episode #12!'), 'cafe-talk-episode-12');
+  assert.strictEqual(slugify('  --Ünïcödé  Crème-- '), 'unicode-creme');
+  assert.strictEqual(slugify('a'.repeat(100)).length, 80);
+  assert.strictEqual(slugify('Long title here', 6), 'long-t');
+  assert.strictEqual(slugify('Long title here', 5), 'long');
+  assert.strictEqual(slugify(undefined), '');
+});
+
+test('metadata uses the default templates, with fallbacks for empty fields', () => {
+  const description = 'x'.repeat(600);
+  assert.deepStrictEqual(new MetadataTemplates().render({ ...EPISODE, description }, SHOW), {
+    title: 'Episode 42: Ledgers & Lies',
+    artist: 'Ada Lovelace',
+    album: 'Sats & Stories',
+    comment: 'x'.repeat(500)
+  });
+  assert.deepStrictEqual(new MetadataTemplates().render({ title: '' }, null), {
+    title: 'Unknown Episode',
+    artist: 'Unknown',
+    album: 'Podcast'
+  });
+});
+
+test('custom templates, custom fields and show settings over global ones', () => {
+  const templates = MetadataTemplates.forShow(
+    { genre: 'Podcast', comment: '', customFields: { season: 'S{episode.season}', guid: '{episode.guid}' } },
+    { title: '{episode.number:3} – {episode.title}', customFields: { guid: '', host: '{show.author}' } }
+  );
+
+  assert.deepStrictEqual(templates.render(EPISODE, SHOW), {
+    title: '042 – Episode 42: Ledgers & Lies',
+    artist: 'Ada Lovelace',
+    album: 'Sats & Stories',
+    genre: 'Podcast',
+    // An empty comment and custom field are not sent
+    custom_fields: { season: 'S2', host: 'Ada Lovelace' }
+  });
+  assert.strictEqual('custom_fields' in new MetadataTemplates({ customFields: { host: '{show.author}' } }).render(EPISODE, {}), false);
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Notifications, formatNotification, validateNotifier } = require('../lib/notifiers');
+
+const STATION = { name: 'main', host: 'radio.example.com', stationId: 1 };
+const SHOW = { title: 'Sats & Stories', rssUrl: 'https://example.com/feed.xml' };
+const EPISODE = { title: 'Episode 42', guid: 'urn:episode:42' };
+
+function showReport(fields = {}) {
+  return { ...SHOW, feedError: null, uploaded: [], failed: [], retired: 0, ...fields };
+}
+
+/**
+ * Runs `fn` with the base URL of a local HTTP server that records every JSON body posted
+ * to it in `received` and answers with `status(path)` (200 when not given).
+ */
+async function withServer(fn, status = () => 200) {
+  const received = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      received.push({ path: request.url, headers: request.headers, body: JSON.parse(body) });
+      response.writeHead(status(request.url));
+      response.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, received);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('a run summary lists the shows with news, and says when there were problems', () => {
+  const counts = { uploaded: 1, failed: 0, retired: 2, archived: 0, deleted: 0 };
+  assert.deepStrictEqual(formatNotification('run-summary', {
+    station: STATION,
+    counts,
+    shows: [showReport({ uploaded: ['Episode 42'], retired: 2 }), showReport({ title: 'Quiet', rssUrl: 'https://example.com/quiet.xml' })]
+  }), {
+    title: 'Podcast run on main finished',
+    text: 'Process Complete: 1 uploaded, 0 failed, 2 retired, 0 archived, 0 deleted\n\n- Sats & Stories: uploaded "Episode 42"; retired 2',
+    priority: 'low'
+  });
+
+  const failed = formatNotification('run-summary', {
+    station: { host: 'radio.example.com', stationId: 3 },
+    counts: { ...counts, uploaded: 0, failed: 1, retired: 0 },
+    fatal: 'Station storage is full',
+    shows: [
+      showReport({ failed: [{ title: 'Episode 43', error: 'HTTP 500' }] }),
+      showReport({ title: '', rssUrl: 'https://example.com/broken.xml', feedError: 'HTTP 404' })
+    ]
+  });
+  assert.strictEqual(failed.title, 'Podcast run on radio.example.com station 3 had problems');
+  assert.strictEqual(failed.priority, 'high');
+  assert.deepStrictEqual(failed.text.split('\n'), [
+    'Process Complete: 0 uploaded, 1 failed, 0 retired, 0 archived, 0 deleted',
+    'Stopped early: Station storage is full',
+    '',
+    '- Sats & Stories: failed "Episode 43": HTTP 500',
+    '- https://example.com/broken.xml: feed error: HTTP 404'
+  ]);
+});
+
+test('episode, feed, orphan and quota notifications', () => {
+  assert.deepStrictEqual(formatNotification('episode-success', { station: STATION, show: SHOW, episode: EPISODE, path: 'podcasts/episode-42.mp3', fileId: 7 }), {
+    title: 'Uploaded to main: Episode 42',
+    text: '"Episode 42" from Sats & Stories was uploaded as podcasts/episode-42.mp3.',
+    priority: 'low'
+  });
+  assert.strictEqual(formatNotification('episode-success', { station: STATION, show: SHOW, episode: EPISODE, fileId: 7 }).text,
+    '"Episode 42" from Sats & Stories was uploaded as file 7.');
+
+  assert.deepStrictEqual(formatNotification('episode-failure', { station: STATION, show: SHOW, episode: EPISODE, error: 'Download failed: HTTP 404' }), {
+    title: 'Upload failed on main: Episode 42',
+    text: '"Episode 42" from Sats & Stories could not be uploaded: Download failed: HTTP 404',
+    priority: 'high'
+  });
+
+  assert.deepStrictEqual(formatNotification('feed-error', { station: STATION, show: { rssUrl: SHOW.rssUrl }, error: 'timed out' }), {
+    title: 'Feed error on main: https://example.com/feed.xml',
+    text: 'https://example.com/feed.xml could not be fetched: timed out',
+    priority: 'high'
+  });
+
+  assert.deepStrictEqual(formatNotification('orphans', {
+    station: STATION,
+    action: 'archived',
+    files: [{ id: 3, title: 'Old', path: 'podcasts/old.mp3' }, { id: 4, title: 'Older' }],
+    failed: 1
+  }), {
+    title: '2 orphaned files archived on main',
+    text: '2 files archived on main:\n- "Old" (ID 3, podcasts/old.mp3)\n- "Older" (ID 4)\n1 more could not be archived.',
+    priority: 'default'
+  });
+
+  assert.deepStrictEqual(formatNotification('quota-warning', { station: STATION, used: '9.1 GB', quota: '10 GB', usedPercent: 91 }), {
+    title: 'Storage on main is 91% full',
+    text: 'Station media uses 9.1 GB of 10 GB (91%).',
+    priority: 'high'
+  });
+
+  assert.deepStrictEqual(formatNotification('something-new', { station: STATION, value: 1 }), {
+    title: 'something-new on main',
+    text: '{"station":{"name":"main","host":"radio.example.com","stationId":1},"value":1}',
+    priority: 'default'
+  });
+});
+
+test('validateNotifier asks for what each type needs', () => {
+  assert.throws(() => validateNotifier({ type: 'discord' }), /^Error: discord notifiers need "url"$/);
+  assert.throws(() => validateNotifier({ type: 'gotify', url: 'https://gotify.example.com' }), /gotify notifiers need "token" \(an application token\)/);
+  assert.throws(() => validateNotifier({ type: 'ntfy', url: 'https://ntfy.sh/' }), /ntfy notifiers need the topic in their url/);
+  assert.throws(() => validateNotifier({ type: 'email', from: 'a@example.com', to: 'b@example.com' }), /email notifiers need "host" \(the SMTP server\)/);
+  assert.throws(() => validateNotifier({ type: 'email', host: 'smtp.example.com', from: 'a@example.com', to: [] }), /email notifiers need "to"/);
+
+  validateNotifier({ type: 'webhook', url: 'https://hooks.example.com/in' });
+  validateNotifier({ type: 'ntfy', url: 'https://ntfy.sh/my-radio' });
+  validateNotifier({ type: 'gotify', url: 'https://gotify.example.com', token: 'app' });
+  validateNotifier({ type: 'email', host: 'smtp.example.com', from: 'a@example.com', to: ['b@example.com'] });
+  // An invalid url is left to the url check
+  validateNotifier({ type: 'ntfy', url: 'not a url' });
+});
+
+test('Discord messages are cut to 2000 characters', async () => {
+  await withServer(async (base, received) => {
+    const notifications = new Notifications({ notifiers: [{ type: 'discord', url: `${base}/discord` }] });
+    const data = { station: STATION, show: SHOW, episode: EPISODE };
+
+    assert.deepStrictEqual(await notifications.send('episode-failure', { ...data, error: 'x'.repeat(3000) }), []);
+    const [{ body: long }] = received;
+    assert.strictEqual(long.content.length, 2000);
+    assert.ok(long.content.startsWith('**Upload failed on main: Episode 42**\n"Episode 42" from Sats & Stories'));
+    assert.ok(long.content.endsWith('x…'));
+
+    await notifications.send('episode-failure', { ...data, error: 'HTTP 500' });
+    assert.strictEqual(received[1].body.content,
+      '**Upload failed on main: Episode 42**\n"Episode 42" from Sats & Stories could not be uploaded: HTTP 500');
+  });
+});
+
+test('each notifier gets its events, and one failing does not stop the others', async () => {
+  await withServer(async (base, received) => {
+    const notifications = new Notifications({
+      notifiers: [
+        { type: 'slack', url: `${base}/slack` },
+        { type: 'webhook', name: 'broken', url: `${base}/broken`, events: ['episode-success', 'episode-failure'] },
+        { type: 'ntfy', url: `${base}/radio-alerts`, token: 'tk', events: ['episode-success'] },
+        { type: 'gotify', url: `${base}/gotify/`, token: 'app', events: ['episode-failure'] }
+      ]
+    });
+    const data = { station: STATION, show: SHOW, episode: EPISODE, fileId: 7 };
+
+    assert.strictEqual(notifications.wants('episode-success'), true);
+    assert.strictEqual(notifications.wants('quota-warning'), true);
+    assert.strictEqual(new Notifications({ notifiers: [{ type: 'slack', url: base, events: ['orphans'] }] }).wants('feed-error'), false);
+
+    // Not in the defaults, so Slack is left out
+    const failures = await notifications.send('episode-success', data);
+    assert.deepStrictEqual(failures.map(failure => failure.name), ['broken']);
+    assert.match(failures[0].error.message, /failed: 502/);
+    assert.deepStrictEqual(received.map(request => request.path).sort(), ['/', '/broken']);
+
+    const ntfy = received.find(request => request.path === '/');
+    assert.deepStrictEqual(ntfy.body, { topic: 'radio-alerts', title: 'Uploaded to main: Episode 42', message: '"Episode 42" from Sats & Stories was uploaded as file 7.', priority: 2, tags: ['episode-success'] });
+    assert.strictEqual(ntfy.headers.authorization, 'Bearer tk');
+
+    received.length = 0;
+    await notifications.send('episode-failure', { ...data, error: 'HTTP 500' });
+    assert.deepStrictEqual(received.map(request => request.path).sort(), ['/broken', '/gotify/message', '/slack']);
+    const gotify = received.find(request => request.path === '/gotify/message');
+    assert.strictEqual(gotify.body.priority, 8);
+    assert.strictEqual(gotify.headers['x-gotify-key'], 'app');
+    assert.strictEqual(received.find(request => request.path === '/slack').body.text,
+      '*Upload failed on main: Episode 42*\n"Episode 42" from Sats & Stories could not be uploaded: HTTP 500');
+  }, path => (path === '/broken' ? 502 : 200));
+});
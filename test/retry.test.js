@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { RetryPolicy, isRetryable, parseRetryAfter, httpError } = require('../lib/retry');
+const { createLogger } = require('../lib/logger');
+const PodcastUploader = require('../podcast-uploader');
+
+// Runs `fn` with Math.random() pinned to `value`
+function withRandom(value, fn) {
+  const random = Math.random;
+  Math.random = () => value;
+  try {
+    return fn();
+  } finally {
+    Math.random = random;
+  }
+}
+
+test('delays double from initialDelay up to maxDelay, with up to half of each random', () => {
+  const policy = new RetryPolicy({ initialDelay: '1s', maxDelay: '5s' });
+  const delays = (random) => withRandom(random, () => [1, 2, 3, 4, 5].map(attempt => policy.delayFor(attempt, new Error('x'))));
+
+  assert.deepStrictEqual(delays(0), [500, 1000, 2000, 2500, 2500]);
+  assert.deepStrictEqual(delays(0.999999), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('a Retry-After is waited for unless it is longer than maxRetryAfter', () => {
+  const policy = new RetryPolicy({ maxRetryAfter: '2m' });
+  assert.strictEqual(policy.delayFor(1, Object.assign(new Error('busy'), { retryAfterMs: 0 })), 0);
+  assert.strictEqual(policy.delayFor(3, Object.assign(new Error('busy'), { retryAfterMs: 120000 })), 120000);
+  assert.strictEqual(policy.delayFor(1, Object.assign(new Error('busy'), { retryAfterMs: 120001 })), null);
+
+  // Defaults
+  const defaults = new RetryPolicy();
+  assert.deepStrictEqual(
+    { attempts: defaults.attempts, initialDelay: defaults.initialDelay, maxDelay: defaults.maxDelay, maxRetryAfter: defaults.maxRetryAfter },
+    { attempts: 4, initialDelay: 2000, maxDelay: 60000, maxRetryAfter: 300000 }
+  );
+  assert.strictEqual(new RetryPolicy({ attempts: 0 }).attempts, 1);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+  assert.strictEqual(parseRetryAfter('120', now), 120000);
+  assert.strictEqual(parseRetryAfter(' 0 ', now), 0);
+  assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:29:30 GMT', now), 90000);
+  // A date already past means "now"
+  assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:00:00 GMT', now), 0);
+
+  for (const value of [undefined, null, '', 'soon', '-5', '1.5']) {
+    assert.strictEqual(parseRetryAfter(value, now), null, JSON.stringify(value));
+  }
+});
+
+test('httpError carries the status code and Retry-After', () => {
+  const error = httpError('Download failed: HTTP 503', { statusCode: 503, headers: { 'retry-after': '7' } });
+  assert.strictEqual(error.statusCode, 503);
+  assert.strictEqual(error.retryAfterMs, 7000);
+  assert.strictEqual('retryAfterMs' in httpError('x', { statusCode: 500, headers: {} }), false);
+});
+
+test('isRetryable', () => {
+  const withFields = (fields) => Object.assign(new Error('x'), fields);
+  for (const statusCode of [408, 429, 500, 502, 503, 504]) assert.strictEqual(isRetryable(withFields({ statusCode })), true, statusCode);
+  for (const statusCode of [400, 401, 403, 404, 410, 501]) assert.strictEqual(isRetryable(withFields({ statusCode })), false, statusCode);
+  for (const code of ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN']) assert.strictEqual(isRetryable(withFields({ code })), true, code);
+  for (const code of ['ENOENT', 'ENOSPC', undefined]) assert.strictEqual(isRetryable(withFields({ code })), false, code);
+
+  // An explicit `retryable` wins
+  assert.strictEqual(isRetryable(withFields({ statusCode: 503, retryable: false })), false);
+  assert.strictEqual(isRetryable(withFields({ code: 'ENOENT', retryable: true })), true);
+});
+
+test('run retries retryable failures until the attempts are used up', async () => {
+  const policy = new RetryPolicy({ attempts: 3, initialDelay: '1ms', maxDelay: '2ms' });
+  const retries = [];
+  const onRetry = (error, attempt, delay) => retries.push([error.message, attempt, delay <= 2]);
+
+  let calls = 0;
+  assert.strictEqual(await policy.run(async (attempt) => {
+    calls++;
+    if (attempt < 3) throw Object.assign(new Error(`reset ${attempt}`), { code: 'ECONNRESET' });
+    return 'ok';
+  }, { onRetry }), 'ok');
+  assert.strictEqual(calls, 3);
+  assert.deepStrictEqual(retries, [['reset 1', 1, true], ['reset 2', 2, true]]);
+
+  calls = 0;
+  await assert.rejects(policy.run(async () => {
+    calls++;
+    throw Object.assign(new Error('down'), { statusCode: 503 });
+  }), /down/);
+  assert.strictEqual(calls, 3);
+
+  calls = 0;
+  await assert.rejects(policy.run(async () => {
+    calls++;
+    throw Object.assign(new Error('gone'), { statusCode: 404 });
+  }), /gone/);
+  assert.strictEqual(calls, 1);
+
+  // A Retry-After beyond maxRetryAfter gives up at once
+  calls = 0;
+  await assert.rejects(policy.run(async () => {
+    calls++;
+    throw Object.assign(new Error('come back tomorrow'), { statusCode: 503, retryAfterMs: 24 * 60 * 60 * 1000 });
+  }), /come back tomorrow/);
+  assert.strictEqual(calls, 1);
+});
+
+/**
+ * Runs `fn` against a local HTTP server answering with `handler(request, response, count)`,
+ * where `count` is how often the path was requested, and an uploader without a station
+ * that downloads from it over HTTP with short retry delays.
+ */
+async function withDownloadServer(handler, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'podcast-uploader-download-'));
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push({ url: request.url, range: request.headers.range || null, ifRange: request.headers['if-range'] || null });
+    handler(request, response, requests.filter(previous => previous.url === request.url).length);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const config = {
+    azuraCast: { host: 'station.invalid', stationId: 1 },
+    shows: [],
+    retry: { attempts: 3, initialDelay: '5ms', maxDelay: '10ms' },
+    logFile: path.join(dir, 'uploader.log')
+  };
+  // No `download` on the backend, so episodes are fetched over HTTP
+  const uploader = new PodcastUploader(config, { backend: { request: async () => ({}) }, logger: createLogger(config, 'ERROR') });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const file = path.join(dir, 'episode.mp3');
+  try {
+    await fn({ requests, file, download: (urlPath) => uploader.downloadFile(`${base}${urlPath}`, file, false) });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const AUDIO = Buffer.from(Array.from({ length: 64 * 1024 }, (_, index) => index % 251));
+
+test('an interrupted download resumes with a Range request', async () => {
+  const handler = (request, response, count) => {
+    if (count === 1) {
+      response.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': AUDIO.length, 'Accept-Ranges': 'bytes', 'ETag': '"v1"' });
+      // Half the file, then the connection drops
+      response.write(AUDIO.subarray(0, AUDIO.length / 2), () => setTimeout(() => response.socket.destroy(), 20));
+      return;
+    }
+    const start = parseInt(request.headers.range.match(/^bytes=(\d+)-$/)[1], 10);
+    response.writeHead(206, {
+      'Content-Type': 'audio/mpeg',
+      'Content-Length': AUDIO.length - start,
+      'Content-Range': `bytes ${start}-${AUDIO.length - 1}/${AUDIO.length}`
+    });
+    response.end(AUDIO.subarray(start));
+  };
+
+  await withDownloadServer(handler, async ({ requests, download, file }) => {
+    const result = await download('/episode.mp3');
+    assert.strictEqual(result.contentType, 'audio/mpeg');
+    assert.ok((await fs.readFile(file)).equals(AUDIO));
+
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[0].range, null);
+    assert.match(requests[1].range, /^bytes=[1-9]\d*-$/);
+    assert.strictEqual(requests[1].ifRange, '"v1"');
+  });
+});
+
+test('a server that ignores the Range header sends the whole file again', async () => {
+  const handler = (request, response, count) => {
+    response.writeHead(200, { 'Content-Length': AUDIO.length, 'Accept-Ranges': 'bytes' });
+    if (count === 1) {
+      response.write(AUDIO.subarray(0, 1000), () => setTimeout(() => response.socket.destroy(), 20));
+    } else {
+      response.end(AUDIO);
+    }
+  };
+
+  await withDownloadServer(handler, async ({ requests, download, file }) => {
+    await download('/episode.mp3');
+    assert.ok((await fs.readFile(file)).equals(AUDIO));
+    assert.strictEqual(requests.length, 2);
+  });
+});
+
+test('a 503 with Retry-After is retried after the wait', async () => {
+  const handler = (request, response, count) => {
+    if (count === 1) {
+      response.writeHead(503, { 'Retry-After': '0' });
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Length': AUDIO.length });
+    response.end(AUDIO);
+  };
+
+  await withDownloadServer(handler, async ({ requests, download, file }) => {
+    await download('/episode.mp3');
+    assert.ok((await fs.readFile(file)).equals(AUDIO));
+    assert.strictEqual(requests.length, 2);
+  });
+});
+
+test('a Retry-After longer than maxRetryAfter fails without a second request', async () => {
+  const handler = (request, response) => {
+    response.writeHead(503, { 'Retry-After': '3600' });
+    response.end();
+  };
+
+  await withDownloadServer(handler, async ({ requests, download }) => {
+    await assert.rejects(download('/episode.mp3'), /HTTP 503/);
+    assert.strictEqual(requests.length, 1);
+  });
+});
+
+test('redirects are followed up to 10 hops, and loops fail at once', async () => {
+  const handler = (request, response) => {
+    const hop = request.url.match(/^\/hop\/(\d+)$/);
+    if (hop && hop[1] !== '0') {
+      response.writeHead(302, { Location: `/hop/${hop[1] - 1}` });
+      return response.end();
+    }
+    if (request.url === '/loop/a' || request.url === '/loop/b') {
+      response.writeHead(301, { Location: request.url === '/loop/a' ? '/loop/b' : '/loop/a' });
+      return response.end();
+    }
+    response.writeHead(200, { 'Content-Length': AUDIO.length });
+    response.end(AUDIO);
+  };
+
+  await withDownloadServer(handler, async ({ requests, download, file }) => {
+    await download('/hop/10');
+    assert.ok((await fs.readFile(file)).equals(AUDIO));
+    assert.strictEqual(requests.length, 11);
+
+    // Neither is retried
+    requests.length = 0;
+    await assert.rejects(download('/hop/11'), /Too many redirects \(more than 10\) starting at http:\/\/127\.0\.0\.1:\d+\/hop\/11/);
+    assert.strictEqual(requests.length, 11);
+
+    requests.length = 0;
+    await assert.rejects(download('/loop/a'), /Redirect loop detected at http:\/\/127\.0\.0\.1:\d+\/loop\/a/);
+    assert.strictEqual(requests.length, 2);
+  });
+});
@@ -0,0 +1,132 @@
+// Cron and daily windows work in local time; every date below is Berlin time
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDuration, formatDuration, CronExpression, DailyWindow } = require('../lib/schedule');
+
+// Successive matches of `expression` after `from`, as UTC ISO strings
+function nextTimes(expression, from, count = 1) {
+  const cron = new CronExpression(expression);
+  const times = [];
+  let date = new Date(from);
+  for (let index = 0; index < count; index++) {
+    date = cron.next(date);
+    times.push(date.toISOString());
+  }
+  return times;
+}
+
+test('parseDuration reads units, combinations and plain minutes', () => {
+  assert.strictEqual(parseDuration('250ms'), 250);
+  assert.strictEqual(parseDuration('90s'), 90 * 1000);
+  assert.strictEqual(parseDuration('15m'), 15 * 60 * 1000);
+  assert.strictEqual(parseDuration('1h30m'), 90 * 60 * 1000);
+  assert.strictEqual(parseDuration(' 1h 30m '), 90 * 60 * 1000);
+  assert.strictEqual(parseDuration('1.5h'), 90 * 60 * 1000);
+  assert.strictEqual(parseDuration('2D'), 2 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration('45'), 45 * 60 * 1000);
+  assert.strictEqual(parseDuration(45), 45 * 60 * 1000);
+});
+
+test('parseDuration rejects garbage', () => {
+  for (const value of ['', 'soon', '10x', '1h 30', '-5m', '5m later', 'm', '0s', '0', 0, -1, null, undefined, {}, ['5m']]) {
+    assert.throws(() => parseDuration(value), /Invalid duration/, JSON.stringify(value));
+  }
+});
+
+test('formatDuration', () => {
+  assert.strictEqual(formatDuration(90 * 60 * 1000), '1h30m');
+  assert.strictEqual(formatDuration(26 * 60 * 60 * 1000 + 5000), '1d2h5s');
+  assert.strictEqual(formatDuration(250), '250ms');
+});
+
+test('cron expressions are validated', () => {
+  assert.throws(() => new CronExpression('* * * *'), /expected 5 fields/);
+  assert.throws(() => new CronExpression('60 * * * *'), /minute "60" out of range 0-59/);
+  assert.throws(() => new CronExpression('0 5-2 * * *'), /hour "5-2" out of range/);
+  assert.throws(() => new CronExpression('0 0 0 * *'), /day of month "0" out of range 1-31/);
+  assert.throws(() => new CronExpression('*/0 * * * *'), /out of range/);
+  assert.throws(() => new CronExpression('0 0 * jan *'), /bad month "jan"/);
+  assert.throws(() => new CronExpression('0 0 30 2 *').next(new Date('2024-01-01T00:00:00+01:00')), /never matches/);
+});
+
+test('cron: lists, ranges, steps and either day field', () => {
+  // Strictly after the given minute, seconds ignored
+  assert.deepStrictEqual(nextTimes('*/20 9-10 * * *', '2024-05-06T09:20:30+02:00', 4), [
+    '2024-05-06T07:40:00.000Z', '2024-05-06T08:00:00.000Z', '2024-05-06T08:20:00.000Z', '2024-05-06T08:40:00.000Z'
+  ]);
+  // Friday the 13th or any Friday; 7 is Sunday too
+  assert.deepStrictEqual(nextTimes('0 6 13 * 5', '2024-09-09T00:00:00+02:00', 3), [
+    '2024-09-13T04:00:00.000Z', '2024-09-20T04:00:00.000Z', '2024-09-27T04:00:00.000Z'
+  ]);
+  assert.deepStrictEqual(nextTimes('0 12 * * 7', '2024-09-09T00:00:00+02:00'), ['2024-09-15T10:00:00.000Z']);
+});
+
+test('cron: month and year boundaries', () => {
+  assert.deepStrictEqual(nextTimes('0 0 1 * *', '2024-01-31T23:59:00+01:00', 2), [
+    '2024-01-31T23:00:00.000Z', '2024-02-29T23:00:00.000Z'
+  ]);
+  // Months without a 31st are skipped
+  assert.deepStrictEqual(nextTimes('30 8 31 * *', '2024-03-31T09:00:00+02:00', 3), [
+    '2024-05-31T06:30:00.000Z', '2024-07-31T06:30:00.000Z', '2024-08-31T06:30:00.000Z'
+  ]);
+  assert.deepStrictEqual(nextTimes('0 0 * * *', '2024-12-31T12:00:00+01:00'), ['2024-12-31T23:00:00.000Z']);
+});
+
+test('cron: February 29th waits for the next leap year', () => {
+  assert.deepStrictEqual(nextTimes('0 0 29 2 *', '2025-03-01T00:00:00+01:00', 2), [
+    '2028-02-28T23:00:00.000Z', '2032-02-28T23:00:00.000Z'
+  ]);
+  assert.deepStrictEqual(nextTimes('0 12 28-29 2 *', '2024-02-28T12:00:00+01:00'), ['2024-02-29T11:00:00.000Z']);
+});
+
+test('cron: the hour skipped when clocks go forward', () => {
+  // 02:00 becomes 03:00 on 31 March 2024; a 02:30 job runs at the jump instead of waiting a day
+  assert.deepStrictEqual(nextTimes('30 2 * * *', '2024-03-30T12:00:00+01:00', 3), [
+    '2024-03-31T01:00:00.000Z', '2024-04-01T00:30:00.000Z', '2024-04-02T00:30:00.000Z'
+  ]);
+  // Interval jobs carry on in real time
+  assert.deepStrictEqual(nextTimes('*/30 * * * *', '2024-03-31T01:15:00+01:00', 3), [
+    '2024-03-31T00:30:00.000Z', '2024-03-31T01:00:00.000Z', '2024-03-31T01:30:00.000Z'
+  ]);
+  // Jobs outside the skipped hour are not affected
+  assert.deepStrictEqual(nextTimes('0 4 * * *', '2024-03-30T12:00:00+01:00'), ['2024-03-31T02:00:00.000Z']);
+});
+
+test('cron: the hour repeated when clocks go back', () => {
+  // 03:00 becomes 02:00 on 27 October 2024; a 02:30 job runs once
+  assert.deepStrictEqual(nextTimes('30 2 * * *', '2024-10-26T12:00:00+02:00', 2), [
+    '2024-10-27T00:30:00.000Z', '2024-10-28T01:30:00.000Z'
+  ]);
+  // Jobs for every hour run in both, without a gap
+  assert.deepStrictEqual(nextTimes('*/30 * * * *', '2024-10-27T02:15:00+02:00', 4), [
+    '2024-10-27T00:30:00.000Z', '2024-10-27T01:00:00.000Z', '2024-10-27T01:30:00.000Z', '2024-10-27T02:00:00.000Z'
+  ]);
+  assert.deepStrictEqual(nextTimes('0 * * * *', '2024-10-27T01:30:00+02:00', 3), [
+    '2024-10-27T00:00:00.000Z', '2024-10-27T01:00:00.000Z', '2024-10-27T02:00:00.000Z'
+  ]);
+});
+
+test('daily windows, including ones that wrap past midnight', () => {
+  const at = (time) => new Date(`2024-12-31T${time}:00+01:00`);
+
+  const window = new DailyWindow('03:00-04:30');
+  assert.deepStrictEqual(['02:59', '03:00', '04:29', '04:30'].map(time => window.contains(at(time))), [false, true, true, false]);
+  assert.strictEqual(window.windowDay(at('03:15')), '2024-12-31');
+
+  const overnight = new DailyWindow('23:00-01:00');
+  assert.deepStrictEqual(
+    ['22:59', '23:00', '23:59', '00:00', '00:59', '01:00', '12:00'].map(time => overnight.contains(at(time))),
+    [false, true, true, true, true, false, false]
+  );
+  // Both sides of midnight belong to the window that started the evening before, across the year end
+  assert.strictEqual(overnight.windowDay(new Date('2024-12-31T23:30:00+01:00')), '2024-12-31');
+  assert.strictEqual(overnight.windowDay(new Date('2025-01-01T00:30:00+01:00')), '2024-12-31');
+  assert.strictEqual(overnight.windowDay(new Date('2024-03-01T00:30:00+01:00')), '2024-02-29');
+  assert.strictEqual(overnight.windowDay(new Date('2025-01-01T23:30:00+01:00')), '2025-01-01');
+
+  assert.throws(() => new DailyWindow('03:00'), /use HH:MM-HH:MM/);
+  assert.throws(() => new DailyWindow('24:00-01:00'), /Invalid time of day/);
+  assert.throws(() => new DailyWindow('3-4'), /Invalid time of day/);
+});
@@ -0,0 +1,276 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const { rmSync } = require('fs');
+const os = require('os');
+const path = require('path');
+const PodcastUploader = require('../podcast-uploader');
+const { loadConfig } = require('../lib/config');
+const { createBackend } = require('../lib/backend');
+const { createLogger } = require('../lib/logger');
+
+// Temporary directories, removed when the test process exits; Node 16 runs no file-level after hooks
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => rmSync(dir, { recursive: true, force: true })));
+
+const ROOT = path.join(__dirname, '..');
+const CONFIG = path.join(__dirname, 'fixtures', 'simulator', 'config.json');
+
+const CASTOS = 'https://feeds.castos.com/sats-and-stories';
+const ANCHOR = 'https://anchor.fm/s/1a2b3c4d/podcast/rss';
+const EPISODE_TITLES = [
+  'Bonus: Listener Q&A',
+  'ETF Flows, Explained',
+  'Episode 42: Ledgers & Lies',
+  'Halving Week: What Miners Are Saying'
+];
+
+/**
+ * The sample simulator config with everything it writes moved to a temporary directory,
+ * and one in-memory station. Every uploader from `newRun()` is a separate run against
+ * that station, like consecutive cron runs sharing a ledger.
+ */
+async function simulatedStation() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'podcast-uploader-test-'));
+  tempDirs.push(dir);
+
+  const { config } = await loadConfig(CONFIG, {});
+  delete config.backend.stateFile;
+  for (const url of Object.keys(config.backend.feeds)) {
+    config.backend.feeds[url] = path.resolve(ROOT, config.backend.feeds[url]);
+  }
+  Object.assign(config, {
+    ledgerFile: path.join(dir, 'episodes.json'),
+    feedCacheFile: path.join(dir, 'feed-cache.json'),
+    tempDir: path.join(dir, 'temp'),
+    logFile: path.join(dir, 'uploader.log'),
+    mediaValidation: { ...config.mediaValidation, quarantineDir: path.join(dir, 'quarantine') }
+  });
+
+  const backend = createBackend(config);
+  const logger = createLogger(config, 'ERROR');
+  const newRun = (options = {}) => new PodcastUploader(config, { backend, logger, ...options });
+  const files = () => backend.request('GET', `/station/${config.azuraCast.stationId}/files`);
+
+  return { dir, config, backend, newRun, files };
+}
+
+function playlistIds(file) {
+  return (file.playlists || []).map(playlist => Number(typeof playlist === 'object' ? playlist.id : playlist));
+}
+
+async function run(uploader) {
+  await uploader.run();
+  assert.strictEqual(uploader.summary.fatal, undefined, `run stopped early: ${uploader.summary.fatal}`);
+  return uploader.summary;
+}
+
+test('run uploads the recent episodes of every show into their playlist', async () => {
+  const { newRun, files, config } = await simulatedStation();
+
+  const summary = await run(newRun());
+  assert.strictEqual(summary.uploaded, 4);
+  assert.strictEqual(summary.failed, 0);
+
+  const uploaded = await files();
+  assert.deepStrictEqual(uploaded.map(file => file.title).sort(), EPISODE_TITLES);
+  for (const file of uploaded) {
+    assert.deepStrictEqual(playlistIds(file), [1], file.title);
+  }
+  assert.deepStrictEqual(
+    uploaded.filter(file => file.album === 'Sats & Stories').map(file => file.artist),
+    ['Jane Doe', 'Jane Doe']
+  );
+
+  // Every upload is in the ledger with its file, and the temp directory is empty again
+  const ledger = JSON.parse(await fs.readFile(config.ledgerFile, 'utf8'));
+  assert.strictEqual(ledger.episodes.length, 4);
+  for (const entry of ledger.episodes) {
+    assert.strictEqual(entry.status, 'in_playlist', entry.title);
+    assert.ok(uploaded.some(file => file.id === entry.fileId), entry.title);
+    assert.ok([CASTOS, ANCHOR].includes(entry.rssUrl), entry.title);
+  }
+  assert.deepStrictEqual(await fs.readdir(config.tempDir), []);
+});
+
+test('a second run uploads nothing', async () => {
+  const { newRun, files } = await simulatedStation();
+
+  await run(newRun());
+  const before = await files();
+
+  const summary = await run(newRun());
+  assert.deepStrictEqual(
+    { uploaded: summary.uploaded, failed: summary.failed, retired: summary.retired, archived: summary.archived },
+    { uploaded: 0, failed: 0, retired: 0, archived: 0 }
+  );
+  assert.deepStrictEqual(await files(), before);
+});
+
+test('a dry run changes nothing, and --apply-plan carries out its plan', async () => {
+  const { dir, newRun, files } = await simulatedStation();
+  const planFile = path.join(dir, 'plan.json');
+
+  await run(newRun({ dryRun: true, planFile }));
+  assert.deepStrictEqual(await files(), []);
+
+  const plan = JSON.parse(await fs.readFile(planFile, 'utf8'));
+  const uploads = plan.actions.filter(action => action.type === 'upload');
+  assert.strictEqual(uploads.length, 4);
+  assert.deepStrictEqual(uploads.map(action => action.episode.title).sort(), EPISODE_TITLES);
+  assert.deepStrictEqual(plan.actions.filter(action => action.type !== 'upload'), []);
+
+  await newRun().applyPlan(planFile);
+  assert.deepStrictEqual((await files()).map(file => file.title).sort(), EPISODE_TITLES);
+
+  // The applied plan recorded its uploads like a run would have
+  const summary = await run(newRun());
+  assert.strictEqual(summary.uploaded, 0);
+});
+
+test('--apply-plan does not overwrite a file that took an episode\'s path after the dry run', async () => {
+  const { dir, config, backend, newRun, files } = await simulatedStation();
+  config.upload.pathTemplate = 'podcasts/{show.slug}/{episode.slug}.mp3';
+  const planFile = path.join(dir, 'plan.json');
+  await run(newRun({ dryRun: true, planFile }));
+
+  const taken = 'podcasts/sats-stories/episode-42-ledgers-lies.mp3';
+  const other = await backend.request('POST', `/station/${config.azuraCast.stationId}/files`, {
+    path: taken,
+    file: Buffer.from('another recording').toString('base64')
+  });
+  await backend.request('PUT', `/station/${config.azuraCast.stationId}/file/${other.id}`, { title: 'Studio Session' });
+  const before = (await files()).find(file => file.id === other.id);
+
+  await newRun().applyPlan(planFile);
+  const after = await files();
+  assert.strictEqual(after.length, 5);
+  assert.deepStrictEqual(after.find(file => file.id === other.id), before);
+  const episode = after.find(file => file.title === 'Episode 42: Ledgers & Lies');
+  assert.strictEqual(episode.path, 'podcasts/sats-stories/episode-42-ledgers-lies-2.mp3');
+});
+
+test('orphaned files are archived rather than deleted', async () => {
+  const { backend, config, newRun, files } = await simulatedStation();
+  const stationId = config.azuraCast.stationId;
+  const jingle = await backend.request('POST', `/station/${stationId}/files`, {
+    path: 'jingles/old-jingle.mp3',
+    file: Buffer.from('not really audio').toString('base64')
+  });
+
+  const summary = await run(newRun());
+  assert.strictEqual(summary.archived, 1);
+  assert.strictEqual(summary.uploaded, 4);
+
+  const archived = (await files()).find(file => file.id === jingle.id);
+  assert.ok(archived, 'the orphan is still on the station');
+  assert.strictEqual(archived.path, '_podcast-archive/jingles/old-jingle.mp3');
+
+  const ledger = JSON.parse(await fs.readFile(config.ledgerFile, 'utf8'));
+  assert.deepStrictEqual(ledger.archived.map(record => record.fileId), [jingle.id]);
+});
+
+test('lowering maxEpisodes retires the older episode, even when both finished in the same second', async () => {
+  const { config, newRun, files } = await simulatedStation();
+
+  await run(newRun());
+  const castos = config.shows.find(show => show.rssUrl === CASTOS);
+  castos.maxEpisodes = 1;
+
+  const summary = await run(newRun());
+  assert.strictEqual(summary.retired, 1);
+
+  const byTitle = new Map((await files()).map(file => [file.title, file]));
+  assert.deepStrictEqual(playlistIds(byTitle.get('Bonus: Listener Q&A')), []);
+  assert.deepStrictEqual(playlistIds(byTitle.get('Episode 42: Ledgers & Lies')), [1]);
+});
+
+test('an episode that fails after its upload is finished on the same file by the next run', async () => {
+  const { newRun, files, config } = await simulatedStation();
+
+  const failing = newRun();
+  failing.updateFileMetadata = async () => { throw new Error('metadata API unavailable'); };
+  const summary = await run(failing);
+  assert.strictEqual(summary.failed, 4);
+  const uploaded = await files();
+  assert.strictEqual(uploaded.length, 4);
+
+  const ledger = JSON.parse(await fs.readFile(config.ledgerFile, 'utf8'));
+  assert.deepStrictEqual(ledger.episodes.map(entry => entry.pending), [true, true, true, true]);
+
+  await run(newRun());
+  const finished = await files();
+  assert.deepStrictEqual(finished.map(file => file.id).sort(), uploaded.map(file => file.id).sort());
+  assert.deepStrictEqual(finished.map(file => file.title).sort(), EPISODE_TITLES);
+  for (const file of finished) {
+    assert.deepStrictEqual(playlistIds(file), [1], file.title);
+  }
+});
+
+/**
+ * Moves the ledger entry of "Episode 42" to another GUID and enclosure URL, so the next
+ * run sees the episode as new while the ledger already has its audio.
+ */
+async function republishEpisode42(config, status) {
+  const ledger = JSON.parse(await fs.readFile(config.ledgerFile, 'utf8'));
+  const entry = ledger.episodes.find(episode => episode.title === 'Episode 42: Ledgers & Lies');
+  Object.assign(entry, { guid: `${entry.guid}#old`, sourceUrl: `${entry.sourceUrl}?old`, status });
+  await fs.writeFile(config.ledgerFile, JSON.stringify(ledger, null, 2));
+  return entry;
+}
+
+test('identical audio still in a playlist is not uploaded again', async () => {
+  const { newRun, files, config } = await simulatedStation();
+
+  await run(newRun());
+  const old = await republishEpisode42(config, 'in_playlist');
+
+  await run(newRun());
+  assert.strictEqual((await files()).length, 4);
+  const ledger = JSON.parse(await fs.readFile(config.ledgerFile, 'utf8'));
+  const entry = ledger.episodes.find(episode => episode.title === 'Episode 42: Ledgers & Lies' && episode.guid !== old.guid);
+  assert.strictEqual(entry.fileId, old.fileId);
+  assert.strictEqual(entry.status, 'in_playlist');
+});
+
+test('identical audio that was retired or removed from the station is uploaded again', async (t) => {
+  for (const removal of ['retired', 'deleted from the station']) {
+    await t.test(removal, async () => {
+      const { backend, newRun, files, config } = await simulatedStation();
+      const stationId = config.azuraCast.stationId;
+
+      await run(newRun());
+      const old = await republishEpisode42(config, removal === 'retired' ? 'retired' : 'in_playlist');
+      if (removal === 'retired') {
+        await backend.request('PUT', `/station/${stationId}/file/${old.fileId}`, { playlists: [] });
+      } else {
+        await backend.request('DELETE', `/station/${stationId}/file/${old.fileId}`);
+      }
+
+      const summary = await run(newRun());
+      assert.strictEqual(summary.uploaded, 1);
+      const republished = (await files()).filter(file => file.title === 'Episode 42: Ledgers & Lies' && file.id !== old.fileId);
+      assert.strictEqual(republished.length, 1);
+      assert.deepStrictEqual(playlistIds(republished[0]), [1]);
+    });
+  }
+});
+
+test('a forgotten episode is re-adopted from its file rather than uploaded again', async () => {
+  const { newRun, files, config } = await simulatedStation();
+
+  await run(newRun());
+  const before = await files();
+  const ledger = JSON.parse(await fs.readFile(config.ledgerFile, 'utf8'));
+  const episode42 = ledger.episodes.find(entry => entry.title === 'Episode 42: Ledgers & Lies');
+
+  await newRun().forgetEpisode(episode42.guid);
+  const summary = await run(newRun());
+  assert.strictEqual(summary.uploaded, 0);
+  assert.deepStrictEqual(await files(), before);
+
+  const readopted = JSON.parse(await fs.readFile(config.ledgerFile, 'utf8')).episodes
+    .find(entry => entry.guid === episode42.guid);
+  assert.strictEqual(readopted.fileId, episode42.fileId);
+  assert.strictEqual(readopted.status, 'in_playlist');
+});